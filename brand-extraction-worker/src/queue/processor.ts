@@ -8,7 +8,7 @@ const brandExtractor = new BrandExtractorService();
 const supabase = new SupabaseService();
 
 export async function processBrandExtraction(job: Job<BrandExtractionJob>): Promise<BrandExtractionResult> {
-  const { resultId, answerText } = job.data;
+  const { resultId, answerText, promptId, websiteId, userId } = job.data;
   
   console.log(`[Processor] Starting extraction for result ${resultId}`);
   console.log(`[Processor] Text length: ${answerText?.length || 0} characters`);
@@ -26,6 +26,27 @@ export async function processBrandExtraction(job: Job<BrandExtractionJob>): Prom
   }
   
   try {
+    // A retry after the brands were saved (e.g. the cost write failed) reuses
+    // them instead of paying for a second extraction
+    const saved = job.attemptsMade > 0 ? await supabase.getSavedExtraction(resultId) : null;
+    if (saved) {
+      console.log(`[Processor] ⏭️  Brands already saved for ${resultId}, recording cost only`);
+      await supabase.recordExtractionCost(resultId, saved.cost, {
+        promptId,
+        websiteId,
+        userId,
+        model: config.openai.model
+      });
+      return {
+        resultId,
+        brands: saved.brands,
+        cost: saved.cost,
+        tokensUsed: 0,
+        processingTime: 0,
+        model: config.openai.model
+      };
+    }
+
     // Extract brands using OpenAI
     const extraction = await brandExtractor.extractBrands(answerText);
     
@@ -40,6 +61,13 @@ export async function processBrandExtraction(job: Job<BrandExtractionJob>): Prom
       extraction.cost
     );
     
+    await supabase.recordExtractionCost(resultId, extraction.cost, {
+      promptId,
+      websiteId,
+      userId,
+      model: config.openai.model
+    });
+    
     return {
       resultId,
       brands: extraction.brands,
@@ -36,6 +36,41 @@ export class SupabaseService {
     console.log(`[Supabase] ✅ Successfully saved brands for ${resultId}`);
   }
   
+  // Record the extraction cost in the shared cost ledger (one entry per result)
+  async recordExtractionCost(resultId: string, cost: number, context: { promptId?: string; websiteId?: string; userId?: string | null; model?: string }) {
+    const { error } = await this.client
+      .from('cost_ledger')
+      .upsert({
+        result_id: resultId,
+        prompt_id: context.promptId || null,
+        website_id: context.websiteId || null,
+        user_id: context.userId || null,
+        kind: 'brand_extraction',
+        amount_usd: cost,
+        details: context.model ? { model: context.model } : null
+      }, { onConflict: 'result_id,kind' });
+
+    if (error) {
+      throw new Error(`Failed to record extraction cost: ${error.message}`);
+    }
+  }
+  
+  // Brands and cost already saved for a result, or null if it was not extracted yet
+  async getSavedExtraction(resultId: string): Promise<{ brands: any[]; cost: number } | null> {
+    const { data, error } = await this.client
+      .from('prompt_tracking_results')
+      .select('extracted_brands, brand_extraction_cost')
+      .eq('id', resultId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to fetch saved brands: ${error.message}`);
+    }
+    if (!data || data.extracted_brands === null) return null;
+
+    return { brands: data.extracted_brands, cost: Number(data.brand_extraction_cost) || 0 };
+  }
+  
   // Fetch answer_text for a result
   async getAnswerText(resultId: string): Promise<string | null> {
     const { data, error } = await this.client
@@ -3,6 +3,7 @@ export interface BrandExtractionJob {
   answerText: string;         // Full AI response text
   promptId: string;           // For reference
   websiteId: string;          // For reference
+  userId?: string | null;     // Who ran the prompt (for the cost ledger)
 }
 
 export interface ExtractedBrand {
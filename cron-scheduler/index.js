@@ -3,6 +3,7 @@ import cron from 'node-cron';
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import { sendCronSummary } from './slackNotifier.js';
+import { CADENCES, resolveCadence, computeNextRunAt, selectPrompts } from './scheduling.js';
 
 dotenv.config();
 
@@ -10,8 +11,11 @@ const {
   SUPABASE_URL,
   SUPABASE_SERVICE_ROLE_KEY,
   API_URL,
+  API_KEY, // Service API key with the runs:write scope
   CRON_SCHEDULE = '0 2 * * *', // Default: 2 AM daily
   MAX_API_CALLS_PER_RUN = '500',
+  SCHEDULE_GRACE_MINUTES = '15', // Prompts due within this window count as due now
+  SAMPLES_PER_RUN = '1', // Independent runs per engine, aggregated by the API (max 10)
   DRY_RUN = 'false'
 } = process.env;
 
@@ -24,6 +28,10 @@ if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !API_URL) {
   process.exit(1);
 }
 
+if (!API_KEY) {
+  console.warn('⚠️  API_KEY not set - runs will only be accepted by an API running with SKIP_AUTH in development');
+}
+
 // Ensure API_URL has protocol and remove trailing slash
 let apiUrl = API_URL;
 if (!apiUrl.startsWith('http://') && !apiUrl.startsWith('https://')) {
@@ -35,60 +43,143 @@ apiUrl = apiUrl.replace(/\/$/, '');
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 const MAX_CALLS = parseInt(MAX_API_CALLS_PER_RUN);
-const ENGINES = ['chatgpt', 'perplexity', 'gemini', 'google', 'claude'];
-const ENGINES_PER_PROMPT = ENGINES.length; // 5
-const MAX_PROMPTS = Math.floor(MAX_CALLS / ENGINES_PER_PROMPT);
+const GRACE_MS = parseInt(SCHEDULE_GRACE_MINUTES) * 60 * 1000;
+const SAMPLES = Math.min(10, Math.max(1, parseInt(SAMPLES_PER_RUN) || 1));
+const PAGE_SIZE = 1000;
+const DEFAULT_LOCALE = 'en-US';
+
+// Engines come from the API's engine registry (GET /api/v1/engines).
+// ENGINES (comma-separated) restricts the run to a subset.
+const ENGINE_FILTER = (process.env.ENGINES || '').split(',').map(s => s.trim()).filter(Boolean);
 
 console.log('🚀 AI Search Cron Scheduler Started');
 console.log('====================================');
 console.log(`📅 Schedule: ${CRON_SCHEDULE}`);
 console.log(`🔢 Max API calls per run: ${MAX_CALLS}`);
-console.log(`📝 Max prompts per run: ${MAX_PROMPTS} (${ENGINES_PER_PROMPT} engines each)`);
+console.log(`🎲 Samples per engine: ${SAMPLES}`);
+console.log(`🔌 Engines: ${ENGINE_FILTER.length > 0 ? ENGINE_FILTER.join(', ') : 'all registered (from API)'}`);
 console.log(`🎯 API URL: ${apiUrl}`);
 console.log(`🧪 Dry run: ${DRY_RUN === 'true' ? 'YES (no API calls)' : 'NO'}`);
 console.log('====================================\n');
 
-async function fetchActivePrompts() {
+async function fetchEngines() {
+  const response = await fetch(`${apiUrl}/api/v1/engines`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch engines (${response.status}): ${await response.text()}`);
+  }
+
+  const { engines = [] } = await response.json();
+  const names = engines.map(e => e.name);
+  const selected = ENGINE_FILTER.length > 0
+    ? names.filter(name => ENGINE_FILTER.includes(name))
+    : names;
+
+  if (selected.length === 0) {
+    throw new Error(`No engines to run (registered: ${names.join(', ') || 'none'})`);
+  }
+
+  return selected;
+}
+
+async function fetchDuePrompts(now) {
   try {
-    console.log('📋 Fetching active prompts from Supabase...');
-    
-    const { data, error } = await supabase
-      .from('prompts')
-      .select(`
-        id,
-        content,
-        website_id,
-        websites!website_id (
+    console.log('📋 Fetching due prompts from Supabase...');
+
+    // Small grace window so a run that fires a few seconds early still
+    // picks up prompts scheduled for "now"
+    const dueBefore = new Date(now.getTime() + GRACE_MS).toISOString();
+    const prompts = [];
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase
+        .from('prompts')
+        .select(`
           id,
-          domain,
-          brand_name,
-          brand_aliases
-        )
-      `)
-      .eq('is_active', true)
-      .order('created_at', { ascending: true })
-      .limit(MAX_PROMPTS);
-    
-    if (error) {
-      console.error('❌ Supabase error:', error);
-      throw error;
+          content,
+          website_id,
+          created_at,
+          schedule_cadence,
+          locale,
+          next_run_at,
+          last_run_at,
+          skip_count,
+          websites!website_id (
+            id,
+            domain,
+            brand_name,
+            brand_aliases,
+            schedule_cadence,
+            locale
+          )
+        `)
+        .eq('is_active', true)
+        .or(`next_run_at.is.null,next_run_at.lte.${dueBefore}`)
+        .order('id', { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) {
+        console.error('❌ Supabase error:', error);
+        throw error;
+      }
+
+      prompts.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
     }
-    
-    if (!data || data.length === 0) {
-      console.log('⚠️  No active prompts found');
+
+    if (prompts.length === 0) {
+      console.log('⚠️  No due prompts found');
       return [];
     }
-    
-    console.log(`✅ Found ${data.length} active prompt(s)`);
-    return data;
-    
+
+    console.log(`✅ Found ${prompts.length} due prompt(s)`);
+    return prompts;
+
   } catch (error) {
     console.error('❌ Failed to fetch prompts:', error.message);
     throw error;
   }
 }
 
-async function processPrompt(prompt) {
+// Advance next_run_at for prompts that were queued, one update per cadence
+async function markPromptsRan(prompts, ranAt) {
+  for (const cadence of Object.keys(CADENCES)) {
+    const ids = prompts.filter(p => resolveCadence(p) === cadence).map(p => p.id);
+    if (ids.length === 0) continue;
+
+    const { error } = await supabase
+      .from('prompts')
+      .update({
+        last_run_at: ranAt.toISOString(),
+        next_run_at: computeNextRunAt(cadence, ranAt).toISOString(),
+        skip_count: 0
+      })
+      .in('id', ids);
+
+    if (error) console.error(`❌ Failed to reschedule ${cadence} prompts:`, error.message);
+  }
+}
+
+// Remember prompts that were due but over budget; next_run_at stays in the
+// past so they rank higher on the next run
+async function markPromptsSkipped(prompts, skippedAt) {
+  const byCount = new Map();
+  for (const p of prompts) {
+    const count = p.skip_count || 0;
+    if (!byCount.has(count)) byCount.set(count, []);
+    byCount.get(count).push(p.id);
+  }
+
+  for (const [count, ids] of byCount) {
+    const { error } = await supabase
+      .from('prompts')
+      .update({ skip_count: count + 1, last_skipped_at: skippedAt.toISOString() })
+      .in('id', ids);
+
+    if (error) console.error('❌ Failed to record skipped prompts:', error.message);
+  }
+}
+
+async function processPrompt(prompt, engines) {
   const { id, content, website_id, websites } = prompt;
   
   if (!websites) {
@@ -100,14 +191,16 @@ async function processPrompt(prompt) {
     prompt_id: id,
     prompt_text: content,
     website_id: website_id,
-    engines: ENGINES,
-    locale: 'US'
+    engines,
+    locale: prompt.locale || websites.locale || DEFAULT_LOCALE,
+    ...(SAMPLES > 1 && { samples: SAMPLES })
   };
   
   try {
     console.log(`  📤 Queuing prompt: ${id}`);
     console.log(`     Website: ${websites.domain}`);
-    console.log(`     Engines: ${ENGINES.join(', ')}`);
+    console.log(`     Locale: ${payload.locale}`);
+    console.log(`     Engines: ${engines.join(', ')}`);
     
     if (DRY_RUN === 'true') {
       console.log('     🧪 DRY RUN - Skipping actual API call');
@@ -123,10 +216,17 @@ async function processPrompt(prompt) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        ...(API_KEY && { Authorization: `Bearer ${API_KEY}` }),
       },
       body: JSON.stringify(payload)
     });
     
+    if (response.status === 402) {
+      const body = await response.json().catch(() => ({}));
+      console.log(`     💸 Over budget: ${body.message || 'budget_exceeded'}`);
+      return { success: false, budget_exceeded: true, scope: body.scope, error: 'budget_exceeded' };
+    }
+
     if (!response.ok) {
       const errorText = await response.text();
       console.error(`     ❌ API error (${response.status}): ${errorText}`);
@@ -155,34 +255,63 @@ async function runDailyCron() {
   console.log(`⏰ Time: ${new Date().toISOString()}\n`);
   
   try {
-    // Fetch active prompts
-    const prompts = await fetchActivePrompts();
+    const engines = await fetchEngines();
+    const callsPerPrompt = engines.length * SAMPLES;
+    const maxPrompts = Math.floor(MAX_CALLS / callsPerPrompt);
+    console.log(`🔌 Engines: ${engines.join(', ')}`);
+    console.log(`📝 Max prompts per run: ${maxPrompts} (${engines.length} engines × ${SAMPLES} sample(s) each)`);
+
+    // Fetch due prompts and pick the most overdue ones that fit the budget
+    const runAt = new Date();
+    const duePrompts = await fetchDuePrompts(runAt);
     
-    if (prompts.length === 0) {
+    if (duePrompts.length === 0) {
       console.log('✅ No prompts to process. Job complete.\n');
       return;
     }
+
+    const { selected: prompts, skipped } = selectPrompts(duePrompts, maxPrompts, runAt);
+    if (skipped.length > 0) {
+      console.log(`⚠️  ${skipped.length} due prompt(s) over budget, deferred to the next run`);
+    }
     
     // Process each prompt sequentially
     const results = [];
+    const ran = [];
+    const overBudgetWebsites = new Set();
+    let budgetSkipped = 0;
     let apiCallsUsed = 0;
     
     for (let i = 0; i < prompts.length; i++) {
       const prompt = prompts[i];
+
+      // Websites that hit their monthly budget are skipped for the rest of the run
+      if (overBudgetWebsites.has(prompt.website_id)) {
+        budgetSkipped++;
+        continue;
+      }
       
       // Check if we've hit the limit
-      if (apiCallsUsed + ENGINES_PER_PROMPT > MAX_CALLS) {
+      if (apiCallsUsed + callsPerPrompt > MAX_CALLS) {
         console.log(`\n⚠️  Reached API call limit (${MAX_CALLS}). Stopping.`);
         console.log(`   Processed: ${i}/${prompts.length} prompts`);
+        skipped.push(...prompts.slice(i));
         break;
       }
       
-      console.log(`\n[${i + 1}/${prompts.length}] Processing prompt...`);
-      const result = await processPrompt(prompt);
+      console.log(`\n[${i + 1}/${prompts.length}] Processing prompt (${resolveCadence(prompt)})...`);
+      const result = await processPrompt(prompt, engines);
+
+      if (result.budget_exceeded) {
+        budgetSkipped++;
+        if (result.scope === 'website') overBudgetWebsites.add(prompt.website_id);
+        continue;
+      }
       results.push(result);
       
       if (result.success && !result.dry_run) {
-        apiCallsUsed += ENGINES_PER_PROMPT;
+        apiCallsUsed += callsPerPrompt;
+        ran.push(prompt);
       }
       
       // Small delay between requests to be nice to the API
@@ -191,6 +320,12 @@ async function runDailyCron() {
       }
     }
     
+    // Reschedule what ran; failed prompts stay due and are retried next run
+    if (DRY_RUN !== 'true') {
+      await markPromptsRan(ran, runAt);
+      await markPromptsSkipped(skipped, runAt);
+    }
+
     // Summary
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     const successful = results.filter(r => r.success).length;
@@ -201,6 +336,8 @@ async function runDailyCron() {
     console.log('====================================');
     console.log(`✅ Successful: ${successful}`);
     console.log(`❌ Failed: ${failed}`);
+    console.log(`⏭️  Skipped (over call limit): ${skipped.length}`);
+    console.log(`💸 Skipped (over cost budget): ${budgetSkipped}`);
     console.log(`📞 API calls used: ${apiCallsUsed}/${MAX_CALLS}`);
     console.log(`⏱️  Duration: ${duration}s`);
     console.log('====================================\n');
@@ -211,6 +348,8 @@ async function runDailyCron() {
       total_prompts: prompts.length,
       successful,
       failed,
+      skipped: skipped.length,
+      budget_skipped: budgetSkipped,
       duration,
       api_calls_used: apiCallsUsed,
       max_api_calls: MAX_CALLS
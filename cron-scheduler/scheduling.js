@@ -0,0 +1,66 @@
+/**
+ * Per-prompt scheduling policy
+ *
+ * Every prompt has a cadence (hourly/daily/weekly), taken from the prompt,
+ * else from its website, else daily. A prompt is due once its next_run_at
+ * has passed. When more prompts are due than the run's budget allows, the
+ * most overdue ones go first, so skipped prompts climb the queue instead of
+ * the same tail being dropped every run.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const CADENCES = {
+  hourly: HOUR_MS,
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS
+};
+
+export const DEFAULT_CADENCE = 'daily';
+
+/**
+ * Effective cadence for a prompt row (with its joined website)
+ */
+export function resolveCadence(prompt) {
+  const candidates = [prompt.schedule_cadence, prompt.websites?.schedule_cadence];
+  return candidates.find(c => c && CADENCES[c]) || DEFAULT_CADENCE;
+}
+
+/**
+ * When a prompt that ran at `ranAt` should run next
+ */
+export function computeNextRunAt(cadence, ranAt = new Date()) {
+  return new Date(ranAt.getTime() + CADENCES[cadence]);
+}
+
+/**
+ * How overdue a prompt is, in units of its own cadence.
+ * Never-run prompts rank above everything else, oldest first.
+ */
+export function overdueScore(prompt, now = new Date()) {
+  if (!prompt.next_run_at) {
+    const age = now.getTime() - new Date(prompt.created_at || now).getTime();
+    return Number.MAX_SAFE_INTEGER / 2 + age / HOUR_MS;
+  }
+  const late = now.getTime() - new Date(prompt.next_run_at).getTime();
+  return late / CADENCES[resolveCadence(prompt)];
+}
+
+/**
+ * Split due prompts into the ones to run now and the ones skipped for budget.
+ * Ties on lateness go to the prompt that has been skipped more often.
+ * @param {object[]} duePrompts - Prompts whose next_run_at has passed
+ * @param {number} maxPrompts - Budget for this run
+ * @param {Date} now
+ */
+export function selectPrompts(duePrompts, maxPrompts, now = new Date()) {
+  const ranked = [...duePrompts].sort((a, b) =>
+    (overdueScore(b, now) - overdueScore(a, now)) ||
+    ((b.skip_count || 0) - (a.skip_count || 0))
+  );
+
+  return {
+    selected: ranked.slice(0, Math.max(0, maxPrompts)),
+    skipped: ranked.slice(Math.max(0, maxPrompts))
+  };
+}
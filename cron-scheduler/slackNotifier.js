@@ -1,9 +1,40 @@
 /**
- * Simple Slack notifier - sends cron job summaries to Slack
+ * Simple Slack notifier - sends cron job summaries and change alerts to Slack
  */
 
 const SLACK_WEBHOOK_URL = process.env.SLACK_WEBHOOK_URL;
 
+/**
+ * Post a message (text + blocks) to a Slack incoming webhook
+ * @param {object} message - Slack message payload
+ * @param {string} webhookUrl - Defaults to SLACK_WEBHOOK_URL
+ */
+export async function postSlackMessage(message, webhookUrl = SLACK_WEBHOOK_URL) {
+  if (!webhookUrl) {
+    console.log('[Slack] No webhook URL configured, skipping notification');
+    return false;
+  }
+
+  try {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      redirect: 'manual' // target URLs can come from alert rules (libs/outboundUrls.js)
+    });
+
+    if (!response.ok) {
+      console.error('[Slack] Failed to send:', response.status);
+      return false;
+    }
+
+    return true;
+  } catch (error) {
+    console.error('[Slack] Error:', error.message);
+    return false;
+  }
+}
+
 /**
  * Send a cron job summary to Slack
  */
@@ -18,6 +49,8 @@ export async function sendCronSummary(summary) {
     total_prompts,
     successful,
     failed,
+    skipped = 0,
+    budget_skipped = 0,
     duration,
     api_calls_used,
     max_api_calls
@@ -60,6 +93,14 @@ export async function sendCronSummary(summary) {
             type: "mrkdwn",
             text: `*Success Rate:*\n${successRate}%`
           },
+          {
+            type: "mrkdwn",
+            text: `*⏭️ Skipped (call limit):*\n${skipped}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*💸 Skipped (cost budget):*\n${budget_skipped}`
+          },
           {
             type: "mrkdwn",
             text: `*API Calls:*\n${api_calls_used}/${max_api_calls}`
@@ -82,22 +123,57 @@ export async function sendCronSummary(summary) {
     ]
   };
 
-  try {
-    const response = await fetch(SLACK_WEBHOOK_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(message)
-    });
+  const sent = await postSlackMessage(message);
+  if (sent) console.log('[Slack] ✅ Summary sent successfully');
+  return sent;
+}
 
-    if (!response.ok) {
-      console.error('[Slack] Failed to send:', response.status);
-      return false;
-    }
+/**
+ * Send answer change alerts (see libs/changeDetection.js in the API) to Slack
+ * @param {object[]} events - Change events ({ type, engine, locale, subject, details })
+ * @param {object} context - { rule_name, website_domain, prompt_text }
+ * @param {string} webhookUrl - Rule target, defaults to SLACK_WEBHOOK_URL
+ */
+export async function sendChangeAlert(events, context, webhookUrl = SLACK_WEBHOOK_URL) {
+  const { rule_name, website_domain, prompt_text } = context;
+  const title = `🔔 ${events.length} change(s) for ${website_domain}`;
 
-    console.log('[Slack] ✅ Summary sent successfully');
-    return true;
-  } catch (error) {
-    console.error('[Slack] Error:', error.message);
-    return false;
-  }
+  const message = {
+    text: title,
+    blocks: [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: title,
+          emoji: true
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Prompt:* ${prompt_text || 'n/a'}`
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: events.map(e => `• *${e.engine}* (${e.locale}): ${e.summary}`).join('\n')
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `Rule: ${rule_name} · ⏰ ${new Date().toISOString()}`
+          }
+        ]
+      }
+    ]
+  };
+
+  return postSlackMessage(message, webhookUrl);
 }
@@ -0,0 +1,9 @@
+-- Deterministic brand-mention analysis computed in libs/brandAnalysis.js
+alter table prompt_tracking_results
+  add column if not exists was_mentioned     boolean,
+  add column if not exists mention_count     integer not null default 0,
+  add column if not exists ranking_position  integer,
+  add column if not exists domain_cited      boolean,
+  add column if not exists brand_analysis    jsonb;
+
+create index if not exists ptr_was_mentioned_idx on prompt_tracking_results (prompt_id, engine, was_mentioned);
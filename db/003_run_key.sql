@@ -0,0 +1,7 @@
+-- Stable per-run key (job id + engine + prompt_id) so BullMQ retries upsert
+-- their own row instead of inserting duplicates
+alter table prompt_tracking_results
+  add column if not exists run_key text;
+
+create unique index if not exists ptr_run_key_uidx
+  on prompt_tracking_results (run_key);
@@ -0,0 +1,15 @@
+-- Per-prompt / per-website scheduling cadence read by cron-scheduler
+alter table websites
+  add column if not exists schedule_cadence text
+    check (schedule_cadence in ('hourly', 'daily', 'weekly'));
+
+alter table prompts
+  add column if not exists schedule_cadence text
+    check (schedule_cadence in ('hourly', 'daily', 'weekly')),
+  add column if not exists next_run_at      timestamptz,
+  add column if not exists last_run_at      timestamptz,
+  add column if not exists last_skipped_at  timestamptz,
+  add column if not exists skip_count       integer not null default 0;
+
+create index if not exists prompts_due_idx
+  on prompts (next_run_at nulls first) where is_active;
@@ -0,0 +1,46 @@
+-- Cost ledger: one row per billable step of a run (provider call, brand extraction)
+create table if not exists cost_ledger (
+  id               uuid primary key default gen_random_uuid(),
+  created_at       timestamptz not null default now(),
+
+  result_id        uuid not null,      -- prompt_tracking_results.id
+  run_key          text,
+  prompt_id        uuid,
+  website_id       uuid,
+  user_id          text,
+
+  engine           text,
+  kind             text not null check (kind in ('provider', 'brand_extraction')),
+  amount_usd       numeric(12,6) not null default 0,
+  details          jsonb
+);
+
+-- Retries upsert their own entry instead of charging twice
+create unique index if not exists cost_ledger_result_kind_uidx on cost_ledger (result_id, kind);
+create index if not exists cost_ledger_website_idx on cost_ledger (website_id, created_at);
+create index if not exists cost_ledger_user_idx on cost_ledger (user_id, created_at);
+
+-- Monthly USD budgets per website or per user
+create table if not exists cost_budgets (
+  id                 uuid primary key default gen_random_uuid(),
+  created_at         timestamptz not null default now(),
+  updated_at         timestamptz not null default now(),
+  scope              text not null check (scope in ('website', 'user')),
+  scope_id           text not null,
+  monthly_limit_usd  numeric(12,2) not null check (monthly_limit_usd >= 0),
+  unique (scope, scope_id)
+);
+
+-- Spend per scope per calendar month (UTC)
+create or replace view cost_spend_monthly as
+  select 'website'::text as scope, website_id::text as scope_id,
+         date_trunc('month', created_at at time zone 'utc') as period,
+         sum(amount_usd) as spent_usd
+    from cost_ledger where website_id is not null
+   group by 1, 2, 3
+  union all
+  select 'user'::text, user_id,
+         date_trunc('month', created_at at time zone 'utc'),
+         sum(amount_usd)
+    from cost_ledger where user_id is not null
+   group by 1, 2, 3;
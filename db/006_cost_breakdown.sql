@@ -0,0 +1,4 @@
+-- Per-result cost breakdown (tokens, search calls, pricing version) from libs/pricing.js,
+-- same shape as prompt_runs.cost_breakdown
+alter table prompt_tracking_results
+  add column if not exists cost_breakdown jsonb;
@@ -0,0 +1,7 @@
+-- Locale (BCP 47 tag, e.g. 'es-MX') per website, optionally overridden per prompt.
+-- The cron scheduler sends prompt.locale, else website.locale, else 'en-US'.
+alter table websites
+  add column if not exists locale text;
+
+alter table prompts
+  add column if not exists locale text;
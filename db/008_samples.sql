@@ -0,0 +1,35 @@
+-- Multi-sample runs: each sample is its own result row, tagged with its group
+alter table prompt_tracking_results
+  add column if not exists group_id uuid,
+  add column if not exists sample_index int;
+
+create index if not exists ptr_group_idx on prompt_tracking_results (group_id);
+
+-- One aggregate per engine per multi-sample group (libs/samples.js)
+create table if not exists prompt_sample_aggregates (
+  id                 uuid primary key default gen_random_uuid(),
+  created_at         timestamptz not null default now(),
+  updated_at         timestamptz not null default now(),
+
+  group_id           uuid not null,
+  prompt_id          uuid not null,
+  website_id         uuid,
+  engine             text not null,
+  locale             text,
+
+  samples_requested  int not null,
+  samples_completed  int not null,
+  mention_rate       numeric(5,4),
+  mention_rate_ci    numeric[],
+  domain_cited_rate  numeric(5,4),
+  rank_mean          numeric(6,2),
+  rank_stdev         numeric(6,2),
+  rank_ci            numeric[],
+  citation_domains   jsonb,          -- [{ domain, count, rate }]
+  answer_similarity  numeric(5,4),   -- mean pairwise Jaccard of answer word sets
+  result_ids         uuid[],
+
+  unique (group_id, engine)
+);
+
+create index if not exists psa_prompt_idx on prompt_sample_aggregates (prompt_id, created_at);
@@ -0,0 +1,6 @@
+-- Trend endpoints (libs/trends.js) read results by prompt and time window
+create index if not exists ptr_prompt_checked_idx
+  on prompt_tracking_results (prompt_id, checked_at);
+
+create index if not exists ptr_checked_idx
+  on prompt_tracking_results (checked_at);
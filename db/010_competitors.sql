@@ -0,0 +1,14 @@
+-- Competitor set per website for share of voice (libs/shareOfVoice.js).
+-- Seeded from the most frequently extracted brands, then edited by hand.
+create table if not exists website_competitors (
+  id          uuid primary key default gen_random_uuid(),
+  created_at  timestamptz not null default now(),
+  website_id  uuid not null references websites(id) on delete cascade,
+  name        text not null,
+  domain      text,
+  aliases     text[] not null default '{}',
+  source      text not null default 'manual' check (source in ('manual', 'seeded'))
+);
+
+create unique index if not exists website_competitors_name_uidx
+  on website_competitors (website_id, lower(name));
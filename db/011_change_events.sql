@@ -0,0 +1,46 @@
+-- Changes between consecutive results of a prompt/engine/locale (libs/changeDetection.js)
+create table if not exists change_events (
+  id                  uuid primary key default gen_random_uuid(),
+  created_at          timestamptz not null default now(),
+
+  result_id           uuid not null,   -- the newer result
+  previous_result_id  uuid not null,
+  website_id          uuid,
+  prompt_id           uuid not null,
+  engine              text not null,
+  locale              text,
+
+  type                text not null check (type in (
+                        'mention_gained', 'mention_lost', 'rank_changed',
+                        'citation_added', 'citation_removed',
+                        'sentiment_shift', 'competitor_top')),
+  subject             text not null default '',  -- domain or brand, '' for our own mention/rank
+  details             jsonb,                     -- { from, to, delta, ... }
+  summary             text
+);
+
+-- Detection can run more than once per result (retries, several listeners)
+create unique index if not exists change_events_result_type_subject_uidx
+  on change_events (result_id, type, subject);
+create index if not exists change_events_website_idx on change_events (website_id, created_at desc);
+
+-- Per-website alert rules: which change events to send where
+create table if not exists alert_rules (
+  id                   uuid primary key default gen_random_uuid(),
+  created_at           timestamptz not null default now(),
+  updated_at           timestamptz not null default now(),
+  website_id           uuid not null references websites(id) on delete cascade,
+  name                 text not null,
+  enabled              boolean not null default true,
+
+  event_types          text[] not null default '{}',   -- empty = every type
+  engines              text[] not null default '{}',   -- empty = every engine
+  min_rank_delta       integer not null default 1,
+  min_sentiment_delta  integer not null default 10,
+  own_citations_only   boolean not null default true,  -- citation events for our domain only
+
+  channel              text not null check (channel in ('slack', 'webhook')),
+  target_url           text                            -- null = SLACK_WEBHOOK_URL (slack only)
+);
+
+create index if not exists alert_rules_website_idx on alert_rules (website_id) where enabled;
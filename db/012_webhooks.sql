@@ -0,0 +1,39 @@
+-- Outbound webhook subscriptions per user or website (libs/webhooks.js)
+create table if not exists webhook_subscriptions (
+  id          uuid primary key default gen_random_uuid(),
+  created_at  timestamptz not null default now(),
+  updated_at  timestamptz not null default now(),
+  scope       text not null check (scope in ('user', 'website')),
+  scope_id    text not null,
+  url         text not null,
+  secret      text not null,             -- HMAC key, returned once at creation
+  events      text[] not null,           -- run.completed, run.failed, batch.completed
+  enabled     boolean not null default true
+);
+
+create index if not exists webhook_subscriptions_scope_idx
+  on webhook_subscriptions (scope, scope_id) where enabled;
+
+-- Delivery log: one row per subscription and event, updated on every attempt
+create table if not exists webhook_deliveries (
+  id               uuid primary key default gen_random_uuid(),
+  created_at       timestamptz not null default now(),
+  subscription_id  uuid not null references webhook_subscriptions(id) on delete cascade,
+  event_id         text not null,
+  event_type       text not null,
+  payload          jsonb not null,
+
+  status           text not null default 'pending'
+                     check (status in ('pending', 'retrying', 'delivered', 'failed', 'cancelled')),
+  attempts         integer not null default 0,
+  last_attempt_at  timestamptz,
+  delivered_at     timestamptz,
+  response_status  integer,
+  response_body    text,
+  error            text
+);
+
+create unique index if not exists webhook_deliveries_event_uidx
+  on webhook_deliveries (subscription_id, event_id);
+create index if not exists webhook_deliveries_subscription_idx
+  on webhook_deliveries (subscription_id, created_at desc);
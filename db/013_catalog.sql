@@ -0,0 +1,28 @@
+-- Website / prompt / topic management API (libs/catalog.js).
+-- websites.user_id is the JWT `sub` of the owner; rows created before this
+-- migration have no owner and are invisible to the API until backfilled:
+--   update websites set user_id = '<sub>' where user_id is null;
+alter table websites add column if not exists user_id text;
+alter table websites add column if not exists created_at timestamptz not null default now();
+alter table websites add column if not exists updated_at timestamptz;
+
+create index if not exists websites_user_idx on websites (user_id, created_at);
+create unique index if not exists websites_user_domain_uidx on websites (user_id, domain);
+
+create table if not exists topics (
+  id          uuid primary key default gen_random_uuid(),
+  created_at  timestamptz not null default now(),
+  website_id  uuid not null references websites(id) on delete cascade,
+  name        text not null,
+  description text
+);
+
+create unique index if not exists topics_name_uidx on topics (website_id, lower(name));
+
+alter table prompts add column if not exists topic_id uuid references topics(id) on delete set null;
+alter table prompts add column if not exists tags text[] not null default '{}';
+alter table prompts add column if not exists created_at timestamptz not null default now();
+alter table prompts add column if not exists updated_at timestamptz;
+
+create index if not exists prompts_topic_idx on prompts (topic_id);
+create index if not exists prompts_tags_idx on prompts using gin (tags);
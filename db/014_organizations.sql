@@ -0,0 +1,23 @@
+-- Organizations and roles (libs/access.js).
+-- A website is visible to its owner (websites.user_id) and, when org_id is
+-- set, to the organization's members with their role.
+create table if not exists organizations (
+  id          uuid primary key default gen_random_uuid(),
+  created_at  timestamptz not null default now(),
+  name        text not null,
+  created_by  text not null
+);
+
+create table if not exists organization_members (
+  org_id      uuid not null references organizations(id) on delete cascade,
+  user_id     text not null,
+  role        text not null check (role in ('viewer', 'editor', 'admin')),
+  created_at  timestamptz not null default now(),
+  primary key (org_id, user_id)
+);
+
+create index if not exists organization_members_user_idx on organization_members (user_id);
+
+alter table websites add column if not exists org_id uuid references organizations(id) on delete set null;
+
+create index if not exists websites_org_idx on websites (org_id);
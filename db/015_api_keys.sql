@@ -0,0 +1,18 @@
+-- API keys for server-to-server callers (libs/apiKeys.js).
+-- Only the SHA-256 hash of a key is stored. user_id is the user the key acts
+-- as; null marks a service key (cron scheduler) that acts for every website.
+create table if not exists api_keys (
+  id                     uuid primary key default gen_random_uuid(),
+  created_at             timestamptz not null default now(),
+  user_id                text,
+  created_by             text not null,
+  name                   text not null,
+  prefix                 text not null,
+  key_hash               text not null unique,
+  scopes                 text[] not null check (scopes <@ array['runs:write', 'runs:read', 'analytics:read']),
+  rate_limit_per_minute  integer not null default 60 check (rate_limit_per_minute > 0),
+  last_used_at           timestamptz,
+  revoked_at             timestamptz
+);
+
+create index if not exists api_keys_created_by_idx on api_keys (created_by, created_at);
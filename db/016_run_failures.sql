@@ -0,0 +1,23 @@
+-- Final failures of engine jobs with their classification (libs/providerErrors.js).
+-- Lets the status endpoints explain a failure after BullMQ has removed the job.
+create table if not exists run_failures (
+  id            uuid primary key default gen_random_uuid(),
+  created_at    timestamptz not null default now(),
+  job_id        text not null,
+  engine        text not null,
+  prompt_id     uuid,
+  website_id    uuid,
+  user_id       text,
+  group_id      uuid,
+  sample_index  integer,
+  error_kind    text not null check (error_kind in (
+    'auth', 'quota', 'invalid_request', 'content_refusal', 'rate_limit',
+    'network', 'provider_5xx', 'empty_answer', 'unknown'
+  )),
+  http_status   integer,
+  message       text,
+  attempts      integer not null default 0
+);
+
+create unique index if not exists run_failures_job_uidx on run_failures (engine, job_id);
+create index if not exists run_failures_website_idx on run_failures (website_id, created_at desc);
@@ -0,0 +1,4 @@
+-- Headings, lists and tables parsed from answer_markdown (libs/answerStructure.js).
+-- ranking_position is the brand's place in the first list or table about it.
+alter table prompt_tracking_results
+  add column if not exists answer_structure jsonb;
@@ -0,0 +1,6 @@
+-- Searches an engine ran and the pages it retrieved, cited or not (libs/retrieval.js)
+alter table prompt_tracking_results
+  add column if not exists fan_out_queries   text[] not null default '{}',
+  add column if not exists retrieved_sources jsonb not null default '[]'::jsonb;
+
+create index if not exists ptr_fan_out_queries_idx on prompt_tracking_results using gin (fan_out_queries);
@@ -0,0 +1,63 @@
+// ESM
+import { normalizeResponse } from '../libs/normalize.js';
+import { reportedCost } from '../libs/pricing.js';
+
+/**
+ * @typedef {object} EngineAdapter
+ * @property {string} name - Engine id used in requests and job data (e.g. 'chatgpt')
+ * @property {string} label - Human readable name
+ * @property {string} provider - Who we pay for the call (e.g. 'dataforseo', 'openrouter')
+ * @property {string} queue - BullMQ queue name
+ * @property {object} capabilities - { citations, web_search, geo: 'native' | 'user_location' | 'prompt' } (see libs/locales.js)
+ * @property {{ max: number, duration: number } | null} rateLimit - Default provider limit for the worker (BullMQ limiter, duration in ms); ENGINE_RATE_LIMITS overrides it
+ * @property {() => void} validateConfig - Throws if required env vars are missing
+ * @property {(jobData: object) => Promise<object>} query - Calls the provider, returns its raw response
+ * @property {(raw: object) => object} toDataForSEO - Wraps the raw response in the DataForSEO task shape
+ * @property {(raw: object) => object} costBreakdown - Cost breakdown from the usage the provider returned (libs/pricing.js)
+ * @property {(raw: object) => number} cost - Provider cost in USD for one call (costBreakdown().total)
+ * @property {(raw: object, brandContext: object, jobData: object) => object} normalize
+ * @property {(raw: object, normalized: object) => object} resultExtras - Engine-specific fields for the job return value
+ */
+
+/**
+ * Fill in adapter defaults and check the required members
+ * @param {object} spec - Partial adapter
+ * @returns {EngineAdapter}
+ */
+export function defineEngine(spec) {
+  for (const key of ['name', 'query']) {
+    if (!spec[key]) throw new Error(`Engine adapter is missing "${key}"`);
+  }
+
+  const adapter = {
+    label: spec.name,
+    provider: 'dataforseo',
+    queue: `prompt-${spec.name}`,
+    capabilities: {},
+    rateLimit: null,
+    validateConfig: () => {},
+    toDataForSEO: (raw) => raw,
+    // DataForSEO bills per task and reports it
+    costBreakdown: (raw) => reportedCost({
+      provider: 'dataforseo',
+      model: raw?.tasks?.[0]?.result?.[0]?.model || null,
+      total: raw?.tasks?.[0]?.cost || 0
+    }),
+    resultExtras: () => ({}),
+    ...spec
+  };
+
+  if (!spec.cost) {
+    adapter.cost = (raw) => adapter.costBreakdown(raw).total;
+  }
+
+  if (!spec.normalize) {
+    adapter.normalize = (raw, brandContext, jobData = {}) => {
+      const normalized = normalizeResponse(adapter.name, adapter.toDataForSEO(raw), brandContext, jobData);
+      const cost_breakdown = adapter.costBreakdown(raw);
+      return { ...normalized, cost: cost_breakdown.total, cost_breakdown };
+    };
+  }
+
+  return adapter;
+}
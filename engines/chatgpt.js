@@ -0,0 +1,20 @@
+// ESM
+import { defineEngine } from './adapter.js';
+import { queryDataForSEO, validateDataForSEOConfig, dataForSEOUrl } from './dataforseo.js';
+
+// ChatGPT via DataForSEO LLM Scraper
+export default defineEngine({
+  name: 'chatgpt',
+  label: 'ChatGPT',
+  provider: 'dataforseo',
+  queue: 'prompt-chatgpt',
+  capabilities: { citations: true, web_search: true, geo: 'native' },
+
+  validateConfig: validateDataForSEOConfig,
+
+  query: ({ prompt_text, locale }) => queryDataForSEO(
+    dataForSEOUrl('/v3/ai_optimization/chat_gpt/llm_scraper/live/advanced'),
+    prompt_text,
+    locale
+  )
+});
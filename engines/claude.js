@@ -0,0 +1,147 @@
+// ESM
+import OpenAI from 'openai';
+import { defineEngine } from './adapter.js';
+import { priceUsage, reportedCost } from '../libs/pricing.js';
+import { localeInstruction, DEFAULT_LOCALE } from '../libs/locales.js';
+import { ProviderError } from '../libs/providerErrors.js';
+
+const { OPENROUTER_API_KEY, OPENROUTER_BASE_URL = 'https://openrouter.ai/api/v1' } = process.env;
+
+const DEFAULT_MODEL = 'anthropic/claude-4.5-sonnet';
+
+// Function to query Claude via OpenRouter API
+async function queryClaude(prompt, locale = DEFAULT_LOCALE, model = DEFAULT_MODEL) {
+  const client = new OpenAI({
+    baseURL: OPENROUTER_BASE_URL,
+    apiKey: OPENROUTER_API_KEY,
+  });
+
+  const completion = await client.chat.completions.create({
+    extra_headers: {
+      "HTTP-Referer": "https://ai-search-api.com", // Optional: for OpenRouter rankings
+      "X-Title": "AI Search API", // Optional: for OpenRouter rankings
+    },
+    model: model,
+    messages: [
+      {
+        role: "system",
+        content: `You are a helpful AI assistant with access to current information. Provide comprehensive, well-researched answers with specific facts and data. ALWAYS include citations and sources when making factual claims. Format sources as [Source: URL or publication name]. Include relevant URLs when available. Be thorough but concise. ${localeInstruction(locale)}`
+      },
+      {
+        role: "user",
+        content: `${prompt}\n\nPlease provide detailed citations and sources for all factual claims in your response.`
+      }
+    ],
+    temperature: 0.1, // Lower temperature for more factual responses
+    max_tokens: 4096, // Allow longer responses
+    usage: { include: true }, // Ask OpenRouter to report the billed cost
+  });
+
+  const choice = completion.choices[0];
+  if (choice?.finish_reason === 'content_filter' || choice?.message?.refusal) {
+    throw new ProviderError('content_refusal', `Claude refused to answer: ${choice.message?.refusal || choice.finish_reason}`);
+  }
+  // An empty answer is caught (and retried) by the engine runner
+  const response = choice?.message?.content || '';
+  
+  // Extract URLs from the response
+  const urlRegex = /https?:\/\/[^\s\)\]]+/g;
+  const urls = response.match(urlRegex) || [];
+  
+  // Extract citation patterns like [Source: ...] or [1] or (Source: ...)
+  const citationRegex = /\[(?:Source:|Ref:|Citation:)?\s*([^\]]+)\]|\((?:Source:|Ref:|Citation:)\s*([^)]+)\)/gi;
+  const citationMatches = [...response.matchAll(citationRegex)];
+  
+  // Combine URLs and citation text to create sources
+  const sources = [];
+  const seenUrls = new Set();
+  
+  // Add URLs as sources
+  urls.forEach((url, index) => {
+    if (!seenUrls.has(url)) {
+      seenUrls.add(url);
+      sources.push({
+        url: url,
+        title: `Source ${sources.length + 1}`,
+        citation_number: sources.length + 1
+      });
+    }
+  });
+  
+  // Add citation text as sources (for non-URL citations)
+  citationMatches.forEach((match) => {
+    const citationText = match[1] || match[2];
+    if (citationText && !citationText.startsWith('http') && citationText.length > 5) {
+      sources.push({
+        url: null,
+        title: citationText.trim(),
+        citation_number: sources.length + 1,
+        type: 'text_citation'
+      });
+    }
+  });
+
+  return {
+    text: response,
+    originalText: response,
+    sources: sources,
+    model: model,
+    usage: completion.usage
+  };
+}
+
+// Claude via OpenRouter
+const claude = defineEngine({
+  name: 'claude',
+  label: 'Claude',
+  provider: 'openrouter',
+  queue: 'prompt-claude',
+  capabilities: { citations: true, web_search: false, geo: 'prompt' },
+
+  validateConfig() {
+    if (!OPENROUTER_API_KEY) throw new Error('Missing OPENROUTER_API_KEY');
+  },
+
+  query: ({ prompt_text, locale, model = DEFAULT_MODEL }) => queryClaude(prompt_text, locale, model),
+
+  // OpenRouter reports usage.cost when asked; fall back to the pricing table
+  costBreakdown(raw) {
+    const usage = raw.usage || {};
+    const tokens = {
+      input_tokens: usage.prompt_tokens || 0,
+      output_tokens: usage.completion_tokens || 0, // already includes reasoning tokens
+      reasoning_tokens: 0
+    };
+
+    if (typeof usage.cost === 'number') {
+      return reportedCost({ provider: 'openrouter', model: raw.model, ...tokens, total: usage.cost });
+    }
+    return priceUsage({ provider: 'openrouter', model: raw.model, ...tokens });
+  },
+
+  toDataForSEO: (raw) => ({
+    tasks: [{
+      cost: claude.cost(raw),
+      result: [{
+        markdown: raw.text,
+        answer: raw.text,
+        sources: raw.sources,
+        citations: raw.sources.map((source, index) => ({
+          number: index + 1,
+          url: source.url,
+          title: source.title,
+          text: `Citation ${index + 1}`,
+          type: source.type
+        })),
+        model: raw.model
+      }]
+    }]
+  }),
+
+  resultExtras: (raw) => ({
+    model: raw.model,
+    tokens_used: raw.usage?.total_tokens || 0
+  })
+});
+
+export default claude;
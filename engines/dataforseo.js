@@ -0,0 +1,69 @@
+// ESM
+// Shared helpers for engines served through DataForSEO
+import { dataForSEOLocation, DEFAULT_LOCALE } from '../libs/locales.js';
+import { providerHttpError, ProviderError } from '../libs/providerErrors.js';
+
+const { DATAFORSEO_USERNAME, DATAFORSEO_PASSWORD, DATAFORSEO_BASE_URL = 'https://api.dataforseo.com' } = process.env;
+
+/**
+ * Full endpoint URL for a DataForSEO API path (DATAFORSEO_BASE_URL points
+ * tests at a local stand-in)
+ * @param {string} path - e.g. '/v3/serp/google/ai_mode/live/advanced'
+ */
+export function dataForSEOUrl(path) {
+  return `${DATAFORSEO_BASE_URL.replace(/\/+$/, '')}${path}`;
+}
+
+// Helper function to create Basic Auth header
+function createBasicAuthHeader(username, password) {
+  const credentials = Buffer.from(`${username}:${password}`).toString('base64');
+  return { 'Authorization': `Basic ${credentials}`, 'Content-Type': 'application/json' };
+}
+
+// DataForSEO reports most errors in the body (status_code), often with HTTP 200
+function dataForSEOError(code, message) {
+  let kind = 'invalid_request';
+  if (code === 40100 || code === 40101) kind = 'auth';
+  else if (code === 40102) kind = 'empty_answer'; // No search results
+  else if (code === 40202) kind = 'rate_limit';
+  else if (code >= 40200 && code < 40300) kind = 'quota';
+  else if (code >= 50000) kind = 'provider_5xx';
+  return new ProviderError(kind, `DataForSEO API failed: ${code} ${message || ''}`.trim());
+}
+
+export function validateDataForSEOConfig() {
+  if (!DATAFORSEO_USERNAME) throw new Error('Missing DATAFORSEO_USERNAME');
+  if (!DATAFORSEO_PASSWORD) throw new Error('Missing DATAFORSEO_PASSWORD');
+}
+
+/**
+ * POST a single live task to DataForSEO
+ * @param {string} url - Endpoint URL
+ * @param {string} prompt - The prompt / keyword
+ * @param {string} locale - Locale tag (e.g. 'es-MX')
+ */
+export async function queryDataForSEO(url, prompt, locale = DEFAULT_LOCALE) {
+  const { location_code, language_code } = dataForSEOLocation(locale);
+
+  const payload = [{
+    "language_code": language_code,
+    "location_code": location_code,
+    "keyword": encodeURI(prompt)
+  }];
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: createBasicAuthHeader(DATAFORSEO_USERNAME, DATAFORSEO_PASSWORD),
+    body: JSON.stringify(payload)
+  });
+
+  if (!response.ok) {
+    throw await providerHttpError('DataForSEO', response);
+  }
+
+  const json = await response.json();
+  const task = json.tasks?.[0];
+  const code = task?.status_code ?? json.status_code;
+  if (code >= 40000) throw dataForSEOError(code, task?.status_message || json.status_message);
+  return json;
+}
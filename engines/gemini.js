@@ -0,0 +1,136 @@
+// ESM
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { defineEngine } from './adapter.js';
+import { priceUsage } from '../libs/pricing.js';
+import { localeInstruction, DEFAULT_LOCALE } from '../libs/locales.js';
+import { resolveRedirects } from '../libs/citations.js';
+
+const { GEMINI_API_KEY, GEMINI_BASE_URL } = process.env;
+
+const MODEL = 'gemini-2.5-flash';
+
+// Function to query Google Gemini API
+async function queryGemini(prompt, locale = DEFAULT_LOCALE) {
+  const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+
+  // Use gemini-2.5-flash for search capabilities and citations
+  const model = genAI.getGenerativeModel({
+    model: MODEL,
+    generationConfig: {
+      temperature: 0.1,  // Lower temperature for more factual responses
+      topP: 0.8,
+      topK: 40,
+      maxOutputTokens: 4096,  // Allow longer responses
+    },
+    tools: [{
+      google_search: {}
+    }],
+    systemInstruction: `You are a helpful AI assistant with access to Google Search. When answering questions, provide comprehensive, well-researched answers with specific facts, data, and citations from reliable sources. Include links to your sources whenever possible. Be thorough but concise. ${localeInstruction(locale)}`
+  }, { baseUrl: GEMINI_BASE_URL }); // unset: the SDK's default endpoint
+
+  const result = await model.generateContent(prompt);
+  const response = await result.response;
+
+  // Extract text and any grounding metadata
+  const text = response.text();
+  const groundingMetadata = response.candidates?.[0]?.groundingMetadata;
+
+  // One citation per grounding support and chunk, in reading order, with the
+  // range of the answer it supports (libs/citations.js). The answer text is
+  // kept as returned; Gemini's segment indices are UTF-8 byte offsets.
+  const charOffset = utf16Offsets(text);
+  const citations = [];
+  const sources = [];
+
+  if (groundingMetadata?.groundingSupports && groundingMetadata?.groundingChunks) {
+    const supports = [...groundingMetadata.groundingSupports]
+      .sort((a, b) => (a.segment?.startIndex || 0) - (b.segment?.startIndex || 0));
+
+    supports.forEach(support => {
+      (support.groundingChunkIndices || []).forEach(chunkIndex => {
+        const chunk = groundingMetadata.groundingChunks[chunkIndex];
+        if (!chunk?.web) return;
+
+        citations.push({
+          url: chunk.web.uri,
+          title: chunk.web.title || 'Source',
+          text: support.segment?.text || '',
+          start: charOffset(support.segment?.startIndex || 0), // zero is omitted by the API
+          end: charOffset(support.segment?.endIndex || 0)
+        });
+
+        // Add to sources if not already present
+        if (!sources.find(s => s.url === chunk.web.uri)) {
+          sources.push({
+            url: chunk.web.uri,
+            title: chunk.web.title || 'Source'
+          });
+        }
+      });
+    });
+  }
+
+  return {
+    text,
+    groundingMetadata: groundingMetadata,
+    citations: citations,
+    sources: sources,
+    // Grounding links are vertexaisearch redirects; resolve them while they
+    // are fresh, also for chunks no support cites (libs/retrieval.js)
+    redirects: await resolveRedirects((groundingMetadata?.groundingChunks || []).map(chunk => chunk.web?.uri).filter(Boolean)),
+    searchQueries: groundingMetadata?.webSearchQueries || [],
+    usageMetadata: response.usageMetadata || null,
+    model: MODEL
+  };
+}
+
+// Byte offset in the UTF-8 encoding of `text` -> string index
+function utf16Offsets(text) {
+  const bytes = Buffer.from(text, 'utf8');
+  return (byteOffset) => bytes.subarray(0, byteOffset).toString('utf8').length;
+}
+
+// Gemini with Google Search grounding (direct API)
+const gemini = defineEngine({
+  name: 'gemini',
+  label: 'Gemini',
+  provider: 'google',
+  queue: 'prompt-gemini',
+  capabilities: { citations: true, web_search: true, geo: 'prompt' },
+
+  validateConfig() {
+    if (!GEMINI_API_KEY) throw new Error('Missing GEMINI_API_KEY');
+  },
+
+  query: ({ prompt_text, locale }) => queryGemini(prompt_text, locale),
+
+  // Token usage from usageMetadata (thinking tokens bill as output);
+  // a grounded answer is one billed search call
+  costBreakdown: (raw) => priceUsage({
+    provider: 'google',
+    model: raw.model || MODEL,
+    input_tokens: raw.usageMetadata?.promptTokenCount || 0,
+    output_tokens: raw.usageMetadata?.candidatesTokenCount || 0,
+    reasoning_tokens: raw.usageMetadata?.thoughtsTokenCount || 0,
+    search_calls: raw.searchQueries?.length > 0 ? 1 : 0
+  }),
+
+  toDataForSEO: (raw) => ({
+    tasks: [{
+      cost: gemini.cost(raw),
+      result: [{
+        // Responses stored before citations had spans carry the marked-up text in `text`
+        markdown: raw.originalText ?? raw.text,
+        answer: raw.originalText ?? raw.text,
+        sources: raw.sources,
+        citations: raw.citations,
+        redirects: raw.redirects || {},
+        search_queries: raw.searchQueries || [],
+        grounding_chunks: raw.groundingMetadata?.groundingChunks || [],
+        model: raw.model || MODEL
+      }]
+    }]
+  })
+});
+
+export default gemini;
@@ -0,0 +1,20 @@
+// ESM
+import { defineEngine } from './adapter.js';
+import { queryDataForSEO, validateDataForSEOConfig, dataForSEOUrl } from './dataforseo.js';
+
+// Google AI Mode via DataForSEO SERP API
+export default defineEngine({
+  name: 'google',
+  label: 'Google AI Mode',
+  provider: 'dataforseo',
+  queue: 'prompt-google',
+  capabilities: { citations: true, web_search: true, geo: 'native' },
+
+  validateConfig: validateDataForSEOConfig,
+
+  query: ({ prompt_text, locale }) => queryDataForSEO(
+    dataForSEOUrl('/v3/serp/google/ai_mode/live/advanced'),
+    prompt_text,
+    locale
+  )
+});
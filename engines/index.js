@@ -0,0 +1,45 @@
+// ESM
+import chatgpt from './chatgpt.js';
+import perplexity from './perplexity.js';
+import gemini from './gemini.js';
+import google from './google.js';
+import claude from './claude.js';
+
+export { defineEngine } from './adapter.js';
+
+// ============================================================================
+// ENGINE ADAPTER REGISTRY
+// The API (queues, validation, batch defaults), the generic worker and the
+// cron scheduler (via GET /api/v1/engines) all read the engine list from here.
+// Adding an engine means writing one adapter module and listing it below.
+// ============================================================================
+
+const adapters = [chatgpt, perplexity, gemini, google, claude];
+
+const registry = new Map(adapters.map(adapter => [adapter.name, adapter]));
+
+/** All registered adapters, in registration order */
+export function listEngines() {
+  return [...registry.values()];
+}
+
+/** Registered engine names, in registration order */
+export function engineNames() {
+  return [...registry.keys()];
+}
+
+/** Adapter by name, or null */
+export function getEngine(name) {
+  return registry.get(name) || null;
+}
+
+/** Public description of an adapter (no functions) */
+export function describeEngine(adapter) {
+  return {
+    name: adapter.name,
+    label: adapter.label,
+    provider: adapter.provider,
+    queue: adapter.queue,
+    capabilities: adapter.capabilities
+  };
+}
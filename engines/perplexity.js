@@ -0,0 +1,120 @@
+// ESM
+import { defineEngine } from './adapter.js';
+import { priceUsage, reportedCost } from '../libs/pricing.js';
+import { resolveLocale, localeInstruction, DEFAULT_LOCALE } from '../libs/locales.js';
+import { providerHttpError } from '../libs/providerErrors.js';
+
+const { PERPLEXITY_API_KEY, PERPLEXITY_BASE_URL = 'https://api.perplexity.ai' } = process.env;
+
+// Function to query Perplexity API
+async function queryPerplexity(prompt, locale = DEFAULT_LOCALE, model = 'sonar') {
+  const url = `${PERPLEXITY_BASE_URL.replace(/\/+$/, '')}/chat/completions`;
+
+  const payload = {
+    model: model,
+    search_mode: 'web',
+    web_search_options: {
+      user_location: { country: resolveLocale(locale).country }
+    },
+    messages: [
+      {
+        role: 'system',
+        content: `Provide detailed, well-researched answers and include citations to sources whenever possible. ${localeInstruction(locale)}`
+      },
+      {
+        role: 'user',
+        content: prompt
+      }
+    ]
+  };
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${PERPLEXITY_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(payload)
+  });
+
+  if (!response.ok) {
+    throw await providerHttpError('Perplexity', response);
+  }
+
+  return await response.json();
+}
+
+// Function to extract answer from Perplexity response
+function extractAnswer(perplexityResponse) {
+  if (perplexityResponse && perplexityResponse.choices && perplexityResponse.choices.length > 0) {
+    const choice = perplexityResponse.choices[0];
+    if (choice && choice.message) {
+      return choice.message.content || null;
+    }
+  }
+  return null;
+}
+
+// Perplexity Sonar (direct API)
+const perplexity = defineEngine({
+  name: 'perplexity',
+  label: 'Perplexity',
+  provider: 'perplexity',
+  queue: 'prompt-perplexity',
+  capabilities: { citations: true, web_search: true, geo: 'user_location' },
+
+  validateConfig() {
+    if (!PERPLEXITY_API_KEY) throw new Error('Missing PERPLEXITY_API_KEY');
+  },
+
+  query: ({ prompt_text, locale }) => queryPerplexity(prompt_text, locale),
+
+  // Perplexity reports usage.cost itself; fall back to the pricing table
+  costBreakdown(raw) {
+    if (raw?.tasks) {
+      return reportedCost({ provider: 'dataforseo', model: raw.tasks[0]?.result?.[0]?.model || null, total: raw.tasks[0]?.cost || 0 });
+    }
+
+    const usage = raw?.usage || {};
+    const model = raw?.model || 'sonar';
+    if (usage.cost?.total_cost !== undefined) {
+      return reportedCost({
+        provider: 'perplexity',
+        model,
+        input_tokens: usage.prompt_tokens || 0,
+        output_tokens: usage.completion_tokens || 0,
+        reasoning_tokens: usage.reasoning_tokens || 0,
+        search_calls: usage.num_search_queries || 0,
+        input_cost: usage.cost.input_tokens_cost || 0,
+        output_cost: usage.cost.output_tokens_cost || 0,
+        request_cost: usage.cost.request_cost || 0,
+        total: usage.cost.total_cost
+      });
+    }
+
+    return priceUsage({
+      provider: 'perplexity',
+      model,
+      input_tokens: usage.prompt_tokens || 0,
+      output_tokens: usage.completion_tokens || 0,
+      reasoning_tokens: usage.reasoning_tokens || 0,
+      search_calls: usage.num_search_queries || 0
+    });
+  },
+
+  // Citations are at the top level (not in message); search_results carry richer metadata
+  toDataForSEO: (raw) => raw.tasks ? raw : {
+    tasks: [{
+      cost: perplexity.cost(raw),
+      result: [{
+        text: extractAnswer(raw),
+        items: raw.items,
+        citations: Array.isArray(raw?.citations) ? raw.citations : [],
+        search_results: raw?.search_results || [],
+        model: raw.model
+      }]
+    }]
+  }
+});
+
+export default perplexity;
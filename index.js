@@ -6,6 +6,24 @@ import { Queue as BullQueue } from 'bullmq';
 import jwt from 'jsonwebtoken';
 import { randomUUID } from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import { listEngines, engineNames, getEngine, describeEngine } from './engines/index.js';
+import { assertWithinBudget, getBudgetStatus, BudgetExceededError, BUDGET_SCOPES } from './libs/budgets.js';
+import { parseLocale, DEFAULT_LOCALE } from './libs/locales.js';
+import { saveRunGroup, dropRunGroupJobs, getRunGroup, summarizeRunGroup, memberKey } from './libs/runGroups.js';
+import { parseSamples, MAX_SAMPLES } from './libs/samples.js';
+import { fetchTrendSeries, TREND_BUCKETS, DEFAULT_TREND_DAYS, MAX_TREND_PAGE_SIZE } from './libs/trends.js';
+import { fetchCitationReport, DEFAULT_DOMAIN_LIMIT, MAX_DOMAIN_LIMIT } from './libs/citationAnalytics.js';
+import { toCsv } from './libs/csv.js';
+import { CHANGE_TYPES } from './libs/changeDetection.js';
+import { ALERT_CHANNELS } from './libs/alerts.js';
+import { outboundUrlError } from './libs/outboundUrls.js';
+import { WEBHOOK_EVENTS, WEBHOOK_SCOPES, generateWebhookSecret } from './libs/webhooks.js';
+import { isApiKey, authenticateApiKey, consumeKeyRateLimit, generateApiKey, parseApiKeyInput } from './libs/apiKeys.js';
+import { consumeRateLimit, tenantKey, reserveFairPriority, releaseFairSlot } from './libs/rateLimits.js';
+import { ROLES, hasRole, getOrgRole, getMemberships, getWebsiteRole, websiteAccessFilter, canReadRun } from './libs/access.js';
+import { parseWebsiteInput, parsePromptInput, parseTopicInput, parsePromptImport } from './libs/catalog.js';
+import { fetchShareOfVoice, getCompetitors, replaceCompetitors, suggestCompetitors, validateCompetitors, DEFAULT_COMPETITOR_SEED, MAX_COMPETITORS } from './libs/shareOfVoice.js';
+import { createJobEventHub, decodeEventCursor, encodeEventCursor, readJobEventsSince } from './libs/groupEvents.js';
 
 const {
   PORT = 4000,
@@ -16,9 +34,22 @@ const {
   SUPABASE_URL,
   SUPABASE_SERVICE_ROLE_KEY,
   SUPABASE_JWT_SECRET,
-  SKIP_AUTH = 'true',
+  SKIP_AUTH = 'false',
+  NODE_ENV = 'production',
+  PLATFORM_ADMINS = '', // Comma-separated user ids allowed to create service API keys
+  USER_RATE_LIMIT_PER_MINUTE = '300',        // API requests per signed-in user
+  WEBSITE_RUN_RATE_LIMIT_PER_MINUTE = '60',  // Run requests (single or batch) per website
 } = process.env;
 
+// Auth is on unless explicitly disabled in development
+const skipAuth = SKIP_AUTH === 'true' && NODE_ENV === 'development';
+if (SKIP_AUTH === 'true' && !skipAuth) {
+  console.warn('⚠️ SKIP_AUTH=true is ignored unless NODE_ENV=development');
+}
+if (!skipAuth && !SUPABASE_JWT_SECRET) {
+  throw new Error('SUPABASE_JWT_SECRET is required (or set NODE_ENV=development and SKIP_AUTH=true)');
+}
+
 // Initialize Supabase client for context fetching
 const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
 
@@ -48,19 +79,12 @@ if (hasRedis) {
   }
 }
 
-// Per-engine queues (must match worker queue names)
+// Per-engine queues (names come from the engine registry shared with workers)
 // Initialize queues safely to prevent any single queue failure from breaking others
 const queues = {};
+const queueConfigs = Object.fromEntries(listEngines().map(e => [e.name, e.queue]));
 
 if (redisAvailable) {
-  const queueConfigs = {
-    chatgpt:    'prompt-chatgpt',
-    perplexity: 'prompt-perplexity',
-    gemini:     'prompt-gemini',
-    google:     'prompt-google',
-    claude:     'prompt-claude',
-  };
-
   for (const [engine, queueName] of Object.entries(queueConfigs)) {
     try {
       queues[engine] = new BullQueue(queueName, { connection });
@@ -72,6 +96,9 @@ if (redisAvailable) {
   }
 }
 
+// Job lifecycle events for SSE (one listener per engine, shared by all streams)
+const jobEvents = redisAvailable ? createJobEventHub(queueConfigs, connection) : null;
+
 const app = Fastify({ logger: true });
 
 // --- CORS ---
@@ -85,28 +112,106 @@ await app.register(cors, {
 });
 
 // --- Auth hook ---
+// Accepts a Supabase JWT or an API key (libs/apiKeys.js). API keys only reach
+// the routes listed in API_KEY_ROUTES, with the matching scope.
+const PUBLIC_ROUTES = new Set(['/health', '/ready', '/api/v1/engines']);
+
+const API_KEY_ROUTES = {
+  'POST /api/v1/prompt-runs': 'runs:write',
+  'POST /api/v1/prompt-runs/batch': 'runs:write',
+  'GET /api/v1/prompt-runs/:id': 'runs:read',
+  'GET /api/v1/prompt-runs/batch/:groupId': 'runs:read',
+  'GET /api/v1/sse/groups/:groupId': 'runs:read',
+  'GET /api/v1/websites/:id/visibility': 'analytics:read',
+  'GET /api/v1/prompts/:id/history': 'analytics:read',
+  'GET /api/v1/websites/:id/share-of-voice': 'analytics:read',
+  'GET /api/v1/websites/:id/citations': 'analytics:read',
+  'GET /api/v1/websites/:id/citations.csv': 'analytics:read',
+  'GET /api/v1/websites/:id/changes': 'analytics:read',
+};
+
+async function authenticateKey(key, req, res) {
+  let apiKey;
+  try {
+    apiKey = await authenticateApiKey(supabase, key);
+  } catch (error) {
+    console.error('API key lookup error:', error.message);
+    return res.code(500).send({ error: 'auth_failed' });
+  }
+  if (!apiKey) return res.code(401).send({ error: 'invalid_api_key' });
+
+  const required = API_KEY_ROUTES[`${req.method} ${req.routeOptions?.url}`];
+  if (!required || !apiKey.scopes.includes(required)) {
+    return res.code(403).send({ error: 'insufficient_scope', required_scope: required || null });
+  }
+
+  if (redisAvailable) {
+    try {
+      const rate = await consumeKeyRateLimit(await getRedisClient(), apiKey);
+      res.header('X-RateLimit-Limit', rate.limit);
+      res.header('X-RateLimit-Remaining', rate.remaining);
+      if (!rate.allowed) {
+        res.header('Retry-After', rate.retry_after);
+        return res.code(429).send({ error: 'rate_limited', retry_after: rate.retry_after });
+      }
+    } catch (error) {
+      // Don't block callers if Redis is flaky
+      console.error('API key rate limit error:', error.message);
+    }
+  }
+
+  req.user = {
+    sub: apiKey.user_id,
+    api_key_id: apiKey.id,
+    scopes: apiKey.scopes,
+    service: apiKey.user_id === null
+  };
+}
+
 app.addHook('preHandler', async (req, res) => {
-  if (req.routerPath?.startsWith('/health') || req.routerPath?.startsWith('/ready')) return;
+  if (PUBLIC_ROUTES.has(req.routeOptions?.url)) return;
   
-  if (SKIP_AUTH === 'true') {
+  if (skipAuth) {
     // Development mode - still need user_id for tracking
     req.user = { sub: 'dev-user-id', email: 'dev@example.com' };
     return;
   }
   
   const auth = req.headers.authorization || '';
-  const token = auth.startsWith('Bearer ') ? auth.slice(7) : '';
+  const token = auth.startsWith('Bearer ') ? auth.slice(7) : (req.headers['x-api-key'] || '').toString();
   
   if (!token) return res.code(401).send({ error: 'unauthorized' });
+  if (isApiKey(token)) return authenticateKey(token, req, res);
   
   try {
     const payload = jwt.verify(token, SUPABASE_JWT_SECRET);
+    if (!payload.sub) throw new Error('missing sub');
     req.user = { sub: payload.sub, email: payload.email };
   } catch {
     return res.code(401).send({ error: 'invalid_token' });
   }
 });
 
+// --- Per-user request limit (API keys have their own, see authenticateKey) ---
+app.addHook('preHandler', async (req, res) => {
+  if (!req.user?.sub || req.user.api_key_id || skipAuth) return;
+  return checkRateLimit(`user:${req.user.sub}`, Number(USER_RATE_LIMIT_PER_MINUTE), res);
+});
+
+// --- Helper: Count a request against a per-minute limit; sends 429 and returns the reply when over ---
+// Never blocks when Redis is unavailable.
+async function checkRateLimit(bucket, limit, reply) {
+  if (!redisAvailable) return;
+  try {
+    const rate = await consumeRateLimit(await getRedisClient(), bucket, limit);
+    if (rate.allowed) return;
+    reply.header('Retry-After', rate.retry_after);
+    return reply.code(429).send({ error: 'rate_limited', limit: rate.limit, retry_after: rate.retry_after });
+  } catch (error) {
+    console.error('Rate limit check error:', error.message);
+  }
+}
+
 // --- Helper: Fetch website context from Supabase ---
 async function fetchWebsiteContext(website_id) {
   if (!website_id) return null;
@@ -134,6 +239,162 @@ async function fetchWebsiteContext(website_id) {
   }
 }
 
+// --- Helper: Redis client shared with the queues ---
+async function getRedisClient() {
+  const q = Object.values(queues).find(Boolean);
+  if (!q) throw new Error('Redis connection unavailable');
+  return q.client;
+}
+
+// --- Helper: Budget check before enqueuing (returns an error body or null) ---
+async function checkBudget(owner, engines) {
+  try {
+    await assertWithinBudget(supabase, owner, engines);
+    return null;
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      const { scope, scope_id, period, limit_usd, spent_usd, estimated_usd } = error.status;
+      return {
+        error: 'budget_exceeded',
+        message: `Monthly ${scope} budget of $${limit_usd} would be exceeded ($${spent_usd.toFixed(4)} spent, ~$${estimated_usd.toFixed(4)} for this run)`,
+        scope,
+        scope_id,
+        period,
+        limit_usd,
+        spent_usd,
+        estimated_usd
+      };
+    }
+    // Don't block runs if the ledger itself is unreachable
+    console.error('Budget check failed:', error.message);
+    return null;
+  }
+}
+
+// --- Helper: Enqueue one run job with the tenant's fair-queueing priority ---
+// The priority grows with the tenant's unfinished jobs on that engine, so a
+// large submission does not hold up other tenants (libs/rateLimits.js).
+// An existing job id (Idempotency-Key, group job) gets the existing job back,
+// which holds its own slot, so the one reserved here is released.
+async function addRunJob(engine, data, opts) {
+  const client = await getRedisClient();
+  const priority = await reserveFairPriority(client, queueConfigs[engine], data.tenant);
+  const enqueue_id = randomUUID();
+  let job;
+  try {
+    job = await queues[engine].add('run', { ...data, enqueue_id }, {
+      attempts: 3,
+      backoff: { type: 'provider', delay: 2000 }, // delay by error kind, see libs/providerErrors.js
+      removeOnComplete: { age: 600 },
+      removeOnFail: { age: 86400 },
+      ...opts,
+      priority
+    });
+  } catch (error) {
+    await releaseFairSlot(client, queueConfigs[engine], data.tenant).catch(() => {});
+    throw error;
+  }
+
+  // add() echoes the data it was given, so compare with what is stored
+  const stored = opts?.jobId ? await queues[engine].getJob(job.id) : null;
+  if (stored && stored.data?.enqueue_id !== enqueue_id) {
+    await releaseFairSlot(client, queueConfigs[engine], data.tenant).catch(() => {});
+    return stored;
+  }
+  return job;
+}
+
+// --- Helper: Register a run group, then enqueue one job per engine and sample ---
+// Membership is saved before enqueuing so workers can record outcomes even if
+// a job finishes before the request returns. Throws if the group cannot be saved.
+async function enqueueRunGroup({ group_id, engines, samples = 1, idem = '', meta, data }) {
+  const jobPrefix = idem ? idem.replace(/:/g, '-') : group_id;
+  const members = {};
+  for (const engine of engines) {
+    for (let sample = 1; sample <= samples; sample++) {
+      members[memberKey(engine, sample, samples)] = {
+        engine,
+        sample,
+        job_id: samples > 1 ? `${jobPrefix}-${engine}-${sample}` : `${jobPrefix}-${engine}`
+      };
+    }
+  }
+
+  await saveRunGroup(await getRedisClient(), group_id, { ...meta, samples }, members);
+
+  const job_ids = {};
+  for (const [member, { engine, sample, job_id }] of Object.entries(members)) {
+    try {
+      const job = await addRunJob(engine, {
+        ...data,
+        engine,
+        group_id,
+        group_member: member,
+        sample_index: samples > 1 ? sample : null,
+        samples,
+        created_at: Date.now()
+      }, { jobId: job_id });
+
+      job_ids[member] = job.id;
+    } catch (error) {
+      console.error(`Queue error for ${member}:`, error.message);
+      // Continue with other jobs even if one fails
+    }
+  }
+
+  const notQueued = Object.keys(members).filter(member => !job_ids[member]);
+  if (notQueued.length > 0) {
+    await dropRunGroupJobs(await getRedisClient(), group_id, notQueued).catch(error => {
+      console.error('Failed to update run group:', error.message);
+    });
+  }
+
+  return job_ids;
+}
+
+// --- Helper: Prompt and website to run, or send 404/403/429 and return null ---
+// The caller needs the editor role on the prompt's website. Run requests are
+// limited per website, except from service keys (the cron scheduler, which
+// has its own per-run cap).
+async function loadRunTarget(prompt_id, website_id, req, reply) {
+  const { data: prompt, error } = await supabase
+    .from('prompts')
+    .select(`
+      content,
+      website_id,
+      websites!website_id (
+        id,
+        user_id,
+        org_id,
+        domain,
+        brand_name,
+        brand_aliases
+      )
+    `)
+    .eq('id', prompt_id)
+    .maybeSingle();
+
+  if (error || !prompt?.websites) {
+    console.error('Prompt fetch error:', error, 'Data:', prompt);
+    reply.code(404).send({ error: 'prompt_not_found', details: error?.message });
+    return null;
+  }
+  if (website_id && website_id !== prompt.website_id) {
+    reply.code(400).send({ error: 'website_mismatch', details: 'website_id does not match the prompt' });
+    return null;
+  }
+  if (!await authorize(prompt.websites, req, reply, 'editor', 'prompt_not_found')) return null;
+
+  if (!req.user?.service) {
+    const limited = await checkRateLimit(`website-runs:${prompt.website_id}`, Number(WEBSITE_RUN_RATE_LIMIT_PER_MINUTE), reply);
+    if (limited) return null;
+  }
+  return prompt;
+}
+
+// Engines list repeated once per sample, for cost estimates
+const perSample = (engines, samples) => Array.from({ length: samples }, () => engines).flat();
+
 // --- In-memory fallback (no Redis) ---
 const memJobs = new Map();
 
@@ -141,6 +402,11 @@ const memJobs = new Map();
 app.get('/health', async () => ({ ok: true }));
 app.get('/ready', async () => ({ ok: true }));
 
+// --- Engines available to prompt runs (read by the cron scheduler) ---
+app.get('/api/v1/engines', async () => ({
+  engines: listEngines().map(describeEngine)
+}));
+
 
 // --- POST /api/v1/prompt-runs (NEW FORMAT ONLY - with Supabase) ---
 app.post('/api/v1/prompt-runs', async (req, reply) => {
@@ -148,8 +414,9 @@ app.post('/api/v1/prompt-runs', async (req, reply) => {
     prompt_id,      // REQUIRED: UUID from Next.js
     prompt_text,    // OPTIONAL: Can be provided or fetched from DB
     engine = 'chatgpt', 
-    locale = 'US',
-    website_id      // OPTIONAL: Will be fetched from prompt if not provided
+    locale = DEFAULT_LOCALE,
+    website_id,     // OPTIONAL: Must match the prompt's website if provided
+    samples: samplesParam = 1 // OPTIONAL: independent runs to aggregate (1..MAX_SAMPLES)
   } = req.body || {};
   
   // Validate required fields
@@ -157,79 +424,51 @@ app.post('/api/v1/prompt-runs', async (req, reply) => {
     return reply.code(400).send({ error: 'prompt_id is required' });
   }
 
+  const samples = parseSamples(samplesParam);
+  if (!samples) {
+    return reply.code(400).send({ error: 'invalid_samples', details: `samples must be an integer from 1 to ${MAX_SAMPLES}` });
+  }
+
+  const parsedLocale = parseLocale(locale);
+  if (!parsedLocale) {
+    return reply.code(400).send({ error: 'invalid_locale', details: `Unknown locale "${locale}" (expected e.g. "en-US", "es-MX", "ja-JP")` });
+  }
+
+  // The whole body is checked before any lookup, so a bad request costs no rate limit
+  if (!getEngine(engine)) {
+    console.log(`❌ Engine not in supported list: ${engine}`);
+    return reply.code(400).send({ error: `unsupported engine: ${engine}` });
+  }
+
   if (!redisAvailable) {
     return reply.code(503).send({ error: 'redis_unavailable' });
   }
   
   const user_id = req.user?.sub || null;
   
-  // Fetch prompt and website details from Supabase if not provided
-  let promptText = prompt_text;
-  let websiteData = null;
-  
-  if (!promptText || !website_id) {
-    const { data: promptData, error: promptError } = await supabase
-      .from('prompts')
-      .select(`
-        content,
-        website_id,
-        websites!website_id (
-          id,
-          domain,
-          brand_name,
-          brand_aliases
-        )
-      `)
-      .eq('id', prompt_id)
-      .single();
-    
-    if (promptError || !promptData) {
-      console.error('Prompt fetch error:', promptError, 'Data:', promptData);
-      return reply.code(404).send({ error: 'prompt_not_found', details: promptError?.message });
-    }
-    
-    promptText = promptData.content;
-    websiteData = {
-      website_id: promptData.websites.id,
-      website_domain: promptData.websites.domain,
-      brand_name: promptData.websites.brand_name,
-      brand_aliases: promptData.websites.brand_aliases || []
-    };
-  } else if (website_id) {
-    // Fetch website data if provided
-    const { data: website, error: websiteError } = await supabase
-      .from('websites')
-      .select('id, domain, brand_name, brand_aliases')
-      .eq('id', website_id)
-      .single();
-    
-    if (!websiteError && website) {
-      websiteData = {
-        website_id: website.id,
-        website_domain: website.domain,
-        brand_name: website.brand_name,
-        brand_aliases: website.brand_aliases || []
-      };
-    }
-  }
+  // Only editors of the prompt's website can run it
+  const target = await loadRunTarget(prompt_id, website_id, req, reply);
+  if (!target) return reply;
+
+  const promptText = prompt_text || target.content;
+  const websiteData = {
+    website_id: target.websites.id,
+    website_domain: target.websites.domain,
+    brand_name: target.websites.brand_name,
+    brand_aliases: target.websites.brand_aliases || []
+  };
 
   const payload = {
     prompt_id,
     prompt_text: promptText,
     engine,
-    locale,
+    locale: parsedLocale.tag,
     user_id,
+    tenant: tenantKey(target.websites, user_id),
     ...websiteData,
     created_at: Date.now()
   };
 
-  // Check if engine is supported and queue is available
-  const supportedEngines = ['chatgpt', 'perplexity', 'gemini', 'google', 'claude'];
-  if (!supportedEngines.includes(engine)) {
-    console.log(`❌ Engine not in supported list: ${engine}`);
-    return reply.code(400).send({ error: `unsupported engine: ${engine}` });
-  }
-
   // Check if Redis is available
   if (!hasRedis) {
     console.log(`❌ Redis not available for engine: ${engine}`);
@@ -242,15 +481,31 @@ app.post('/api/v1/prompt-runs', async (req, reply) => {
     return reply.code(500).send({ error: `queue_initialization_failed: ${engine}` });
   }
 
+  const budgetError = await checkBudget({ website_id: websiteData?.website_id, user_id }, perSample([engine], samples));
+  if (budgetError) return reply.code(402).send(budgetError);
+
+  // Several samples run as a group so they can be tracked and aggregated together
+  if (samples > 1) {
+    const group_id = randomUUID();
+    try {
+      const job_ids = await enqueueRunGroup({
+        group_id,
+        engines: [engine],
+        samples,
+        idem: (req.headers['idempotency-key'] || '').toString().trim(),
+        meta: { prompt_id, user_id, website_id: websiteData?.website_id || null, locale: parsedLocale.tag },
+        data: payload
+      });
+      return reply.send({ group_id, job_ids, engine, prompt_id, samples });
+    } catch (error) {
+      console.error('Failed to save run group:', error.message);
+      return reply.code(503).send({ error: 'redis_unavailable' });
+    }
+  }
+
   try {
     const idem = (req.headers['idempotency-key'] || '').toString().trim();
-    const job = await q.add('run', payload, {
-      jobId: idem || undefined,
-      attempts: 3,
-      backoff: { type: 'exponential', delay: 2000 },
-      removeOnComplete: { age: 600 },
-      removeOnFail: { age: 86400 },
-    });
+    const job = await addRunJob(engine, payload, { jobId: idem || undefined });
     
     return reply.send({ 
       job_id: job.id,
@@ -276,19 +531,44 @@ app.post('/api/v1/prompt-runs', async (req, reply) => {
   }
 });
 
+// --- Helper: Classified error of a failed job (job.data.error is written by the engine worker) ---
+function jobError(job) {
+  return job.data?.error || { kind: 'unknown', message: job.failedReason || 'failed', status: null, retryable: true };
+}
+
+// --- Helper: Recorded final failure of a job BullMQ has already removed ---
+async function findRunFailure(jobId) {
+  const { data, error } = await supabase
+    .from('run_failures')
+    .select('*')
+    .eq('job_id', jobId)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Run failure fetch error:', error.message);
+    return null;
+  }
+  return data;
+}
+
 // --- Get status/result: search all engine queues ---
-async function getJobStatus(id, reply) {
+// Jobs the caller cannot read (see canReadRun) are reported as not found.
+async function getJobStatus(id, req, reply) {
   if (redisAvailable) {
     for (const q of Object.values(queues)) {
       try {
         const job = await q.getJob(id);
         if (!job) continue;
+        if (!req.user?.service && !await canReadRun(supabase, job.data, req.user?.sub)) {
+          return reply.code(404).send({ error: 'not_found' });
+        }
         const st = await job.getState(); // waiting|active|delayed|completed|failed
         if (st === 'completed') {
           return reply.send({ status: 'done', result: await job.returnvalue });
         }
         if (st === 'failed') {
-          return reply.send({ status: 'error', error: job.failedReason });
+          return reply.send({ status: 'error', error: jobError(job) });
         }
         return reply.send({ status: st });
       } catch (error) {
@@ -302,6 +582,14 @@ async function getJobStatus(id, reply) {
         throw error;
       }
     }
+
+    const failure = await findRunFailure(id);
+    if (failure && (req.user?.service || await canReadRun(supabase, failure, req.user?.sub))) {
+      return reply.send({
+        status: 'error',
+        error: { kind: failure.error_kind, message: failure.message, status: failure.http_status, attempts: failure.attempts }
+      });
+    }
     return reply.code(404).send({ error: 'not_found' });
   }
 
@@ -313,7 +601,7 @@ async function getJobStatus(id, reply) {
 // Legacy status endpoint
 app.get('/api/v1/prompt-runs/:id', async (req, reply) => {
   const { id } = req.params;
-  return getJobStatus(id, reply);
+  return getJobStatus(id, req, reply);
 });
 
 
@@ -322,9 +610,10 @@ app.post('/api/v1/prompt-runs/batch', async (req, reply) => {
   const { 
     prompt_id,
     prompt_text,
-    locale = 'US',
+    locale = DEFAULT_LOCALE,
     website_id,
-    engines = ['chatgpt', 'perplexity', 'gemini', 'google', 'claude']
+    engines = engineNames(),
+    samples: samplesParam = 1
   } = req.body || {};
   
   if (!prompt_id || !Array.isArray(engines) || engines.length === 0) {
@@ -332,6 +621,21 @@ app.post('/api/v1/prompt-runs/batch', async (req, reply) => {
       error: 'prompt_id and engines[] are required' 
     });
   }
+
+  const unsupported = engines.filter(eng => !getEngine(eng));
+  if (unsupported.length > 0) {
+    return reply.code(400).send({ error: `unsupported engines: ${unsupported.join(', ')}`, unsupported_engines: unsupported });
+  }
+
+  const samples = parseSamples(samplesParam);
+  if (!samples) {
+    return reply.code(400).send({ error: 'invalid_samples', details: `samples must be an integer from 1 to ${MAX_SAMPLES}` });
+  }
+
+  const parsedLocale = parseLocale(locale);
+  if (!parsedLocale) {
+    return reply.code(400).send({ error: 'invalid_locale', details: `Unknown locale "${locale}" (expected e.g. "en-US", "es-MX", "ja-JP")` });
+  }
   
   if (!redisAvailable) {
     return reply.code(503).send({ error: 'redis_unavailable' });
@@ -339,178 +643,1541 @@ app.post('/api/v1/prompt-runs/batch', async (req, reply) => {
 
   const user_id = req.user?.sub || null;
   const group_id = randomUUID();
-  const job_ids = {};
-  
-  // Fetch prompt and website data from Supabase if not provided
-  let promptText = prompt_text;
-  let websiteData = null;
   
-  if (!promptText || !website_id) {
-    const { data: promptData, error: promptError } = await supabase
-      .from('prompts')
-      .select(`
-        content,
-        website_id,
-        websites!website_id (
-          id,
-          domain,
-          brand_name,
-          brand_aliases
-        )
-      `)
-      .eq('id', prompt_id)
-      .single();
-    
-    if (promptError || !promptData) {
-      console.error('Prompt fetch error:', promptError, 'Data:', promptData);
-      return reply.code(404).send({ error: 'prompt_not_found', details: promptError?.message });
-    }
-    
-    promptText = promptData.content;
-    websiteData = {
-      website_id: promptData.websites.id,
-      domain: promptData.websites.domain,
-      brand_name: promptData.websites.brand_name,
-      brand_aliases: promptData.websites.brand_aliases || []
-    };
-  } else if (website_id && !websiteData) {
-    // Fetch website data if website_id provided but no data fetched yet
-    const { data: website, error: websiteError } = await supabase
-      .from('websites')
-      .select('id, domain, brand_name, brand_aliases')
-      .eq('id', website_id)
-      .single();
-    
-    if (!websiteError && website) {
-      websiteData = {
-        website_id: website.id,
-        domain: website.domain,
-        brand_name: website.brand_name,
-        brand_aliases: website.brand_aliases || []
-      };
-    }
-  }
+  const target = await loadRunTarget(prompt_id, website_id, req, reply);
+  if (!target) return reply;
 
-  // Create jobs for each engine
-  for (const eng of engines) {
-    const q = queues[eng];
-    if (!q) {
-      console.warn(`Unsupported engine: ${eng}, skipping...`);
-      continue;
-    }
+  const promptText = prompt_text || target.content;
+  const websiteData = {
+    website_id: target.websites.id,
+    domain: target.websites.domain,
+    brand_name: target.websites.brand_name,
+    brand_aliases: target.websites.brand_aliases || []
+  };
 
-    try {
-      const idem = (req.headers['idempotency-key'] || '').toString().trim();
-      const sanitizedIdem = idem.replace(/:/g, '-');
-      
-      const job = await q.add('run', {
+  const queuedEngines = engines.filter(eng => {
+    if (queues[eng]) return true;
+    console.warn(`Queue not initialized for engine: ${eng}, skipping...`);
+    return false;
+  });
+
+  const budgetError = await checkBudget({ website_id: websiteData?.website_id, user_id }, perSample(queuedEngines, samples));
+  if (budgetError) return reply.code(402).send(budgetError);
+
+  let job_ids;
+  try {
+    job_ids = await enqueueRunGroup({
+      group_id,
+      engines: queuedEngines,
+      samples,
+      idem: (req.headers['idempotency-key'] || '').toString().trim(),
+      meta: {
+        prompt_id,
+        user_id,
+        website_id: websiteData?.website_id || null,
+        locale: parsedLocale.tag
+      },
+      data: {
         prompt_id,
         prompt_text: promptText,
-        engine: eng,
-        locale,
+        locale: parsedLocale.tag,
         user_id,
-        group_id,
+        tenant: tenantKey(target.websites, user_id),
         website_id: websiteData?.website_id || null,
         website_domain: websiteData?.domain || null,
         brand_name: websiteData?.brand_name || null,
-        brand_aliases: websiteData?.brand_aliases || [],
-        created_at: Date.now()
-      }, {
-        jobId: idem ? `${sanitizedIdem}-${eng}` : undefined,
-        attempts: 3,
-        backoff: { type: 'exponential', delay: 2000 },
-        removeOnComplete: { age: 600 },
-        removeOnFail: { age: 86400 },
-      });
-      
-      job_ids[eng] = job.id;
-    } catch (error) {
-      console.error(`Queue error for ${eng}:`, error.message);
-      // Continue with other engines even if one fails
-    }
+        brand_aliases: websiteData?.brand_aliases || []
+      }
+    });
+  } catch (error) {
+    console.error('Failed to save run group:', error.message);
+    return reply.code(503).send({ error: 'redis_unavailable' });
   }
 
   return reply.send({ 
     group_id, 
     job_ids,
     prompt_id,
-    engines_queued: Object.keys(job_ids).length
+    samples,
+    engines_queued: new Set(Object.keys(job_ids).map(member => member.split('#')[0])).size
   });
 });
 
-// --- SSE: live progress per group (polls queue states) ---
-app.get('/api/v1/sse/groups/:groupId', async (req, reply) => {
-  const jobsParam = (req.query.jobs || '').toString(); // "chatgpt:<id>,perplexity:<id>,..."
-  const pairs = jobsParam.split(',').filter(Boolean).map(s => s.split(':'));
-  const targets = pairs.map(([eng, id]) => ({ eng, id }));
+// --- Helper: Resolve a run group to its current per-engine state ---
+// Prefers live queue state; falls back to the stored outcome once BullMQ
+// has removed the job.
+async function resolveRunGroup(groupId) {
+  const group = await getRunGroup(await getRedisClient(), groupId);
+  if (!group) return null;
 
-  reply.raw.writeHead(200, {
-    'Content-Type': 'text/event-stream',
-    'Cache-Control': 'no-cache, no-transform',
-    Connection: 'keep-alive',
-    'X-Accel-Buffering': 'no',
-  });
+  const jobs = {};
+  for (const [member, stored] of Object.entries(group.jobs)) {
+    const entry = {
+      job_id: stored.job_id,
+      engine: stored.engine,
+      sample: stored.sample,
+      state: stored.state,
+      result_id: stored.result_id || null,
+      error: stored.error ? { kind: stored.error_kind || 'unknown', message: stored.error } : null,
+      result: null
+    };
 
-  const emit = (type, payload) => {
-    reply.raw.write(`event: ${type}\n`);
-    reply.raw.write(`data: ${JSON.stringify(payload)}\n\n`);
-  };
+    const job = await queues[stored.engine]?.getJob(stored.job_id).catch(() => null);
+    if (job) {
+      entry.state = await job.getState();
+      if (entry.state === 'completed') {
+        entry.result = job.returnvalue || null;
+        entry.result_id = entry.result?.result_id || entry.result_id;
+      }
+      if (entry.state === 'failed') entry.error = jobError(job);
+    } else if (!['completed', 'failed'].includes(stored.state)) {
+      entry.state = 'unknown';
+    }
 
-  let closed = false;
-  const last = new Map(); // eng -> lastStatus
+    jobs[member] = entry;
+  }
 
-  const heartbeat = setInterval(() => {
-    if (!closed) reply.raw.write(':heartbeat\n\n');
-  }, 15000);
+  return { meta: group.meta, jobs, ...summarizeRunGroup(jobs) };
+}
 
-  const ticker = setInterval(async () => {
-    if (closed) return;
-    for (const { eng, id } of targets) {
-      const q = queues[eng];
-      if (!q) continue;
+// --- Helper: Per-engine aggregates of a multi-sample group (written by workers) ---
+async function fetchSampleAggregates(groupId) {
+  const { data, error } = await supabase
+    .from('prompt_sample_aggregates')
+    .select('*')
+    .eq('group_id', groupId);
 
-      try {
-        const job = await q.getJob(id);
-        if (!job) continue;
-        const st = await job.getState();
-        if (last.get(eng) === st) continue;
-        last.set(eng, st);
+  if (error) {
+    console.error('Sample aggregates fetch error:', error.message);
+    return null;
+  }
+  return Object.fromEntries(data.map(row => [row.engine, row]));
+}
 
-        if (st === 'completed') {
-          const res = await job.returnvalue;
-          emit('completed', { engine: eng, result: res });
-        } else if (st === 'failed') {
-          emit('failed', { engine: eng, error: job.failedReason || 'failed' });
-        } else {
-          emit('progress', { engine: eng, status: st });
-        }
-      } catch (error) {
-        console.error('SSE Queue error:', error.message, error.code, error.name);
-        // Redis connection failure - emit error and potentially close
-        if (error.message?.includes('ECONNREFUSED') ||
-            error.message?.includes('Redis connection') ||
-            error.message?.includes('getaddrinfo ENOTFOUND') ||
-            error.message?.includes('Connection timed out') ||
-            error.code === 'ECONNREFUSED' ||
-            error.code === 'ENOTFOUND' ||
-            error.code === 'ETIMEDOUT') {
-          emit('error', { engine: eng, error: 'redis_unavailable' });
-        } else if (error.message?.includes('Custom Id cannot contain') ||
-                   error.message?.includes('Invalid jobId')) {
-          emit('error', { engine: eng, error: 'invalid_job_id' });
-        } else {
-          // Other queue errors
-          emit('error', { engine: eng, error: 'queue_error' });
-        }
-      }
-    }
-  }, 1000);
+// --- Helper: Access to a user- or website-scoped setting (budgets, webhooks) ---
+// The user scope is only the caller's own; website scopes need `required` on the website.
+async function authorizeScope(scope, scopeId, req, reply, required) {
+  if (scope === 'user') {
+    if (String(scopeId) === req.user?.sub) return true;
+    reply.code(403).send({ error: 'forbidden', details: 'Only your own user scope can be accessed' });
+    return false;
+  }
+  return Boolean(await loadWebsite(scopeId, req, reply, required));
+}
 
-  req.raw.on('close', () => {
-    closed = true;
-    clearInterval(heartbeat);
-    clearInterval(ticker);
-  });
+// --- Budgets: GET/PUT /api/v1/budgets/:scope/:scopeId (scope = website|user) ---
+app.get('/api/v1/budgets/:scope/:scopeId', async (req, reply) => {
+  const { scope, scopeId } = req.params;
+  if (!BUDGET_SCOPES.includes(scope)) {
+    return reply.code(400).send({ error: `scope must be one of: ${BUDGET_SCOPES.join(', ')}` });
+  }
+  if (!await authorizeScope(scope, scopeId, req, reply, 'viewer')) return reply;
+  return reply.send(await getBudgetStatus(supabase, scope, scopeId));
+});
+
+app.put('/api/v1/budgets/:scope/:scopeId', async (req, reply) => {
+  const { scope, scopeId } = req.params;
+  const limit = Number(req.body?.monthly_limit_usd);
+  if (!BUDGET_SCOPES.includes(scope)) {
+    return reply.code(400).send({ error: `scope must be one of: ${BUDGET_SCOPES.join(', ')}` });
+  }
+  if (!Number.isFinite(limit) || limit < 0) {
+    return reply.code(400).send({ error: 'monthly_limit_usd must be a number >= 0' });
+  }
+  if (!await authorizeScope(scope, scopeId, req, reply, 'admin')) return reply;
+
+  const { error } = await supabase
+    .from('cost_budgets')
+    .upsert({
+      scope,
+      scope_id: scopeId,
+      monthly_limit_usd: limit,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'scope,scope_id' });
+
+  if (error) {
+    console.error('Budget save error:', error.message);
+    return reply.code(500).send({ error: 'budget_save_failed', details: error.message });
+  }
+  return reply.send(await getBudgetStatus(supabase, scope, scopeId));
+});
+
+// --- Helper: Parse trend filters (?bucket=day|week&from&to&engine=a,b&locale&page&page_size) ---
+function parseTrendQuery(query = {}) {
+  const bucket = query.bucket || 'day';
+  if (!TREND_BUCKETS.includes(bucket)) {
+    return { error: `bucket must be one of: ${TREND_BUCKETS.join(', ')}` };
+  }
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_TREND_DAYS * 24 * 60 * 60 * 1000);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    return { error: 'from and to must be ISO dates with from <= to' };
+  }
+
+  const engines = query.engine ? String(query.engine).split(',').map(e => e.trim()).filter(Boolean) : [];
+  const unknown = engines.filter(e => !getEngine(e));
+  if (unknown.length > 0) {
+    return { error: `unsupported engine: ${unknown.join(', ')}` };
+  }
+
+  let locale = null;
+  if (query.locale) {
+    locale = parseLocale(query.locale)?.tag;
+    if (!locale) return { error: `Unknown locale "${query.locale}"` };
+  }
+
+  const page = Number(query.page || 1);
+  const page_size = Number(query.page_size || DEFAULT_TREND_DAYS);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(page_size) || page_size < 1 || page_size > MAX_TREND_PAGE_SIZE) {
+    return { error: `page must be >= 1 and page_size between 1 and ${MAX_TREND_PAGE_SIZE}` };
+  }
+
+  return { bucket, from: from.toISOString(), to: to.toISOString(), engines, locale, page, page_size };
+}
+
+// --- Helpers: Load a website / prompt / topic the caller can access, or send an error and return null ---
+// Rows the caller cannot see are reported as not found (404); rows they can
+// see with too low a role are forbidden (403). See libs/access.js for roles.
+const WEBSITE_COLUMNS = 'id, user_id, org_id, domain, brand_name, brand_aliases, locale, schedule_cadence, created_at, updated_at';
+const PROMPT_COLUMNS = 'id, website_id, content, is_active, locale, schedule_cadence, topic_id, tags, next_run_at, last_run_at, created_at, updated_at';
+
+async function authorize(website, req, reply, required, notFound) {
+  let role;
+  try {
+    // Service API keys act as an editor on every website
+    role = req.user?.service ? 'editor' : await getWebsiteRole(supabase, website, req.user?.sub);
+  } catch (error) {
+    console.error('Access check error:', error.message);
+    reply.code(500).send({ error: 'access_check_failed', details: error.message });
+    return null;
+  }
+  if (!role) {
+    reply.code(404).send({ error: notFound });
+    return null;
+  }
+  if (!hasRole(role, required)) {
+    reply.code(403).send({ error: 'forbidden', details: `Requires the ${required} role`, role });
+    return null;
+  }
+  return role;
+}
+
+async function loadWebsite(id, req, reply, required = 'viewer') {
+  const { data: website, error } = await supabase
+    .from('websites')
+    .select(WEBSITE_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Website fetch error:', error.message);
+    reply.code(500).send({ error: 'website_fetch_failed', details: error.message });
+    return null;
+  }
+  const role = website && await authorize(website, req, reply, required, 'website_not_found');
+  if (!role) {
+    if (!website) reply.code(404).send({ error: 'website_not_found' });
+    return null;
+  }
+  return { ...website, role };
+}
+
+async function loadPrompt(id, req, reply, required = 'viewer') {
+  const { data: prompt, error } = await supabase
+    .from('prompts')
+    .select(`${PROMPT_COLUMNS}, websites!website_id ( ${WEBSITE_COLUMNS} )`)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Prompt fetch error:', error.message);
+    reply.code(500).send({ error: 'prompt_fetch_failed', details: error.message });
+    return null;
+  }
+  const role = prompt?.websites && await authorize(prompt.websites, req, reply, required, 'prompt_not_found');
+  if (!role) {
+    if (!prompt?.websites) reply.code(404).send({ error: 'prompt_not_found' });
+    return null;
+  }
+  return prompt;
+}
+
+// --- Helper: Topic must belong to the same website ---
+async function checkTopic(topicId, websiteId, reply) {
+  if (!topicId) return true;
+  const { data, error } = await supabase
+    .from('topics')
+    .select('id')
+    .eq('id', topicId)
+    .eq('website_id', websiteId)
+    .maybeSingle();
+
+  if (error || !data) {
+    reply.code(400).send({ error: 'invalid_prompt', details: 'topic_id does not belong to this website' });
+    return false;
+  }
+  return true;
+}
+
+// --- Helper: Parse ?page&page_size for list routes ---
+function parsePage(query = {}, maxPageSize = 500) {
+  const page = Number(query.page || 1);
+  const page_size = Number(query.page_size || 50);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(page_size) || page_size < 1 || page_size > maxPageSize) {
+    return { error: `page must be >= 1 and page_size between 1 and ${maxPageSize}` };
+  }
+  return { page, page_size, from: (page - 1) * page_size, to: page * page_size - 1 };
+}
+
+// CSV bodies for the prompt import route
+app.addContentTypeParser(['text/csv', 'text/plain'], { parseAs: 'string' }, (req, body, done) => done(null, body));
+
+// --- API keys: GET/POST /api/v1/api-keys, DELETE /api/v1/api-keys/:id (revoke) ---
+// Managed with a user JWT only; the key itself is returned once, on creation.
+const API_KEY_COLUMNS = 'id, created_at, user_id, name, prefix, scopes, rate_limit_per_minute, last_used_at, revoked_at';
+const platformAdmins = new Set(PLATFORM_ADMINS.split(',').map(s => s.trim()).filter(Boolean));
+
+app.get('/api/v1/api-keys', async (req, reply) => {
+  let q = supabase
+    .from('api_keys')
+    .select(API_KEY_COLUMNS)
+    .eq('created_by', req.user?.sub);
+  if (req.query?.include_revoked !== 'true') q = q.is('revoked_at', null);
+
+  const { data, error } = await q.order('created_at', { ascending: true });
+  if (error) {
+    console.error('API keys fetch error:', error.message);
+    return reply.code(500).send({ error: 'api_key_fetch_failed', details: error.message });
+  }
+  return reply.send({ api_keys: data.map(k => ({ ...k, service: k.user_id === null })) });
+});
+
+app.post('/api/v1/api-keys', async (req, reply) => {
+  const { value, error: invalid } = parseApiKeyInput(req.body);
+  if (invalid) return reply.code(400).send({ error: 'invalid_api_key', details: invalid });
+  if (value.service && !platformAdmins.has(req.user?.sub)) {
+    return reply.code(403).send({ error: 'forbidden', details: 'Only platform admins can create service keys' });
+  }
+
+  const { key, prefix, key_hash } = generateApiKey();
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert({
+      name: value.name,
+      scopes: value.scopes,
+      rate_limit_per_minute: value.rate_limit_per_minute,
+      user_id: value.service ? null : req.user?.sub,
+      created_by: req.user?.sub,
+      prefix,
+      key_hash
+    })
+    .select(API_KEY_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('API key save error:', error.message);
+    return reply.code(500).send({ error: 'api_key_save_failed', details: error.message });
+  }
+  return reply.code(201).send({ ...data, service: value.service, key });
+});
+
+app.delete('/api/v1/api-keys/:id', async (req, reply) => {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', req.params.id)
+    .eq('created_by', req.user?.sub)
+    .is('revoked_at', null)
+    .select('id');
+
+  if (error) {
+    console.error('API key revoke error:', error.message);
+    return reply.code(500).send({ error: 'api_key_revoke_failed', details: error.message });
+  }
+  if (data.length === 0) return reply.code(404).send({ error: 'not_found' });
+  return reply.code(204).send();
+});
+
+// --- Organizations: GET/POST /api/v1/organizations, members under /api/v1/organizations/:id/members ---
+// Members share the organization's websites with their role (viewer|editor|admin).
+async function requireOrgRole(orgId, req, reply, required) {
+  let role;
+  try {
+    role = await getOrgRole(supabase, orgId, req.user?.sub);
+  } catch (error) {
+    console.error('Access check error:', error.message);
+    reply.code(500).send({ error: 'access_check_failed', details: error.message });
+    return null;
+  }
+  if (!role) {
+    reply.code(404).send({ error: 'organization_not_found' });
+    return null;
+  }
+  if (!hasRole(role, required)) {
+    reply.code(403).send({ error: 'forbidden', details: `Requires the ${required} role`, role });
+    return null;
+  }
+  return role;
+}
+
+// True when removing or demoting `userId` would leave the organization without an admin
+async function isLastAdmin(orgId, userId) {
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('user_id')
+    .eq('org_id', orgId)
+    .eq('role', 'admin');
+
+  if (error) throw error;
+  return data.length === 1 && data[0].user_id === userId;
+}
+
+app.get('/api/v1/organizations', async (req, reply) => {
+  try {
+    const memberships = await getMemberships(supabase, req.user?.sub);
+    if (memberships.length === 0) return reply.send({ organizations: [] });
+
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('id, name, created_at')
+      .in('id', memberships.map(m => m.org_id))
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    const roles = new Map(memberships.map(m => [m.org_id, m.role]));
+    return reply.send({ organizations: data.map(org => ({ ...org, role: roles.get(org.id) })) });
+  } catch (error) {
+    console.error('Organizations fetch error:', error.message);
+    return reply.code(500).send({ error: 'organization_fetch_failed', details: error.message });
+  }
+});
+
+app.post('/api/v1/organizations', async (req, reply) => {
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  if (!name || name.length > 100) {
+    return reply.code(400).send({ error: 'invalid_organization', details: 'name is required (max 100 characters)' });
+  }
+
+  const { data: org, error } = await supabase
+    .from('organizations')
+    .insert({ name, created_by: req.user?.sub })
+    .select('id, name, created_at')
+    .single();
+
+  if (error) {
+    console.error('Organization save error:', error.message);
+    return reply.code(500).send({ error: 'organization_save_failed', details: error.message });
+  }
+
+  // The creator is the first admin
+  const { error: memberError } = await supabase
+    .from('organization_members')
+    .insert({ org_id: org.id, user_id: req.user?.sub, role: 'admin' });
+
+  if (memberError) {
+    console.error('Organization member save error:', memberError.message);
+    await supabase.from('organizations').delete().eq('id', org.id);
+    return reply.code(500).send({ error: 'organization_save_failed', details: memberError.message });
+  }
+  return reply.code(201).send({ ...org, role: 'admin' });
+});
+
+app.get('/api/v1/organizations/:id/members', async (req, reply) => {
+  if (!await requireOrgRole(req.params.id, req, reply, 'viewer')) return reply;
+
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('user_id, role, created_at')
+    .eq('org_id', req.params.id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Organization members fetch error:', error.message);
+    return reply.code(500).send({ error: 'organization_fetch_failed', details: error.message });
+  }
+  return reply.send({ org_id: req.params.id, members: data });
+});
+
+// Add a member or change their role
+app.put('/api/v1/organizations/:id/members/:userId', async (req, reply) => {
+  const { id, userId } = req.params;
+  const role = req.body?.role;
+  if (!ROLES.includes(role)) {
+    return reply.code(400).send({ error: 'invalid_member', details: `role must be one of: ${ROLES.join(', ')}` });
+  }
+  if (!await requireOrgRole(id, req, reply, 'admin')) return reply;
+
+  try {
+    if (role !== 'admin' && await isLastAdmin(id, userId)) {
+      return reply.code(409).send({ error: 'last_admin', details: 'An organization needs at least one admin' });
+    }
+    const { data, error } = await supabase
+      .from('organization_members')
+      .upsert({ org_id: id, user_id: userId, role }, { onConflict: 'org_id,user_id' })
+      .select('user_id, role, created_at')
+      .single();
+    if (error) throw error;
+    return reply.send({ org_id: id, ...data });
+  } catch (error) {
+    console.error('Organization member save error:', error.message);
+    return reply.code(500).send({ error: 'organization_member_save_failed', details: error.message });
+  }
+});
+
+// Admins remove anyone; members can remove themselves (leave)
+app.delete('/api/v1/organizations/:id/members/:userId', async (req, reply) => {
+  const { id, userId } = req.params;
+  if (!await requireOrgRole(id, req, reply, userId === req.user?.sub ? 'viewer' : 'admin')) return reply;
+
+  try {
+    if (await isLastAdmin(id, userId)) {
+      return reply.code(409).send({ error: 'last_admin', details: 'An organization needs at least one admin' });
+    }
+    const { data, error } = await supabase
+      .from('organization_members')
+      .delete()
+      .eq('org_id', id)
+      .eq('user_id', userId)
+      .select('user_id');
+    if (error) throw error;
+    if (data.length === 0) return reply.code(404).send({ error: 'not_found' });
+    return reply.code(204).send();
+  } catch (error) {
+    console.error('Organization member delete error:', error.message);
+    return reply.code(500).send({ error: 'organization_member_delete_failed', details: error.message });
+  }
+});
+
+// --- Helper: Moving a website into an organization requires editor access there ---
+async function checkOrgTarget(orgId, req, reply) {
+  if (!orgId) return true;
+  try {
+    if (hasRole(await getOrgRole(supabase, orgId, req.user?.sub), 'editor')) return true;
+  } catch (error) {
+    console.error('Access check error:', error.message);
+  }
+  reply.code(403).send({ error: 'forbidden', details: 'Requires the editor role in the organization' });
+  return false;
+}
+
+// --- Websites: GET/POST /api/v1/websites, GET/PUT/DELETE /api/v1/websites/:id ---
+// Listing returns websites the caller owns or can see through an organization.
+app.get('/api/v1/websites', async (req, reply) => {
+  const paging = parsePage(req.query);
+  if (paging.error) return reply.code(400).send({ error: 'invalid_query', details: paging.error });
+
+  let filter;
+  try {
+    filter = await websiteAccessFilter(supabase, req.user?.sub);
+  } catch (error) {
+    console.error('Access check error:', error.message);
+    return reply.code(500).send({ error: 'access_check_failed', details: error.message });
+  }
+
+  let q = supabase
+    .from('websites')
+    .select(WEBSITE_COLUMNS, { count: 'exact' })
+    .or(filter);
+  if (req.query?.org_id) q = q.eq('org_id', req.query.org_id);
+
+  const { data, error, count } = await q
+    .order('created_at', { ascending: true })
+    .range(paging.from, paging.to);
+
+  if (error) {
+    console.error('Websites fetch error:', error.message);
+    return reply.code(500).send({ error: 'website_fetch_failed', details: error.message });
+  }
+  return reply.send({ page: paging.page, page_size: paging.page_size, total: count, has_more: paging.to + 1 < count, websites: data });
+});
+
+app.post('/api/v1/websites', async (req, reply) => {
+  const { value, error: invalid } = parseWebsiteInput(req.body);
+  if (invalid) return reply.code(400).send({ error: 'invalid_website', details: invalid });
+  if (!await checkOrgTarget(value.org_id, req, reply)) return reply;
+
+  const { data, error } = await supabase
+    .from('websites')
+    .insert({ brand_aliases: [], ...value, user_id: req.user?.sub })
+    .select(WEBSITE_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') return reply.code(409).send({ error: 'website_exists', details: `${value.domain} is already registered` });
+    console.error('Website save error:', error.message);
+    return reply.code(500).send({ error: 'website_save_failed', details: error.message });
+  }
+  return reply.code(201).send(data);
+});
+
+app.get('/api/v1/websites/:id', async (req, reply) => {
+  const website = await loadWebsite(req.params.id, req, reply);
+  if (!website) return reply;
+  return reply.send(website);
+});
+
+app.put('/api/v1/websites/:id', async (req, reply) => {
+  const { value, error: invalid } = parseWebsiteInput(req.body, { partial: true });
+  if (invalid) return reply.code(400).send({ error: 'invalid_website', details: invalid });
+
+  // Changing the organization requires admin on the website and editor in the new organization
+  const website = await loadWebsite(req.params.id, req, reply, value.org_id !== undefined ? 'admin' : 'editor');
+  if (!website) return reply;
+  if (!await checkOrgTarget(value.org_id, req, reply)) return reply;
+
+  const { data, error } = await supabase
+    .from('websites')
+    .update({ ...value, updated_at: new Date().toISOString() })
+    .eq('id', website.id)
+    .select(WEBSITE_COLUMNS)
+    .single();
+
+  if (error) {
+    if (error.code === '23505') return reply.code(409).send({ error: 'website_exists', details: `${value.domain} is already registered` });
+    console.error('Website update error:', error.message);
+    return reply.code(500).send({ error: 'website_save_failed', details: error.message });
+  }
+  return reply.send(data);
+});
+
+app.delete('/api/v1/websites/:id', async (req, reply) => {
+  const website = await loadWebsite(req.params.id, req, reply, 'admin');
+  if (!website) return reply;
+
+  const { error } = await supabase.from('websites').delete().eq('id', website.id);
+  if (error) {
+    console.error('Website delete error:', error.message);
+    return reply.code(500).send({ error: 'website_delete_failed', details: error.message });
+  }
+  return reply.code(204).send();
+});
+
+// --- Topics: GET/POST /api/v1/websites/:id/topics, PUT/DELETE /api/v1/topics/:topicId ---
+app.get('/api/v1/websites/:id/topics', async (req, reply) => {
+  const website = await loadWebsite(req.params.id, req, reply);
+  if (!website) return reply;
+
+  const { data, error } = await supabase
+    .from('topics')
+    .select('id, name, description, created_at, prompts(count)')
+    .eq('website_id', website.id)
+    .order('name', { ascending: true });
+
+  if (error) {
+    console.error('Topics fetch error:', error.message);
+    return reply.code(500).send({ error: 'topic_fetch_failed', details: error.message });
+  }
+  return reply.send({
+    website_id: website.id,
+    topics: data.map(({ prompts, ...topic }) => ({ ...topic, prompt_count: prompts?.[0]?.count ?? 0 }))
+  });
+});
+
+app.post('/api/v1/websites/:id/topics', async (req, reply) => {
+  const { value, error: invalid } = parseTopicInput(req.body);
+  if (invalid) return reply.code(400).send({ error: 'invalid_topic', details: invalid });
+
+  const website = await loadWebsite(req.params.id, req, reply, 'editor');
+  if (!website) return reply;
+
+  const { data, error } = await supabase
+    .from('topics')
+    .insert({ ...value, website_id: website.id })
+    .select('id, website_id, name, description, created_at')
+    .single();
+
+  if (error) {
+    if (error.code === '23505') return reply.code(409).send({ error: 'topic_exists', details: `Topic "${value.name}" already exists` });
+    console.error('Topic save error:', error.message);
+    return reply.code(500).send({ error: 'topic_save_failed', details: error.message });
+  }
+  return reply.code(201).send(data);
+});
+
+// Topic routes check ownership through the topic's website
+async function loadTopic(id, req, reply, required = 'editor') {
+  const { data: topic, error } = await supabase
+    .from('topics')
+    .select('id, website_id, name, description, websites!website_id ( user_id, org_id )')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Topic fetch error:', error.message);
+    reply.code(500).send({ error: 'topic_fetch_failed', details: error.message });
+    return null;
+  }
+  const role = topic?.websites && await authorize(topic.websites, req, reply, required, 'topic_not_found');
+  if (!role) {
+    if (!topic?.websites) reply.code(404).send({ error: 'topic_not_found' });
+    return null;
+  }
+  return topic;
+}
+
+app.put('/api/v1/topics/:topicId', async (req, reply) => {
+  const { value, error: invalid } = parseTopicInput(req.body);
+  if (invalid) return reply.code(400).send({ error: 'invalid_topic', details: invalid });
+
+  const topic = await loadTopic(req.params.topicId, req, reply);
+  if (!topic) return reply;
+
+  const { data, error } = await supabase
+    .from('topics')
+    .update(value)
+    .eq('id', topic.id)
+    .select('id, website_id, name, description, created_at')
+    .single();
+
+  if (error) {
+    if (error.code === '23505') return reply.code(409).send({ error: 'topic_exists', details: `Topic "${value.name}" already exists` });
+    console.error('Topic update error:', error.message);
+    return reply.code(500).send({ error: 'topic_save_failed', details: error.message });
+  }
+  return reply.send(data);
+});
+
+app.delete('/api/v1/topics/:topicId', async (req, reply) => {
+  const topic = await loadTopic(req.params.topicId, req, reply);
+  if (!topic) return reply;
+
+  // Prompts keep existing; their topic_id is cleared by the foreign key
+  const { error } = await supabase.from('topics').delete().eq('id', topic.id);
+  if (error) {
+    console.error('Topic delete error:', error.message);
+    return reply.code(500).send({ error: 'topic_delete_failed', details: error.message });
+  }
+  return reply.code(204).send();
+});
+
+// --- Prompts: GET/POST /api/v1/websites/:id/prompts, GET/PUT/DELETE /api/v1/prompts/:id ---
+app.get('/api/v1/websites/:id/prompts', async (req, reply) => {
+  const paging = parsePage(req.query);
+  if (paging.error) return reply.code(400).send({ error: 'invalid_query', details: paging.error });
+
+  const website = await loadWebsite(req.params.id, req, reply);
+  if (!website) return reply;
+
+  const { topic_id, tag, is_active } = req.query || {};
+  let q = supabase
+    .from('prompts')
+    .select(PROMPT_COLUMNS, { count: 'exact' })
+    .eq('website_id', website.id);
+  if (topic_id) q = q.eq('topic_id', topic_id);
+  if (tag) q = q.contains('tags', [String(tag).toLowerCase()]);
+  if (is_active === 'true' || is_active === 'false') q = q.eq('is_active', is_active === 'true');
+
+  const { data, error, count } = await q
+    .order('created_at', { ascending: true })
+    .range(paging.from, paging.to);
+
+  if (error) {
+    console.error('Prompts fetch error:', error.message);
+    return reply.code(500).send({ error: 'prompt_fetch_failed', details: error.message });
+  }
+  return reply.send({ website_id: website.id, page: paging.page, page_size: paging.page_size, total: count, has_more: paging.to + 1 < count, prompts: data });
+});
+
+app.post('/api/v1/websites/:id/prompts', async (req, reply) => {
+  const { value, error: invalid } = parsePromptInput(req.body);
+  if (invalid) return reply.code(400).send({ error: 'invalid_prompt', details: invalid });
+
+  const website = await loadWebsite(req.params.id, req, reply, 'editor');
+  if (!website) return reply;
+  if (!await checkTopic(value.topic_id, website.id, reply)) return reply;
+
+  const { data, error } = await supabase
+    .from('prompts')
+    .insert({ is_active: true, tags: [], ...value, website_id: website.id })
+    .select(PROMPT_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Prompt save error:', error.message);
+    return reply.code(500).send({ error: 'prompt_save_failed', details: error.message });
+  }
+  return reply.code(201).send(data);
+});
+
+// --- POST /api/v1/websites/:id/prompts/import (CSV or JSON, ?dry_run=true to validate only) ---
+// Topics are referenced by name and created when missing. Prompts whose
+// content already exists on the website are skipped.
+app.post('/api/v1/websites/:id/prompts/import', async (req, reply) => {
+  const parsed = parsePromptImport(req.body, req.headers['content-type']);
+  if (parsed.error) return reply.code(400).send({ error: 'invalid_import', details: parsed.error });
+
+  const website = await loadWebsite(req.params.id, req, reply, 'editor');
+  if (!website) return reply;
+
+  const { data: existing, error: existingError } = await supabase
+    .from('prompts')
+    .select('content')
+    .eq('website_id', website.id);
+  const { data: topics, error: topicsError } = await supabase
+    .from('topics')
+    .select('id, name')
+    .eq('website_id', website.id);
+
+  if (existingError || topicsError) {
+    const error = existingError || topicsError;
+    console.error('Prompt import lookup error:', error.message);
+    return reply.code(500).send({ error: 'prompt_import_failed', details: error.message });
+  }
+
+  const seen = new Set(existing.map(p => p.content.trim().toLowerCase()));
+  const rows = [];
+  const skipped = [];
+  for (const row of parsed.rows) {
+    const key = row.value.content.toLowerCase();
+    if (seen.has(key)) {
+      skipped.push({ line: row.line, reason: 'duplicate' });
+      continue;
+    }
+    seen.add(key);
+    rows.push(row);
+  }
+
+  const topicIds = new Map(topics.map(t => [t.name.toLowerCase(), t.id]));
+  const newTopics = [...new Set(rows.map(r => r.topic).filter(t => t && !topicIds.has(t.toLowerCase())))];
+
+  const summary = {
+    website_id: website.id,
+    dry_run: req.query?.dry_run === 'true',
+    imported: rows.length,
+    skipped,
+    errors: parsed.errors,
+    topics_created: newTopics
+  };
+  if (summary.dry_run || rows.length === 0) return reply.send(summary);
+
+  if (newTopics.length > 0) {
+    const { data: created, error } = await supabase
+      .from('topics')
+      .insert(newTopics.map(name => ({ website_id: website.id, name })))
+      .select('id, name');
+    if (error) {
+      console.error('Topic import error:', error.message);
+      return reply.code(500).send({ error: 'prompt_import_failed', details: error.message });
+    }
+    created.forEach(t => topicIds.set(t.name.toLowerCase(), t.id));
+  }
+
+  const { error } = await supabase
+    .from('prompts')
+    .insert(rows.map(({ value, topic }) => ({
+      is_active: true,
+      tags: [],
+      ...value,
+      topic_id: topic ? topicIds.get(topic.toLowerCase()) : null,
+      website_id: website.id
+    })));
+
+  if (error) {
+    console.error('Prompt import error:', error.message);
+    return reply.code(500).send({ error: 'prompt_import_failed', details: error.message });
+  }
+  return reply.code(201).send(summary);
+});
+
+app.get('/api/v1/prompts/:id', async (req, reply) => {
+  const prompt = await loadPrompt(req.params.id, req, reply);
+  if (!prompt) return reply;
+  const { websites, ...rest } = prompt;
+  return reply.send(rest);
+});
+
+app.put('/api/v1/prompts/:id', async (req, reply) => {
+  const { value, error: invalid } = parsePromptInput(req.body, { partial: true });
+  if (invalid) return reply.code(400).send({ error: 'invalid_prompt', details: invalid });
+
+  const prompt = await loadPrompt(req.params.id, req, reply, 'editor');
+  if (!prompt) return reply;
+  if (!await checkTopic(value.topic_id, prompt.website_id, reply)) return reply;
+
+  const { data, error } = await supabase
+    .from('prompts')
+    .update({ ...value, updated_at: new Date().toISOString() })
+    .eq('id', prompt.id)
+    .select(PROMPT_COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Prompt update error:', error.message);
+    return reply.code(500).send({ error: 'prompt_save_failed', details: error.message });
+  }
+  return reply.send(data);
+});
+
+// Activation is what the cron scheduler reads (is_active)
+for (const [action, is_active] of [['activate', true], ['deactivate', false]]) {
+  app.post(`/api/v1/prompts/:id/${action}`, async (req, reply) => {
+    const prompt = await loadPrompt(req.params.id, req, reply, 'editor');
+    if (!prompt) return reply;
+
+    const { data, error } = await supabase
+      .from('prompts')
+      .update({ is_active, updated_at: new Date().toISOString() })
+      .eq('id', prompt.id)
+      .select(PROMPT_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error(`Prompt ${action} error:`, error.message);
+      return reply.code(500).send({ error: 'prompt_save_failed', details: error.message });
+    }
+    return reply.send(data);
+  });
+}
+
+app.delete('/api/v1/prompts/:id', async (req, reply) => {
+  const prompt = await loadPrompt(req.params.id, req, reply, 'editor');
+  if (!prompt) return reply;
+
+  const { error } = await supabase.from('prompts').delete().eq('id', prompt.id);
+  if (error) {
+    console.error('Prompt delete error:', error.message);
+    return reply.code(500).send({ error: 'prompt_delete_failed', details: error.message });
+  }
+  return reply.code(204).send();
+});
+
+// --- GET /api/v1/websites/:id/visibility (trend series across the website's prompts) ---
+app.get('/api/v1/websites/:id/visibility', async (req, reply) => {
+  const { id } = req.params;
+  const filters = parseTrendQuery(req.query);
+  if (filters.error) return reply.code(400).send({ error: 'invalid_query', details: filters.error });
+
+  const website = await loadWebsite(id, req, reply);
+  if (!website) return reply;
+
+  try {
+    const trend = await fetchTrendSeries(supabase, { ...filters, website_id: id, brand: website });
+    return reply.send({ website_id: id, ...filters, ...trend });
+  } catch (error) {
+    console.error('Visibility query error:', error.message);
+    return reply.code(500).send({ error: 'trend_query_failed', details: error.message });
+  }
+});
+
+// --- GET /api/v1/prompts/:id/history (trend series for one prompt) ---
+app.get('/api/v1/prompts/:id/history', async (req, reply) => {
+  const { id } = req.params;
+  const filters = parseTrendQuery(req.query);
+  if (filters.error) return reply.code(400).send({ error: 'invalid_query', details: filters.error });
+
+  const prompt = await loadPrompt(id, req, reply);
+  if (!prompt) return reply;
+
+  try {
+    const trend = await fetchTrendSeries(supabase, { ...filters, prompt_id: id, brand: prompt.websites || {} });
+    return reply.send({ prompt_id: id, website_id: prompt.website_id, ...filters, ...trend });
+  } catch (error) {
+    console.error('Prompt history query error:', error.message);
+    return reply.code(500).send({ error: 'trend_query_failed', details: error.message });
+  }
+});
+
+// --- Competitor sets: GET/PUT /api/v1/websites/:id/competitors, POST .../seed ---
+// An empty set comes back with suggestions from the most frequently extracted brands.
+app.get('/api/v1/websites/:id/competitors', async (req, reply) => {
+  const website = await loadWebsite(req.params.id, req, reply);
+  if (!website) return reply;
+
+  try {
+    const competitors = await getCompetitors(supabase, website.id);
+    return reply.send({
+      website_id: website.id,
+      competitors,
+      ...(competitors.length === 0 && { suggested: await suggestCompetitors(supabase, website) })
+    });
+  } catch (error) {
+    console.error('Competitor fetch error:', error.message);
+    return reply.code(500).send({ error: 'competitor_fetch_failed', details: error.message });
+  }
+});
+
+app.put('/api/v1/websites/:id/competitors', async (req, reply) => {
+  const { competitors } = req.body || {};
+  const invalid = validateCompetitors(competitors);
+  if (invalid) return reply.code(400).send({ error: invalid });
+
+  const website = await loadWebsite(req.params.id, req, reply, 'editor');
+  if (!website) return reply;
+
+  try {
+    return reply.send({ website_id: website.id, competitors: await replaceCompetitors(supabase, website.id, competitors) });
+  } catch (error) {
+    console.error('Competitor save error:', error.message);
+    return reply.code(500).send({ error: 'competitor_save_failed', details: error.message });
+  }
+});
+
+app.post('/api/v1/websites/:id/competitors/seed', async (req, reply) => {
+  const limit = Number(req.body?.limit ?? DEFAULT_COMPETITOR_SEED);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_COMPETITORS) {
+    return reply.code(400).send({ error: `limit must be an integer from 1 to ${MAX_COMPETITORS}` });
+  }
+
+  const website = await loadWebsite(req.params.id, req, reply, 'editor');
+  if (!website) return reply;
+
+  try {
+    const suggested = await suggestCompetitors(supabase, website, limit);
+    return reply.send({ website_id: website.id, competitors: await replaceCompetitors(supabase, website.id, suggested, 'seeded') });
+  } catch (error) {
+    console.error('Competitor seed error:', error.message);
+    return reply.code(500).send({ error: 'competitor_seed_failed', details: error.message });
+  }
+});
+
+// --- GET /api/v1/websites/:id/share-of-voice (per prompt, engine and period) ---
+app.get('/api/v1/websites/:id/share-of-voice', async (req, reply) => {
+  const filters = parseTrendQuery(req.query);
+  if (filters.error) return reply.code(400).send({ error: 'invalid_query', details: filters.error });
+
+  const website = await loadWebsite(req.params.id, req, reply);
+  if (!website) return reply;
+
+  const prompt_id = req.query?.prompt_id || null;
+  try {
+    const sov = await fetchShareOfVoice(supabase, website, { ...filters, prompt_id });
+    return reply.send({ website_id: website.id, prompt_id, ...filters, ...sov });
+  } catch (error) {
+    console.error('Share of voice query error:', error.message);
+    return reply.code(500).send({ error: 'share_of_voice_query_failed', details: error.message });
+  }
+});
+
+// --- Helper: Shared parsing for the citation report and its CSV export ---
+async function loadCitationReport(req, reply) {
+  const filters = parseTrendQuery(req.query);
+  const limit = Number(req.query?.limit || DEFAULT_DOMAIN_LIMIT);
+  if (filters.error || !Number.isInteger(limit) || limit < 1 || limit > MAX_DOMAIN_LIMIT) {
+    reply.code(400).send({ error: 'invalid_query', details: filters.error || `limit must be an integer from 1 to ${MAX_DOMAIN_LIMIT}` });
+    return null;
+  }
+
+  const website = await loadWebsite(req.params.id, req, reply);
+  if (!website) return null;
+
+  const prompt_id = req.query?.prompt_id || null;
+  try {
+    const report = await fetchCitationReport(supabase, website, { ...filters, prompt_id, limit });
+    return { website_id: website.id, prompt_id, ...filters, ...report };
+  } catch (error) {
+    console.error('Citation report error:', error.message);
+    reply.code(500).send({ error: 'citation_report_failed', details: error.message });
+    return null;
+  }
+}
+
+// --- GET /api/v1/websites/:id/citations (cited domains, source gaps, own-domain series, fan-out queries, pages retrieved but not cited) ---
+app.get('/api/v1/websites/:id/citations', async (req, reply) => {
+  const report = await loadCitationReport(req, reply);
+  if (!report) return reply;
+  return reply.send(report);
+});
+
+// --- GET /api/v1/websites/:id/citations.csv?report=domains|gaps (outreach export) ---
+app.get('/api/v1/websites/:id/citations.csv', async (req, reply) => {
+  const kind = req.query?.report || 'gaps';
+  if (!['domains', 'gaps'].includes(kind)) {
+    return reply.code(400).send({ error: 'invalid_query', details: 'report must be one of: domains, gaps' });
+  }
+
+  const report = await loadCitationReport(req, reply);
+  if (!report) return reply;
+
+  const rows = report[kind].map(d => ({
+    ...d,
+    engines: Object.entries(d.engines).map(([engine, count]) => `${engine}:${count}`),
+    competitors: d.competitors.map(c => `${c.name} (${c.citations})`)
+  }));
+  const columns = ['domain', 'is_own', 'citations', 'citation_share', 'results', 'own_brand_citations', 'competitors', 'engines'];
+
+  return reply
+    .header('Content-Type', 'text/csv; charset=utf-8')
+    .header('Content-Disposition', `attachment; filename="citations-${kind}-${report.website_id}.csv"`)
+    .send(toCsv(rows, columns));
+});
+
+// --- Helper: Validate an alert rule body (partial for updates); target_url must be a public host (libs/outboundUrls.js) ---
+const ALERT_RULE_FIELDS = ['name', 'enabled', 'event_types', 'engines', 'min_rank_delta', 'min_sentiment_delta', 'own_citations_only', 'channel', 'target_url'];
+
+function parseAlertRule(body = {}, { partial = false } = {}) {
+  const rule = Object.fromEntries(ALERT_RULE_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+
+  if (!partial && (typeof rule.name !== 'string' || !rule.name.trim())) return { error: 'name is required' };
+  if (!partial && !rule.channel) return { error: `channel must be one of: ${ALERT_CHANNELS.join(', ')}` };
+  if (rule.channel !== undefined && !ALERT_CHANNELS.includes(rule.channel)) {
+    return { error: `channel must be one of: ${ALERT_CHANNELS.join(', ')}` };
+  }
+  if (rule.event_types !== undefined && (!Array.isArray(rule.event_types) || rule.event_types.some(t => !CHANGE_TYPES.includes(t)))) {
+    return { error: `event_types must be an array of: ${CHANGE_TYPES.join(', ')}` };
+  }
+  if (rule.engines !== undefined && (!Array.isArray(rule.engines) || rule.engines.some(e => !getEngine(e)))) {
+    return { error: `engines must be an array of: ${engineNames().join(', ')}` };
+  }
+  for (const field of ['min_rank_delta', 'min_sentiment_delta']) {
+    if (rule[field] !== undefined && (!Number.isInteger(rule[field]) || rule[field] < 0)) {
+      return { error: `${field} must be an integer >= 0` };
+    }
+  }
+  if (rule.target_url !== undefined && rule.target_url !== null) {
+    const invalid = outboundUrlError(rule.target_url);
+    if (invalid) return { error: `target_url ${invalid}` };
+  }
+  if (!partial && rule.channel === 'webhook' && !rule.target_url) return { error: 'target_url is required for webhook rules' };
+
+  return { rule };
+}
+
+// --- Alert rules: GET/POST /api/v1/websites/:id/alert-rules, PUT/DELETE /api/v1/alert-rules/:ruleId ---
+app.get('/api/v1/websites/:id/alert-rules', async (req, reply) => {
+  const website = await loadWebsite(req.params.id, req, reply);
+  if (!website) return reply;
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('website_id', website.id)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Alert rules fetch error:', error.message);
+    return reply.code(500).send({ error: 'alert_rules_fetch_failed', details: error.message });
+  }
+  return reply.send({ website_id: website.id, rules: data });
+});
+
+app.post('/api/v1/websites/:id/alert-rules', async (req, reply) => {
+  const { rule, error: invalid } = parseAlertRule(req.body);
+  if (invalid) return reply.code(400).send({ error: 'invalid_alert_rule', details: invalid });
+
+  const website = await loadWebsite(req.params.id, req, reply, 'editor');
+  if (!website) return reply;
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .insert({ ...rule, name: rule.name.trim(), website_id: website.id })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Alert rule save error:', error.message);
+    return reply.code(500).send({ error: 'alert_rule_save_failed', details: error.message });
+  }
+  return reply.code(201).send(data);
+});
+
+// Alert rule routes check access through the rule's website
+async function loadAlertRule(id, req, reply) {
+  const { data: rule, error } = await supabase
+    .from('alert_rules')
+    .select('id, website_id, name, channel, target_url, websites!website_id ( user_id, org_id )')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Alert rule fetch error:', error.message);
+    reply.code(500).send({ error: 'alert_rules_fetch_failed', details: error.message });
+    return null;
+  }
+  const role = rule?.websites && await authorize(rule.websites, req, reply, 'editor', 'not_found');
+  if (!role) {
+    if (!rule?.websites) reply.code(404).send({ error: 'not_found' });
+    return null;
+  }
+  return rule;
+}
+
+app.put('/api/v1/alert-rules/:ruleId', async (req, reply) => {
+  const { rule, error: invalid } = parseAlertRule(req.body, { partial: true });
+  if (invalid) return reply.code(400).send({ error: 'invalid_alert_rule', details: invalid });
+  const existing = await loadAlertRule(req.params.ruleId, req, reply);
+  if (!existing) return reply;
+
+  // The rule as it would be saved must be complete (e.g. a webhook needs its URL)
+  const { name, channel, target_url } = existing;
+  const { error: incomplete } = parseAlertRule({ name, channel, target_url, ...rule });
+  if (incomplete) return reply.code(400).send({ error: 'invalid_alert_rule', details: incomplete });
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .update({ ...rule, ...(rule.name !== undefined && { name: rule.name.trim() }), updated_at: new Date().toISOString() })
+    .eq('id', req.params.ruleId)
+    .select()
+    .maybeSingle();
+
+  if (error) {
+    console.error('Alert rule update error:', error.message);
+    return reply.code(500).send({ error: 'alert_rule_save_failed', details: error.message });
+  }
+  if (!data) return reply.code(404).send({ error: 'not_found' });
+  return reply.send(data);
+});
+
+app.delete('/api/v1/alert-rules/:ruleId', async (req, reply) => {
+  if (!await loadAlertRule(req.params.ruleId, req, reply)) return reply;
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .delete()
+    .eq('id', req.params.ruleId)
+    .select('id');
+
+  if (error) {
+    console.error('Alert rule delete error:', error.message);
+    return reply.code(500).send({ error: 'alert_rule_delete_failed', details: error.message });
+  }
+  if (data.length === 0) return reply.code(404).send({ error: 'not_found' });
+  return reply.code(204).send();
+});
+
+// --- GET /api/v1/websites/:id/changes (change events, newest first) ---
+app.get('/api/v1/websites/:id/changes', async (req, reply) => {
+  const { type, engine, prompt_id, from, to } = req.query || {};
+  const page = Number(req.query?.page || 1);
+  const page_size = Number(req.query?.page_size || 50);
+  if (type && !CHANGE_TYPES.includes(type)) {
+    return reply.code(400).send({ error: 'invalid_query', details: `type must be one of: ${CHANGE_TYPES.join(', ')}` });
+  }
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(page_size) || page_size < 1 || page_size > 500) {
+    return reply.code(400).send({ error: 'invalid_query', details: 'page must be >= 1 and page_size between 1 and 500' });
+  }
+
+  const website = await loadWebsite(req.params.id, req, reply);
+  if (!website) return reply;
+
+  let q = supabase
+    .from('change_events')
+    .select('*', { count: 'exact' })
+    .eq('website_id', website.id);
+  if (type) q = q.eq('type', type);
+  if (engine) q = q.eq('engine', engine);
+  if (prompt_id) q = q.eq('prompt_id', prompt_id);
+  if (from) q = q.gte('created_at', from);
+  if (to) q = q.lte('created_at', to);
+
+  const { data, error, count } = await q
+    .order('created_at', { ascending: false })
+    .range((page - 1) * page_size, page * page_size - 1);
+
+  if (error) {
+    console.error('Change events fetch error:', error.message);
+    return reply.code(500).send({ error: 'changes_fetch_failed', details: error.message });
+  }
+  return reply.send({ website_id: website.id, page, page_size, total: count, has_more: page * page_size < count, changes: data });
+});
+
+// --- Webhook subscriptions: /api/v1/webhooks (scope = user|website) ---
+const WEBHOOK_COLUMNS = 'id, created_at, updated_at, scope, scope_id, url, events, enabled';
+
+function parseWebhookBody(body = {}, { partial = false } = {}) {
+  const { url, events, enabled } = body;
+  if (!partial || url !== undefined) {
+    const invalid = typeof url === 'string' ? outboundUrlError(url) : 'must be an http(s) URL';
+    if (invalid) return { error: `url ${invalid}` };
+  }
+  if ((!partial || events !== undefined) &&
+      (!Array.isArray(events) || events.length === 0 || events.some(e => !WEBHOOK_EVENTS.includes(e)))) {
+    return { error: `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+
+  const fields = Object.fromEntries(Object.entries({ url, events, enabled }).filter(([, v]) => v !== undefined));
+  return { fields };
+}
+
+app.post('/api/v1/webhooks', async (req, reply) => {
+  const { scope = 'user' } = req.body || {};
+  const scope_id = req.body?.scope_id || (scope === 'user' ? req.user?.sub : null);
+  if (!WEBHOOK_SCOPES.includes(scope) || !scope_id) {
+    return reply.code(400).send({ error: 'invalid_webhook', details: `scope must be one of: ${WEBHOOK_SCOPES.join(', ')}, with a scope_id` });
+  }
+  const { fields, error: invalid } = parseWebhookBody(req.body);
+  if (invalid) return reply.code(400).send({ error: 'invalid_webhook', details: invalid });
+  if (!await authorizeScope(scope, scope_id, req, reply, 'admin')) return reply;
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .insert({ ...fields, scope, scope_id: String(scope_id), secret: generateWebhookSecret() })
+    .select(`${WEBHOOK_COLUMNS}, secret`)
+    .single();
+
+  if (error) {
+    console.error('Webhook save error:', error.message);
+    return reply.code(500).send({ error: 'webhook_save_failed', details: error.message });
+  }
+  // The secret is only returned here
+  return reply.code(201).send(data);
+});
+
+app.get('/api/v1/webhooks', async (req, reply) => {
+  const { scope = 'user' } = req.query || {};
+  const scope_id = req.query?.scope_id || (scope === 'user' ? req.user?.sub : null);
+  if (!WEBHOOK_SCOPES.includes(scope) || !scope_id) {
+    return reply.code(400).send({ error: 'invalid_query', details: `scope must be one of: ${WEBHOOK_SCOPES.join(', ')}, with a scope_id` });
+  }
+  if (!await authorizeScope(scope, scope_id, req, reply, 'admin')) return reply;
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .select(WEBHOOK_COLUMNS)
+    .eq('scope', scope)
+    .eq('scope_id', String(scope_id))
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Webhook fetch error:', error.message);
+    return reply.code(500).send({ error: 'webhook_fetch_failed', details: error.message });
+  }
+  return reply.send({ scope, scope_id: String(scope_id), webhooks: data });
+});
+
+// Subscription routes check access through the subscription's scope
+async function loadWebhook(id, req, reply) {
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .select('id, scope, scope_id')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Webhook fetch error:', error.message);
+    reply.code(500).send({ error: 'webhook_fetch_failed', details: error.message });
+    return null;
+  }
+  if (!data) {
+    reply.code(404).send({ error: 'not_found' });
+    return null;
+  }
+  return await authorizeScope(data.scope, data.scope_id, req, reply, 'admin') ? data : null;
+}
+
+app.put('/api/v1/webhooks/:id', async (req, reply) => {
+  const { fields, error: invalid } = parseWebhookBody(req.body, { partial: true });
+  if (invalid) return reply.code(400).send({ error: 'invalid_webhook', details: invalid });
+  if (!await loadWebhook(req.params.id, req, reply)) return reply;
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', req.params.id)
+    .select(WEBHOOK_COLUMNS)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Webhook update error:', error.message);
+    return reply.code(500).send({ error: 'webhook_save_failed', details: error.message });
+  }
+  if (!data) return reply.code(404).send({ error: 'not_found' });
+  return reply.send(data);
+});
+
+app.delete('/api/v1/webhooks/:id', async (req, reply) => {
+  if (!await loadWebhook(req.params.id, req, reply)) return reply;
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .delete()
+    .eq('id', req.params.id)
+    .select('id');
+
+  if (error) {
+    console.error('Webhook delete error:', error.message);
+    return reply.code(500).send({ error: 'webhook_delete_failed', details: error.message });
+  }
+  if (data.length === 0) return reply.code(404).send({ error: 'not_found' });
+  return reply.code(204).send();
+});
+
+// --- GET /api/v1/webhooks/:id/deliveries (delivery log, newest first) ---
+app.get('/api/v1/webhooks/:id/deliveries', async (req, reply) => {
+  const { status, event_type } = req.query || {};
+  const page = Number(req.query?.page || 1);
+  const page_size = Number(req.query?.page_size || 50);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(page_size) || page_size < 1 || page_size > 500) {
+    return reply.code(400).send({ error: 'invalid_query', details: 'page must be >= 1 and page_size between 1 and 500' });
+  }
+  if (!await loadWebhook(req.params.id, req, reply)) return reply;
+
+  let q = supabase
+    .from('webhook_deliveries')
+    .select('*', { count: 'exact' })
+    .eq('subscription_id', req.params.id);
+  if (status) q = q.eq('status', status);
+  if (event_type) q = q.eq('event_type', event_type);
+
+  const { data, error, count } = await q
+    .order('created_at', { ascending: false })
+    .range((page - 1) * page_size, page * page_size - 1);
+
+  if (error) {
+    console.error('Webhook deliveries fetch error:', error.message);
+    return reply.code(500).send({ error: 'webhook_deliveries_fetch_failed', details: error.message });
+  }
+  return reply.send({ webhook_id: req.params.id, page, page_size, total: count, has_more: page * page_size < count, deliveries: data });
+});
+
+// --- GET /api/v1/prompt-runs/batch/:groupId (group status) ---
+app.get('/api/v1/prompt-runs/batch/:groupId', async (req, reply) => {
+  const { groupId } = req.params;
+
+  if (!redisAvailable) {
+    return reply.code(503).send({ error: 'redis_unavailable' });
+  }
+
+  let group;
+  try {
+    group = await resolveRunGroup(groupId);
+  } catch (error) {
+    console.error('Run group lookup error:', error.message);
+    return reply.code(503).send({ error: 'redis_unavailable' });
+  }
+  if (!group || (!req.user?.service && !await canReadRun(supabase, group.meta, req.user?.sub))) {
+    return reply.code(404).send({ error: 'not_found' });
+  }
+
+  return reply.send({
+    group_id: groupId,
+    prompt_id: group.meta.prompt_id,
+    created_at: group.meta.created_at,
+    samples: group.meta.samples || 1,
+    status: group.status,
+    finished: group.finished,
+    jobs: group.jobs,
+    ...(group.meta.samples > 1 && { aggregates: await fetchSampleAggregates(groupId) })
+  });
+});
+
+// --- SSE: live progress per group (QueueEvents fan-out, resumable) ---
+app.get('/api/v1/sse/groups/:groupId', async (req, reply) => {
+  const { groupId } = req.params;
+
+  if (!redisAvailable || !jobEvents) {
+    return reply.code(503).send({ error: 'redis_unavailable' });
+  }
+
+  let group;
+  try {
+    group = await getRunGroup(await getRedisClient(), groupId);
+  } catch (error) {
+    console.error('SSE run group lookup error:', error.message);
+    return reply.code(503).send({ error: 'redis_unavailable' });
+  }
+  if (!group || (!req.user?.service && !await canReadRun(supabase, group.meta, req.user?.sub))) {
+    return reply.code(404).send({ error: 'not_found' });
+  }
+
+  const targets = Object.entries(group.jobs).map(([member, j]) => ({
+    member,
+    engine: j.engine,
+    sample: j.sample,
+    jobId: String(j.job_id)
+  }));
+  const targetByJob = new Map(targets.map(t => [`${t.engine}:${t.jobId}`, t]));
+  const multiSample = group.meta.samples > 1;
+  const cursor = decodeEventCursor(req.headers['last-event-id']);
+
+  reply.hijack();
+  reply.raw.writeHead(200, {
+    ...reply.getHeaders(), // keep CORS headers set by hooks
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  let closed = false;
+  const last = new Map(); // member -> last state sent
+
+  const write = (type, payload) => {
+    const id = encodeEventCursor(cursor);
+    if (id) reply.raw.write(`id: ${id}\n`);
+    reply.raw.write(`event: ${type}\n`);
+    reply.raw.write(`data: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  const emit = ({ type, payload, engine, jobId, eventId }) => {
+    if (closed) return;
+    if (eventId) cursor[engine] = eventId;
+    const target = targetByJob.get(`${engine}:${jobId}`);
+    if (!target) return;
+
+    // Skip repeated states, but always forward progress updates with data
+    const state = type === 'progress' ? payload.status : type;
+    if (payload.progress === undefined || payload.progress === null) {
+      if (last.get(target.member) === state) return;
+    }
+    last.set(target.member, state);
+    write(type, multiSample ? { ...payload, sample: target.sample } : payload);
+    if (!buffered) finishIfDone();
+  };
+
+  // Close the stream once every job reached a terminal state. 'unknown' (the
+  // job was removed without a recorded outcome) sends no more events, so it
+  // ends the stream too; `done` then reports finished: false.
+  const finishIfDone = () => {
+    if (closed || !targets.every(t => ['completed', 'failed', 'unknown'].includes(last.get(t.member)))) return;
+    const states = Object.fromEntries(targets.map(t => [t.member, { state: last.get(t.member) }]));
+    write('done', { group_id: groupId, ...summarizeRunGroup(states) });
+    cleanup();
+    reply.raw.end();
+  };
+
+  // Subscribe before catching up so nothing slips through; buffer until then
+  let buffered = [];
+  const unsubscribe = jobEvents.subscribe(targets, (event) => {
+    if (buffered) buffered.push(event);
+    else emit(event);
+  });
+
+  const heartbeat = setInterval(() => {
+    if (!closed) reply.raw.write(':heartbeat\n\n');
+  }, 15000);
+
+  function cleanup() {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+  req.raw.on('close', cleanup);
+
+  try {
+    // Resuming: replay what was missed per engine. Otherwise: current snapshot.
+    const resumedEngines = [...new Set(targets.map(t => t.engine))].filter(engine => cursor[engine]);
+    for (const engine of resumedEngines) {
+      const jobIds = targets.filter(t => t.engine === engine).map(t => t.jobId);
+      const missed = await readJobEventsSince(queues[engine], engine, jobIds, cursor[engine]);
+      missed.forEach(emit);
+    }
+
+    const snapshot = await resolveRunGroup(groupId);
+    for (const { member, engine, jobId } of targets) {
+      const entry = snapshot?.jobs[member];
+      if (!entry) continue;
+      if (cursor[engine]) {
+        // The client already saw everything up to its cursor
+        if (!last.has(member)) last.set(member, entry.state);
+      } else if (entry.state === 'completed') {
+        emit({ type: 'completed', engine, jobId, payload: { engine, result: entry.result || { result_id: entry.result_id } } });
+      } else if (entry.state === 'failed') {
+        emit({ type: 'failed', engine, jobId, payload: { engine, error: entry.error?.message || 'failed', error_kind: entry.error?.kind || null } });
+      } else {
+        emit({ type: 'progress', engine, jobId, payload: { engine, status: entry.state } });
+      }
+    }
+  } catch (error) {
+    console.error('SSE catch-up error:', error.message, error.code, error.name);
+    if (!closed) write('error', { error: 'redis_unavailable' });
+  }
+
+  const pending = buffered;
+  buffered = null;
+  pending.forEach(emit);
+  finishIfDone();
 });
 
 // --- Start ---
@@ -0,0 +1,97 @@
+// ESM
+
+// ============================================================================
+// ACCESS CONTROL
+// A website belongs to its owner (websites.user_id) and optionally to an
+// organization (websites.org_id, db/014). Organization members get the role
+// stored in organization_members; the owner is always an admin.
+//
+// Roles are ordered: viewer (read) < editor (run prompts, edit prompts,
+// topics, competitors and alert rules) < admin (members, budgets, webhooks,
+// deleting the website).
+// ============================================================================
+
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+/**
+ * True when `role` is at least `required`
+ */
+export function hasRole(role, required = 'viewer') {
+  return ROLES.indexOf(role) !== -1 && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Organizations a user belongs to, with their role
+ * @returns {Promise<Array<{ org_id, role }>>}
+ */
+export async function getMemberships(supabase, userId) {
+  if (!userId) return [];
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('org_id, role')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Role of a user in one organization, or null
+ */
+export async function getOrgRole(supabase, orgId, userId) {
+  if (!orgId || !userId) return null;
+  const { data, error } = await supabase
+    .from('organization_members')
+    .select('role')
+    .eq('org_id', orgId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.role || null;
+}
+
+/**
+ * Role of a user on a website, or null when they have no access
+ * @param {object} website - Row with user_id and org_id
+ */
+export async function getWebsiteRole(supabase, website, userId) {
+  if (!website || !userId) return null;
+  if (website.user_id === userId) return 'admin';
+  return getOrgRole(supabase, website.org_id, userId);
+}
+
+/**
+ * Role of a user on a website by id (null if the website does not exist or is not theirs)
+ */
+export async function getWebsiteRoleById(supabase, websiteId, userId) {
+  if (!websiteId) return null;
+  const { data, error } = await supabase
+    .from('websites')
+    .select('user_id, org_id')
+    .eq('id', websiteId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return getWebsiteRole(supabase, data, userId);
+}
+
+/**
+ * PostgREST filter matching every website a user can see, for `.or()`
+ */
+export async function websiteAccessFilter(supabase, userId) {
+  const orgIds = (await getMemberships(supabase, userId)).map(m => m.org_id);
+  const filters = [`user_id.eq.${userId}`];
+  if (orgIds.length > 0) filters.push(`org_id.in.(${orgIds.join(',')})`);
+  return filters.join(',');
+}
+
+/**
+ * Whether a user may see a run (a job or run group) from its recorded owner
+ * @param {object} owner - { user_id, website_id } stored with the run
+ */
+export async function canReadRun(supabase, owner, userId) {
+  if (!owner || !userId) return false;
+  if (owner.website_id) return hasRole(await getWebsiteRoleById(supabase, owner.website_id, userId), 'viewer');
+  return owner.user_id === userId;
+}
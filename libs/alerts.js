@@ -0,0 +1,87 @@
+// ESM
+import { sendChangeAlert } from '../cron-scheduler/slackNotifier.js';
+import { assertPublicUrl } from './outboundUrls.js';
+
+// ============================================================================
+// ALERTS
+// Per-website alert rules (alert_rules, db/011) filter change events and
+// send them to Slack (cron-scheduler/slackNotifier.js) or a generic webhook.
+// A rule's target_url must be a public host (libs/outboundUrls.js); it is
+// checked again before every send.
+// ============================================================================
+
+export const ALERT_CHANNELS = ['slack', 'webhook'];
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Does a change event pass a rule's filters?
+ */
+export function matchesRule(rule, event) {
+  if (!rule.enabled) return false;
+  if (rule.event_types?.length && !rule.event_types.includes(event.type)) return false;
+  if (rule.engines?.length && !rule.engines.includes(event.engine)) return false;
+
+  const delta = Math.abs(event.details?.delta ?? Infinity); // entering/leaving a list always counts
+  if (event.type === 'rank_changed' && delta < (rule.min_rank_delta ?? 1)) return false;
+  if (event.type === 'sentiment_shift' && delta < (rule.min_sentiment_delta ?? 10)) return false;
+  if (event.type.startsWith('citation_') && rule.own_citations_only !== false && !event.details?.is_own) return false;
+  return true;
+}
+
+async function postWebhook(url, body) {
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      console.error('[Alerts] Webhook failed:', response.status);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('[Alerts] Webhook error:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Send the events each rule matches (one message per rule)
+ * @param {object[]} rules - Enabled alert_rules rows of the website
+ * @param {object[]} events - Newly recorded change_events rows
+ * @param {object} context - { website_id, website_domain, prompt_id, prompt_text }
+ */
+export async function dispatchAlerts(rules, events, context) {
+  let sent = 0;
+  for (const rule of rules) {
+    const matched = events.filter(event => matchesRule(rule, event));
+    if (matched.length === 0) continue;
+
+    if (rule.target_url) {
+      try {
+        await assertPublicUrl(rule.target_url);
+      } catch (error) {
+        console.error(`[Alerts] ❌ Rule "${rule.name}": target_url refused:`, error.message);
+        continue;
+      }
+    }
+
+    const ok = rule.channel === 'slack'
+      ? await sendChangeAlert(matched, { ...context, rule_name: rule.name }, rule.target_url || undefined)
+      : await postWebhook(rule.target_url, {
+          type: 'change_events',
+          rule: { id: rule.id, name: rule.name },
+          website_id: context.website_id,
+          prompt_id: context.prompt_id,
+          events: matched
+        });
+
+    if (ok) sent++;
+    console.log(`[Alerts] ${ok ? '✅' : '❌'} Rule "${rule.name}" (${rule.channel}): ${matched.length} event(s)`);
+  }
+  return sent;
+}
@@ -0,0 +1,168 @@
+// ESM
+
+// ============================================================================
+// ANSWER STRUCTURE
+// Headings, lists and tables of an answer's markdown, for "best X for Y"
+// answers that rank their picks:
+//
+//   {
+//     headings: [{ level, text, start, end }],
+//     lists:    [{ ordered, heading, start, end,
+//                  items: [{ position, text, entity, start, end }] }],
+//     tables:   [{ heading, columns, start, end,
+//                  rows: [{ position, cells, entity, start, end }] }]
+//   }
+//
+// - position: 1-based place of the item (row) in its list (table)
+// - entity: what the item is about, e.g. "Acme CRM" for
+//   "1. **Acme CRM**: simple setup..." (null when it has no clear subject)
+// - heading: text of the closest heading above the list or table
+// - start/end: character range of the markdown (end exclusive), as for
+//   citation spans (libs/citations.js)
+// ============================================================================
+
+const HEADING_RE = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const LIST_ITEM_RE = /^(\s*)(\d+[.)]|[-*+])\s+(.*)$/;
+const FENCE_RE = /^\s*(```|~~~)/;
+const TABLE_DIVIDER_RE = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+// Longest text taken as an entity when it is not marked up (bold, link)
+const MAX_ENTITY_WORDS = 8;
+
+// Inline markdown to plain text
+const plain = (text) => text
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1') // links and images
+  .replace(/\[\d+(?:\s*,\s*\d+)*\]/g, '')     // citation markers
+  .replace(/(\*\*|__|\*|_|~~|`)(.+?)\1/g, '$2')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// "Acme CRM (best overall):" -> "Acme CRM"
+const cleanEntity = (text) => {
+  const entity = plain(text)
+    .replace(/\s*\([^)]*\)\s*$/, '')
+    .replace(/[\s:;,.–—-]+$/, '')
+    .trim();
+  return entity || null;
+};
+
+const wordCount = (text) => text.split(/\s+/).filter(Boolean).length;
+
+/**
+ * What a list item is about, from its first line: the leading bold text or
+ * link, else a short label before ":" or a dash, else the whole line when it
+ * is short and not a sentence
+ */
+export function itemEntity(line) {
+  const text = String(line || '').trim();
+
+  const strong = text.match(/^(\*\*|__)(.+?)\1/);
+  if (strong) return cleanEntity(strong[2]);
+
+  const link = text.match(/^\[([^\]]+)\]\([^)]*\)/);
+  if (link) return cleanEntity(link[1]);
+
+  const label = text.match(/^(.+?)(?::\s|\s[–—-]\s)/);
+  if (label && wordCount(plain(label[1])) <= MAX_ENTITY_WORDS) return cleanEntity(label[1]);
+
+  const whole = plain(text);
+  if (whole && wordCount(whole) <= MAX_ENTITY_WORDS && !/[.!?](\s|$)/.test(whole)) return cleanEntity(whole);
+
+  return null;
+}
+
+// Cells of a table row ("| a | b |" -> ["a", "b"]), keeping escaped pipes
+const splitRow = (line) => line.trim()
+  .replace(/^\|/, '')
+  .replace(/(?<!\\)\|$/, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => plain(cell.replace(/\\\|/g, '|')));
+
+// A leading rank column ("#", "1", "1.") says nothing about the subject
+const rowEntity = (cells) => {
+  const subject = /^#?\d+\.?$/.test(cells[0] || '') ? cells[1] : cells[0];
+  return subject ? cleanEntity(subject) : null;
+};
+
+/**
+ * Parse the structure of an answer
+ * @param {string} markdown - answer_markdown
+ */
+export function parseAnswerStructure(markdown) {
+  const structure = { headings: [], lists: [], tables: [] };
+  if (!markdown || typeof markdown !== 'string') return structure;
+
+  // Lines with their offsets in the markdown
+  const lines = [];
+  let offset = 0;
+  for (const text of markdown.split('\n')) {
+    lines.push({ text, start: offset, end: offset + text.length });
+    offset += text.length + 1;
+  }
+
+  let heading = null;
+  let list = null;
+  let item = null;
+  let fenced = false;
+
+  const closeList = () => {
+    list = null;
+    item = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    // Nothing inside code blocks is structure
+    if (FENCE_RE.test(line.text)) {
+      fenced = !fenced;
+      closeList();
+      continue;
+    }
+    if (fenced) continue;
+
+    const headingMatch = line.text.match(HEADING_RE);
+    if (headingMatch) {
+      closeList();
+      heading = plain(headingMatch[2]);
+      structure.headings.push({ level: headingMatch[1].length, text: heading, start: line.start, end: line.end });
+      continue;
+    }
+
+    // A table: header row, divider, then rows until a line without a pipe
+    if (line.text.includes('|') && TABLE_DIVIDER_RE.test(lines[i + 1]?.text || '')) {
+      closeList();
+      const table = { heading, columns: splitRow(line.text), start: line.start, end: lines[i + 1].end, rows: [] };
+      for (i += 2; i < lines.length && lines[i].text.includes('|'); i++) {
+        const cells = splitRow(lines[i].text);
+        table.rows.push({ position: table.rows.length + 1, cells, entity: rowEntity(cells), start: lines[i].start, end: lines[i].end });
+        table.end = lines[i].end;
+      }
+      i--;
+      structure.tables.push(table);
+      continue;
+    }
+
+    // Top-level list items start or extend a list; nested items and
+    // indented lines belong to the current item
+    const itemMatch = line.text.match(LIST_ITEM_RE);
+    if (itemMatch && itemMatch[1].length === 0) {
+      const ordered = /\d/.test(itemMatch[2]);
+      if (!list || list.ordered !== ordered) {
+        list = { ordered, heading, start: line.start, end: line.end, items: [] };
+        structure.lists.push(list);
+      }
+      item = { position: list.items.length + 1, text: itemMatch[3].trim(), entity: itemEntity(itemMatch[3]), start: line.start, end: line.end };
+      list.items.push(item);
+      list.end = line.end;
+    } else if (item && (itemMatch || /^\s+\S/.test(line.text))) {
+      item.text += `\n${line.text.trim()}`;
+      item.end = list.end = line.end;
+    } else if (line.text.trim() !== '') {
+      // Any other unindented text ends the list (blank lines do not)
+      closeList();
+    }
+  }
+
+  return structure;
+}
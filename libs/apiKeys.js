@@ -0,0 +1,99 @@
+// ESM
+import { createHash, randomBytes } from 'crypto';
+import { consumeRateLimit } from './rateLimits.js';
+
+// ============================================================================
+// API KEYS
+// Server-to-server callers (the cron scheduler, customer backends)
+// authenticate with an API key instead of a Supabase JWT:
+//
+//   Authorization: Bearer ask_<random>     (or X-API-Key: ask_<random>)
+//
+// Only a SHA-256 hash is stored (api_keys, db/015); the key itself is shown
+// once, on creation. A key acts as the user who created it and is limited
+// to its scopes. Service keys (user_id null) act for every website and are
+// meant for the cron scheduler; only PLATFORM_ADMINS can create them.
+// ============================================================================
+
+export const API_KEY_PREFIX = 'ask_';
+export const API_KEY_SCOPES = ['runs:write', 'runs:read', 'analytics:read'];
+export const DEFAULT_KEY_RATE_LIMIT = 60;   // requests per minute
+export const MAX_KEY_RATE_LIMIT = 6000;
+
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // last_used_at is not updated more often
+const KEY_COLUMNS = 'id, user_id, created_by, name, prefix, scopes, rate_limit_per_minute, last_used_at, revoked_at';
+
+export function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+export function hashApiKey(key) {
+  return createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * New random key with the columns to store for it
+ * @returns {{ key: string, prefix: string, key_hash: string }}
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 8), key_hash: hashApiKey(key) };
+}
+
+/**
+ * Validate a create-key body
+ * @param {object} body - { name, scopes, rate_limit_per_minute, service }
+ */
+export function parseApiKeyInput(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) return { error: 'name is required (max 100 characters)' };
+
+  const { scopes } = body;
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+    return { error: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}` };
+  }
+
+  const rate = body.rate_limit_per_minute ?? DEFAULT_KEY_RATE_LIMIT;
+  if (!Number.isInteger(rate) || rate < 1 || rate > MAX_KEY_RATE_LIMIT) {
+    return { error: `rate_limit_per_minute must be an integer from 1 to ${MAX_KEY_RATE_LIMIT}` };
+  }
+  if (body.service !== undefined && typeof body.service !== 'boolean') return { error: 'service must be a boolean' };
+
+  return { value: { name, scopes: [...new Set(scopes)], rate_limit_per_minute: rate, service: body.service === true } };
+}
+
+/**
+ * Active key row for a presented key, or null. Records last use (throttled, never awaited).
+ */
+export async function authenticateApiKey(supabase, key) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select(KEY_COLUMNS)
+    .eq('key_hash', hashApiKey(key))
+    .is('revoked_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  const lastUsed = data.last_used_at ? new Date(data.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed > LAST_USED_RESOLUTION_MS) {
+    supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', data.id)
+      .then(({ error: touchError }) => {
+        if (touchError) console.error('[API keys] Failed to record last use:', touchError.message);
+      });
+  }
+  return data;
+}
+
+/**
+ * Count one request against a key's per-minute limit
+ * @param {object} redis - ioredis client
+ * @param {object} key - { id, rate_limit_per_minute }
+ */
+export function consumeKeyRateLimit(redis, key) {
+  return consumeRateLimit(redis, `apikey:${key.id}`, key.rate_limit_per_minute || DEFAULT_KEY_RATE_LIMIT);
+}
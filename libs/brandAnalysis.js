@@ -0,0 +1,142 @@
+// ESM
+import { parseAnswerStructure } from './answerStructure.js';
+
+// ============================================================================
+// HELPER FUNCTIONS
+// ============================================================================
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Normalize a domain or URL to a bare hostname ("https://www.Acme.com/x" -> "acme.com")
+export const normalizeDomain = (value) => {
+  if (!value) return '';
+  const raw = String(value).trim().toLowerCase();
+  try {
+    const withProtocol = /^[a-z]+:\/\//.test(raw) ? raw : `https://${raw}`;
+    return new URL(withProtocol).hostname.replace(/^www\./, '');
+  } catch {
+    return raw.replace(/^www\./, '').split('/')[0];
+  }
+};
+
+// True when `domain` is `ownDomain` (normalized) or one of its subdomains
+export const isOwnDomain = (domain, ownDomain) => {
+  if (!domain || !ownDomain) return false;
+  const d = normalizeDomain(domain);
+  return d === ownDomain || d.endsWith(`.${ownDomain}`);
+};
+
+// Build the list of terms to look for, longest first so "Acme Cloud" wins over "Acme"
+const buildTerms = ({ brand_name, brand_aliases, website_domain }) => {
+  const terms = [];
+  const seen = new Set();
+  const add = (value, matched_by) => {
+    const term = (value || '').toString().trim();
+    if (term.length < 2 || seen.has(term.toLowerCase())) return;
+    seen.add(term.toLowerCase());
+    terms.push({ term, matched_by });
+  };
+
+  add(brand_name, 'name');
+  (Array.isArray(brand_aliases) ? brand_aliases : []).forEach(alias => add(alias, 'alias'));
+  add(normalizeDomain(website_domain), 'domain');
+
+  return terms.sort((a, b) => b.term.length - a.term.length);
+};
+
+// Find every non-overlapping occurrence of the terms in `text`.
+// Matches must sit on word boundaries so "Acme" does not match "Acmeville".
+const findMentions = (text, terms) => {
+  if (!text || terms.length === 0) return [];
+
+  const taken = [];
+  const mentions = [];
+
+  for (const { term, matched_by } of terms) {
+    const re = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'giu');
+    for (const m of text.matchAll(re)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (taken.some(([s, e]) => start < e && end > s)) continue;
+      taken.push([start, end]);
+      mentions.push({ term, matched_by, text: m[0], offset: start, length: m[0].length });
+    }
+  }
+
+  return mentions.sort((a, b) => a.offset - b.offset);
+};
+
+/**
+ * Reusable predicate: does `text` mention the brand (name, aliases or domain)?
+ * Compiles the term patterns once, for scanning many short texts.
+ */
+export function createBrandMatcher(brandContext = {}) {
+  const patterns = buildTerms(brandContext).map(({ term }) =>
+    new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'iu'));
+  return (text) => Boolean(text) && patterns.some(re => re.test(text));
+}
+
+// ============================================================================
+// MAIN ANALYZER
+// ============================================================================
+
+/**
+ * Deterministic, local brand-mention analysis for a normalized answer.
+ * - Matches brand name, aliases and domain against the answer text
+ * - Ranks the brand by the first list item or table row about it
+ *   (libs/answerStructure.js)
+ * - Checks whether our own domain appears among the citations, and which
+ *   of our pages the engine retrieved without citing (libs/retrieval.js)
+ */
+export function analyzeBrandMentions({ answer_text = '', answer_markdown = '', citations = [], answer_structure = null, retrieved_sources = [] } = {}, brandContext = {}) {
+  const ownDomain = normalizeDomain(brandContext?.website_domain);
+  const terms = buildTerms(brandContext || {});
+
+  const mentions = findMentions(answer_text, terms);
+
+  // Ranking: position in the first list or table (in reading order) with an
+  // item about the brand. An item is about what its entity names; items
+  // without an entity count when their text mentions the brand.
+  const structure = answer_structure || parseAnswerStructure(answer_markdown || answer_text);
+  const rankings = [
+    ...structure.lists.map(list => ({ source: 'list', start: list.start, entries: list.items })),
+    ...structure.tables.map(table => ({ source: 'table', start: table.start, entries: table.rows }))
+  ].sort((a, b) => a.start - b.start);
+  const isAbout = (entry) => findMentions(entry.entity ?? entry.text ?? entry.cells.join(' | '), terms).length > 0;
+
+  let ranking_position = null;
+  let list_size = null;
+  let ranking_source = null;
+  for (const ranking of rankings) {
+    const index = ranking.entries.findIndex(isAbout);
+    if (index !== -1) {
+      ranking_position = ranking.entries[index].position;
+      list_size = ranking.entries.length;
+      ranking_source = ranking.source;
+      break;
+    }
+  }
+
+  // Citations pointing at our own domain
+  const cited = (Array.isArray(citations) ? citations : [])
+    .map((c, index) => ({ ...c, position: index + 1 }))
+    .filter(c => isOwnDomain(c.domain, ownDomain) || isOwnDomain(c.url, ownDomain));
+
+  // Our pages the engine read but did not cite
+  const uncited = (Array.isArray(retrieved_sources) ? retrieved_sources : [])
+    .filter(s => !s.cited && (isOwnDomain(s.domain, ownDomain) || isOwnDomain(s.url, ownDomain)));
+
+  return {
+    was_mentioned: mentions.length > 0,
+    mention_count: mentions.length,
+    first_mention_offset: mentions.length > 0 ? mentions[0].offset : null,
+    mentions,
+    ranking_position,
+    list_size,
+    ranking_source,
+    domain_cited: cited.length > 0,
+    cited_urls: cited.map(c => c.url).filter(Boolean),
+    first_citation_position: cited.length > 0 ? cited[0].position : null,
+    retrieved_not_cited_urls: uncited.map(s => s.url)
+  };
+}
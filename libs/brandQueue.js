@@ -2,13 +2,15 @@ import { Queue } from 'bullmq';
 
 const { REDIS_HOST, REDIS_PORT = 6379, REDIS_PASSWORD, REDIS_TLS } = process.env;
 
+export const BRAND_QUEUE_NAME = 'brand-extraction-queue';
+
 // Create brand extraction queue (shared by all workers)
 let brandExtractionQueue = null;
 
 // Initialize queue with connection
 function getBrandQueue() {
   if (!brandExtractionQueue && REDIS_HOST) {
-    brandExtractionQueue = new Queue('brand-extraction-queue', {
+    brandExtractionQueue = new Queue(BRAND_QUEUE_NAME, {
       connection: {
         host: REDIS_HOST,
         port: Number(REDIS_PORT),
@@ -28,8 +30,11 @@ function getBrandQueue() {
  * @param {string} answerText - The answer text to analyze
  * @param {string} promptId - The prompt ID for reference
  * @param {string} websiteId - The website ID for reference
+ * @param {string} userId - The user who ran the prompt (for the cost ledger)
+ * @returns {Promise<string|null>} The job id, or null when extraction is skipped on purpose
+ *   (no answer text, no Redis). Throws if the job cannot be queued.
  */
-export async function queueBrandExtraction(resultId, answerText, promptId, websiteId) {
+export async function queueBrandExtraction(resultId, answerText, promptId, websiteId, userId = null) {
   // Skip if no answer text or Redis not available
   if (!answerText || answerText.trim().length === 0) {
     console.log(`[BrandQueue] Skipping extraction for ${resultId} - no answer text`);
@@ -42,15 +47,14 @@ export async function queueBrandExtraction(resultId, answerText, promptId, websi
   }
 
   try {
-    const queue = getBrandQueue();
-    if (!queue) return null;
-
-    const job = await queue.add('extract-brands', {
+    const job = await getBrandQueue().add('extract-brands', {
       resultId,
       answerText,
       promptId,
-      websiteId
+      websiteId,
+      userId
     }, {
+      jobId: `brand-${resultId}`, // One extraction per result, even if the run is retried
       attempts: 3,
       backoff: {
         type: 'exponential',
@@ -69,7 +73,7 @@ export async function queueBrandExtraction(resultId, answerText, promptId, websi
     return job.id;
   } catch (error) {
     console.error(`[BrandQueue] ❌ Failed to queue brand extraction:`, error.message);
-    return null;
+    throw error;
   }
 }
 
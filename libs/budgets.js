@@ -0,0 +1,135 @@
+// ESM
+
+// ============================================================================
+// COST BUDGETS
+// Monthly USD budgets per website or per user, checked against the cost
+// ledger (db/005_cost_ledger.sql) before runs are enqueued.
+// ============================================================================
+
+const { DEFAULT_WEBSITE_MONTHLY_BUDGET_USD } = process.env;
+
+const ESTIMATE_SAMPLE_SIZE = 500;
+const ESTIMATE_TTL_MS = 10 * 60 * 1000;
+
+export const BUDGET_SCOPES = ['website', 'user'];
+
+export class BudgetExceededError extends Error {
+  constructor(status) {
+    super(`Monthly ${status.scope} budget exceeded`);
+    this.name = 'BudgetExceededError';
+    this.status = status;
+  }
+}
+
+// First day of the current UTC month, as YYYY-MM-DD
+export function currentPeriod(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Monthly limit for a scope, or null when none is configured.
+ * Websites fall back to DEFAULT_WEBSITE_MONTHLY_BUDGET_USD.
+ */
+export async function getBudgetLimit(supabase, scope, scopeId) {
+  const { data, error } = await supabase
+    .from('cost_budgets')
+    .select('monthly_limit_usd')
+    .eq('scope', scope)
+    .eq('scope_id', String(scopeId))
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data) return Number(data.monthly_limit_usd);
+  if (scope === 'website' && DEFAULT_WEBSITE_MONTHLY_BUDGET_USD) return Number(DEFAULT_WEBSITE_MONTHLY_BUDGET_USD);
+  return null;
+}
+
+// Spend recorded in the ledger for a scope in the current period
+export async function getPeriodSpend(supabase, scope, scopeId, period = currentPeriod()) {
+  const { data, error } = await supabase
+    .from('cost_spend_monthly')
+    .select('spent_usd')
+    .eq('scope', scope)
+    .eq('scope_id', String(scopeId))
+    .eq('period', period)
+    .maybeSingle();
+
+  if (error) throw error;
+  return Number(data?.spent_usd || 0);
+}
+
+/**
+ * Budget status for one scope
+ * @returns {Promise<{ scope, scope_id, period, limit_usd, spent_usd, remaining_usd }>}
+ */
+export async function getBudgetStatus(supabase, scope, scopeId) {
+  const period = currentPeriod();
+  const [limit, spent] = await Promise.all([
+    getBudgetLimit(supabase, scope, scopeId),
+    getPeriodSpend(supabase, scope, scopeId, period)
+  ]);
+
+  return {
+    scope,
+    scope_id: String(scopeId),
+    period,
+    limit_usd: limit,
+    spent_usd: spent,
+    remaining_usd: limit === null ? null : Math.max(0, limit - spent)
+  };
+}
+
+// Average recent provider cost per engine, from the ledger (cached)
+let estimateCache = { at: 0, perEngine: {} };
+
+async function averageCostPerEngine(supabase) {
+  if (Date.now() - estimateCache.at < ESTIMATE_TTL_MS) return estimateCache.perEngine;
+
+  const { data, error } = await supabase
+    .from('cost_ledger')
+    .select('engine, amount_usd')
+    .eq('kind', 'provider')
+    .order('created_at', { ascending: false })
+    .limit(ESTIMATE_SAMPLE_SIZE);
+
+  if (error) throw error;
+
+  const totals = {};
+  for (const row of data || []) {
+    totals[row.engine] ||= { sum: 0, n: 0 };
+    totals[row.engine].sum += Number(row.amount_usd) || 0;
+    totals[row.engine].n += 1;
+  }
+
+  const perEngine = Object.fromEntries(Object.entries(totals).map(([engine, t]) => [engine, t.sum / t.n]));
+  estimateCache = { at: Date.now(), perEngine };
+  return perEngine;
+}
+
+/**
+ * Expected cost of running one prompt on the given engines (one call each)
+ */
+export async function estimateRunCost(supabase, engines) {
+  const perEngine = await averageCostPerEngine(supabase);
+  return engines.reduce((sum, engine) => sum + (perEngine[engine] || 0), 0);
+}
+
+/**
+ * Throw BudgetExceededError if enqueuing a run would exceed the website's or
+ * the user's monthly budget.
+ * @param {object} supabase - Supabase client
+ * @param {object} owner - { website_id, user_id }
+ * @param {string[]} engines - Engines about to be enqueued
+ */
+export async function assertWithinBudget(supabase, { website_id, user_id }, engines) {
+  const estimated = await estimateRunCost(supabase, engines);
+  const scopes = [['website', website_id], ['user', user_id]].filter(([, id]) => id);
+
+  for (const [scope, id] of scopes) {
+    const status = await getBudgetStatus(supabase, scope, id);
+    if (status.limit_usd === null) continue;
+    if (status.spent_usd + estimated > status.limit_usd) {
+      throw new BudgetExceededError({ ...status, estimated_usd: estimated });
+    }
+  }
+}
@@ -0,0 +1,188 @@
+// ESM
+import { normalizeDomain } from './brandAnalysis.js';
+import { parseLocale } from './locales.js';
+import { parseCsv } from './csv.js';
+import { CADENCES } from '../cron-scheduler/scheduling.js';
+
+// ============================================================================
+// WEBSITES, PROMPTS AND TOPICS
+// Validation for the management API. Each parser returns { value } with the
+// columns to write, or { error } with a message for a 400 response.
+// `partial` parsers (updates) only validate the fields that are present.
+// ============================================================================
+
+export const MAX_ALIASES = 20;
+export const MAX_TAGS = 20;
+export const MAX_IMPORT_ROWS = 1000;
+
+const PROMPT_MIN_LENGTH = 3;
+const PROMPT_MAX_LENGTH = 2000;
+const HOSTNAME_RE = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,61}[a-z0-9]$/;
+
+/**
+ * Bare hostname for a domain or URL ("https://www.Acme.com/x" -> "acme.com"), or null if invalid
+ */
+export function validateDomain(value) {
+  const domain = normalizeDomain(value);
+  if (!domain) return null;
+  try {
+    const hostname = new URL(`https://${domain}`).hostname; // punycode for IDNs
+    return HOSTNAME_RE.test(hostname) ? hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+// Trimmed, de-duplicated (case-insensitive) list of short strings
+function cleanList(values, { max, maxLength, lowercase = false }) {
+  const out = [];
+  const seen = new Set();
+  for (const raw of values) {
+    if (typeof raw !== 'string') return null;
+    const value = lowercase ? raw.trim().toLowerCase() : raw.trim();
+    if (!value) continue;
+    if (value.length > maxLength) return null;
+    if (seen.has(value.toLowerCase())) continue;
+    seen.add(value.toLowerCase());
+    out.push(value);
+  }
+  return out.length <= max ? out : null;
+}
+
+const has = (body, field) => body[field] !== undefined;
+
+function parseCommon(body, value) {
+  if (has(body, 'locale')) {
+    if (body.locale === null) value.locale = null;
+    else {
+      const locale = parseLocale(body.locale);
+      if (!locale) return `Unknown locale "${body.locale}" (expected e.g. "en-US", "es-MX")`;
+      value.locale = locale.tag;
+    }
+  }
+  if (has(body, 'schedule_cadence')) {
+    if (body.schedule_cadence !== null && !CADENCES[body.schedule_cadence]) {
+      return `schedule_cadence must be one of: ${Object.keys(CADENCES).join(', ')}`;
+    }
+    value.schedule_cadence = body.schedule_cadence;
+  }
+  return null;
+}
+
+/**
+ * Validate a website body
+ * @param {object} body - { domain, brand_name, brand_aliases, org_id, locale, schedule_cadence }
+ */
+export function parseWebsiteInput(body = {}, { partial = false } = {}) {
+  const value = {};
+
+  if (!partial || has(body, 'domain')) {
+    const domain = validateDomain(body.domain);
+    if (!domain) return { error: 'domain must be a valid domain name (e.g. "acme.com")' };
+    value.domain = domain;
+  }
+  if (!partial || has(body, 'brand_name')) {
+    if (typeof body.brand_name !== 'string' || !body.brand_name.trim() || body.brand_name.trim().length > 100) {
+      return { error: 'brand_name is required (max 100 characters)' };
+    }
+    value.brand_name = body.brand_name.trim();
+  }
+  if (has(body, 'brand_aliases')) {
+    const aliases = Array.isArray(body.brand_aliases)
+      ? cleanList(body.brand_aliases, { max: MAX_ALIASES, maxLength: 100 })
+      : null;
+    // One-character aliases would match almost every answer
+    if (!aliases || aliases.some(a => a.length < 2)) {
+      return { error: `brand_aliases must be an array of up to ${MAX_ALIASES} strings of 2-100 characters` };
+    }
+    value.brand_aliases = aliases;
+  }
+  if (has(body, 'org_id')) {
+    if (body.org_id !== null && typeof body.org_id !== 'string') return { error: 'org_id must be a string or null' };
+    value.org_id = body.org_id;
+  }
+
+  const error = parseCommon(body, value);
+  return error ? { error } : { value };
+}
+
+/**
+ * Validate a prompt body
+ * @param {object} body - { content, is_active, locale, schedule_cadence, topic_id, tags }
+ */
+export function parsePromptInput(body = {}, { partial = false } = {}) {
+  const value = {};
+
+  if (!partial || has(body, 'content')) {
+    const content = typeof body.content === 'string' ? body.content.trim() : '';
+    if (content.length < PROMPT_MIN_LENGTH || content.length > PROMPT_MAX_LENGTH) {
+      return { error: `content must be ${PROMPT_MIN_LENGTH}-${PROMPT_MAX_LENGTH} characters` };
+    }
+    value.content = content;
+  }
+  if (has(body, 'is_active')) {
+    if (typeof body.is_active !== 'boolean') return { error: 'is_active must be a boolean' };
+    value.is_active = body.is_active;
+  }
+  if (has(body, 'topic_id')) {
+    if (body.topic_id !== null && typeof body.topic_id !== 'string') return { error: 'topic_id must be a string or null' };
+    value.topic_id = body.topic_id;
+  }
+  if (has(body, 'tags')) {
+    const tags = Array.isArray(body.tags) ? cleanList(body.tags, { max: MAX_TAGS, maxLength: 50, lowercase: true }) : null;
+    if (!tags) return { error: `tags must be an array of up to ${MAX_TAGS} strings (max 50 characters)` };
+    value.tags = tags;
+  }
+
+  const error = parseCommon(body, value);
+  return error ? { error } : { value };
+}
+
+export function parseTopicInput(body = {}) {
+  const name = typeof body.name === 'string' ? body.name.trim() : '';
+  if (!name || name.length > 100) return { error: 'name is required (max 100 characters)' };
+  const description = typeof body.description === 'string' ? body.description.trim() : null;
+  return { value: { name, description } };
+}
+
+const BOOLEAN_STRINGS = { true: true, false: false, yes: true, no: false, 1: true, 0: false };
+
+/**
+ * Parse a bulk prompt import (CSV text or a JSON array / { prompts: [...] }).
+ * CSV columns: content (required), locale, schedule_cadence, topic, tags
+ * (separated by ";" or "|"), is_active.
+ * @returns {{ rows: Array<{ line, value, topic }>, errors: Array<{ line, error }> } | { error }}
+ */
+export function parsePromptImport(body, contentType = '') {
+  let items;
+  if (typeof body === 'string' && /csv|text\/plain/.test(contentType)) {
+    items = parseCsv(body).map(row => ({
+      content: row.content,
+      locale: row.locale || undefined,
+      schedule_cadence: row.schedule_cadence || undefined,
+      topic: row.topic || undefined,
+      tags: row.tags ? row.tags.split(/[;|]/) : undefined,
+      is_active: row.is_active ? BOOLEAN_STRINGS[row.is_active.trim().toLowerCase()] ?? row.is_active : undefined
+    }));
+  } else {
+    items = Array.isArray(body) ? body : body?.prompts;
+    if (!Array.isArray(items)) return { error: 'body must be CSV (text/csv) or a JSON array of prompts' };
+  }
+
+  if (items.length === 0) return { error: 'no prompts to import' };
+  if (items.length > MAX_IMPORT_ROWS) return { error: `at most ${MAX_IMPORT_ROWS} prompts per import` };
+
+  const rows = [];
+  const errors = [];
+  items.forEach((item, index) => {
+    const line = index + 1;
+    const { topic, topic_id, ...fields } = item || {};
+    const { value, error } = parsePromptInput(fields);
+    if (error) errors.push({ line, error });
+    else if (topic !== undefined && (typeof topic !== 'string' || topic.trim().length > 100)) {
+      errors.push({ line, error: 'topic must be a name of up to 100 characters' });
+    } else rows.push({ line, value, topic: topic?.trim() || null });
+  });
+
+  return { rows, errors };
+}
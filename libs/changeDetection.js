@@ -0,0 +1,121 @@
+// ESM
+import { normalizeDomain, isOwnDomain } from './brandAnalysis.js';
+
+// ============================================================================
+// CHANGE DETECTION
+// Each new result is compared with the previous result for the same prompt,
+// engine and locale. Differences become change events (change_events,
+// db/011) that alert rules (libs/alerts.js) turn into notifications.
+//
+// Two passes, because extracted_brands arrives later than the answer:
+// - 'answer': right after the result is saved (mention, rank, citations)
+// - 'brands': after brand extraction (sentiment, competitor at #1)
+// ============================================================================
+
+export const CHANGE_TYPES = [
+  'mention_gained',
+  'mention_lost',
+  'rank_changed',
+  'citation_added',
+  'citation_removed',
+  'sentiment_shift',
+  'competitor_top'
+];
+
+// Smallest sentiment move (0-100 scale) worth recording; rules can ask for more
+const MIN_SENTIMENT_SHIFT = 5;
+
+const nameKey = (value) => (value || '').toString().trim().toLowerCase();
+
+// Domains among `citations` that we track: our own and our competitors'
+function trackedCitedDomains(citations, trackedDomains) {
+  const cited = new Set();
+  for (const citation of Array.isArray(citations) ? citations : []) {
+    const domain = normalizeDomain(citation?.domain || citation?.url);
+    const tracked = trackedDomains.find(d => isOwnDomain(domain, d));
+    if (tracked) cited.add(tracked);
+  }
+  return cited;
+}
+
+function ownExtracted(result, brand) {
+  const own = normalizeDomain(brand.domain);
+  const name = nameKey(brand.brand_name);
+  return (Array.isArray(result.extracted_brands) ? result.extracted_brands : [])
+    .find(b => isOwnDomain(b?.domain, own) || (name && nameKey(b?.name) === name)) || null;
+}
+
+/**
+ * Human-readable one-liner for an event
+ */
+export function describeChange({ type, subject, details = {} }) {
+  switch (type) {
+    case 'mention_gained': return 'Brand is now mentioned';
+    case 'mention_lost': return 'Brand is no longer mentioned';
+    case 'rank_changed':
+      if (details.from === null) return `Brand entered the list at #${details.to}`;
+      if (details.to === null) return `Brand dropped out of the list (was #${details.from})`;
+      return `Rank moved #${details.from} → #${details.to}`;
+    case 'citation_added': return `${subject} is now cited`;
+    case 'citation_removed': return `${subject} is no longer cited`;
+    case 'sentiment_shift': return `Sentiment ${details.from} → ${details.to}`;
+    case 'competitor_top': return `${subject} is now ranked #1`;
+    default: return type;
+  }
+}
+
+/**
+ * Compare two results of the same prompt/engine/locale
+ * @param {object} previous - Previous prompt_tracking_results row
+ * @param {object} current - New row
+ * @param {object} brand - { domain, brand_name, competitors: [{ name, domain }] }
+ * @param {string} phase - 'answer' | 'brands'
+ * @returns {Array<{ type, subject, details }>}
+ */
+export function diffResults(previous, current, brand, phase = 'answer') {
+  const events = [];
+  const push = (type, subject = '', details = {}) => events.push({ type, subject, details, summary: describeChange({ type, subject, details }) });
+
+  if (phase === 'answer') {
+    if (previous.was_mentioned !== null && current.was_mentioned !== null && previous.was_mentioned !== current.was_mentioned) {
+      push(current.was_mentioned ? 'mention_gained' : 'mention_lost');
+    }
+
+    const from = previous.ranking_position ?? null;
+    const to = current.ranking_position ?? null;
+    if (from !== to) {
+      push('rank_changed', '', { from, to, delta: from !== null && to !== null ? to - from : null });
+    }
+
+    const ownDomain = normalizeDomain(brand.domain);
+    const tracked = [ownDomain, ...(brand.competitors || []).map(c => normalizeDomain(c.domain))].filter(Boolean);
+    const before = trackedCitedDomains(previous.citations, tracked);
+    const after = trackedCitedDomains(current.citations, tracked);
+    for (const domain of after) {
+      if (!before.has(domain)) push('citation_added', domain, { is_own: domain === ownDomain });
+    }
+    for (const domain of before) {
+      if (!after.has(domain)) push('citation_removed', domain, { is_own: domain === ownDomain });
+    }
+  }
+
+  if (phase === 'brands' && Array.isArray(previous.extracted_brands) && Array.isArray(current.extracted_brands)) {
+    const ownBefore = ownExtracted(previous, brand);
+    const ownAfter = ownExtracted(current, brand);
+    if (Number.isFinite(ownBefore?.sentiment) && Number.isFinite(ownAfter?.sentiment)) {
+      const delta = ownAfter.sentiment - ownBefore.sentiment;
+      if (Math.abs(delta) >= MIN_SENTIMENT_SHIFT) {
+        push('sentiment_shift', brand.brand_name || brand.domain, { from: ownBefore.sentiment, to: ownAfter.sentiment, delta });
+      }
+    }
+
+    const top = (result) => result.extracted_brands.find(b => b?.ranking_position === 1) || null;
+    const topAfter = top(current);
+    const topBefore = top(previous);
+    if (topAfter && topAfter !== ownAfter && nameKey(topAfter.name) !== nameKey(topBefore?.name)) {
+      push('competitor_top', topAfter.name, { previous_top: topBefore?.name || null, domain: topAfter.domain || null });
+    }
+  }
+
+  return events;
+}
@@ -0,0 +1,207 @@
+// ESM
+import { normalizeDomain, isOwnDomain, createBrandMatcher } from './brandAnalysis.js';
+import { bucketStart, pageBuckets, fetchResultsInWindow } from './trends.js';
+import { getCompetitors, ownBrand, matchBrand } from './shareOfVoice.js';
+
+// ============================================================================
+// CITATION ANALYTICS
+// What engines cite when answering a website's prompts:
+// - domains:  cited domains ranked by citation count, with per-engine counts
+// - gaps:     domains associated with competitors but never with us, the
+//             outreach targets
+// - own:      how often our own domain is cited, per engine and period
+// - retrieval: the fan-out queries engines ran, and our pages they
+//             retrieved without citing (libs/retrieval.js)
+//
+// A citation is associated with a brand when its title/snippet names the
+// brand. Citations without a title or snippet fall back to the answer that
+// cites them (extracted_brands, and was_mentioned for our own brand).
+// ============================================================================
+
+export const DEFAULT_DOMAIN_LIMIT = 100;
+export const MAX_DOMAIN_LIMIT = 1000;
+
+const round = (n, digits = 4) => (n === null ? null : Math.round(n * 10 ** digits) / 10 ** digits);
+
+// Brands (indexes into `brands`) a citation is associated with
+function citationBrands(citation, row, brands, matchers) {
+  const text = [citation.title, citation.text].filter(Boolean).join(' ');
+  if (text.trim()) {
+    return brands.map((_, i) => i).filter(i => matchers[i](text));
+  }
+
+  const found = new Set();
+  for (const extracted of Array.isArray(row.extracted_brands) ? row.extracted_brands : []) {
+    const i = matchBrand(extracted, brands);
+    if (i !== -1) found.add(i);
+  }
+  const own = brands.findIndex(b => b.is_own);
+  if (row.was_mentioned && own !== -1) found.add(own);
+  return [...found];
+}
+
+/**
+ * Rank cited domains and find source gaps
+ * @param {object[]} rows - Rows with engine, citations, extracted_brands, was_mentioned
+ * @param {object[]} brands - [ownBrand, ...competitors]
+ */
+export function analyzeCitationDomains(rows, brands, limit = DEFAULT_DOMAIN_LIMIT) {
+  const own = brands.find(b => b.is_own);
+  const ownDomain = normalizeDomain(own?.domain);
+  const matchers = brands.map(b => createBrandMatcher({ brand_name: b.name, brand_aliases: b.aliases }));
+  const domains = new Map();
+  let totalCitations = 0;
+
+  rows.forEach((row, rowIndex) => {
+    for (const citation of Array.isArray(row.citations) ? row.citations : []) {
+      const domain = normalizeDomain(citation?.domain || citation?.url);
+      if (!domain) continue;
+      totalCitations++;
+
+      if (!domains.has(domain)) {
+        domains.set(domain, {
+          domain,
+          is_own: isOwnDomain(domain, ownDomain),
+          citations: 0,
+          results: new Set(),
+          engines: {},
+          brandHits: new Map()
+        });
+      }
+      const entry = domains.get(domain);
+      entry.citations++;
+      entry.results.add(rowIndex);
+      entry.engines[row.engine] = (entry.engines[row.engine] || 0) + 1;
+      for (const i of citationBrands(citation, row, brands, matchers)) {
+        entry.brandHits.set(i, (entry.brandHits.get(i) || 0) + 1);
+      }
+    }
+  });
+
+  const ownIndex = brands.findIndex(b => b.is_own);
+  const ranked = [...domains.values()]
+    .sort((a, b) => b.citations - a.citations || a.domain.localeCompare(b.domain))
+    .map(entry => {
+      const competitors = [...entry.brandHits.entries()]
+        .filter(([i]) => i !== ownIndex)
+        .sort((a, b) => b[1] - a[1])
+        .map(([i, count]) => ({ name: brands[i].name, citations: count }));
+      return {
+        domain: entry.domain,
+        is_own: entry.is_own,
+        citations: entry.citations,
+        citation_share: totalCitations ? round(entry.citations / totalCitations) : null,
+        results: entry.results.size,
+        engines: entry.engines,
+        own_brand_citations: entry.brandHits.get(ownIndex) || 0,
+        competitors
+      };
+    });
+
+  return {
+    total_citations: totalCitations,
+    domains: ranked.slice(0, limit),
+    gaps: ranked
+      .filter(d => !d.is_own && d.own_brand_citations === 0 && d.competitors.length > 0)
+      .slice(0, limit)
+  };
+}
+
+/**
+ * Own-domain citation series per engine over the given buckets (oldest first)
+ */
+export function ownCitationSeries(rows, buckets, bucket, ownDomain) {
+  const domain = normalizeDomain(ownDomain);
+  const byEngine = {};
+  for (const row of rows) {
+    const key = bucketStart(row.checked_at, bucket).toISOString();
+    const stats = ((byEngine[row.engine] ||= {})[key] ||= { results: 0, results_citing_us: 0, citations: 0, own_citations: 0 });
+    const citations = Array.isArray(row.citations) ? row.citations : [];
+    const ours = citations.filter(c => isOwnDomain(c?.domain || c?.url, domain)).length;
+    stats.results++;
+    stats.citations += citations.length;
+    stats.own_citations += ours;
+    if (ours > 0) stats.results_citing_us++;
+  }
+
+  const ordered = [...buckets].sort((a, b) => a - b);
+  return Object.fromEntries(Object.entries(byEngine).sort().map(([engine, periods]) => [
+    engine,
+    ordered.map(start => {
+      const stats = periods[start.toISOString()] || { results: 0, results_citing_us: 0, citations: 0, own_citations: 0 };
+      return {
+        bucket_start: start.toISOString(),
+        ...stats,
+        cited_rate: stats.results ? round(stats.results_citing_us / stats.results) : null,
+        citation_share: stats.citations ? round(stats.own_citations / stats.citations) : null
+      };
+    })
+  ]));
+}
+
+/**
+ * Fan-out queries ranked by the number of results that ran them, and our
+ * pages ranked by how often they were retrieved but not cited
+ * @param {object[]} rows - Rows with engine, fan_out_queries, retrieved_sources
+ */
+export function analyzeRetrieval(rows, ownDomain, limit = DEFAULT_DOMAIN_LIMIT) {
+  const domain = normalizeDomain(ownDomain);
+  const queries = new Map(); // lower-cased query -> stats
+  const pages = new Map();   // url -> stats
+
+  for (const row of rows) {
+    for (const query of Array.isArray(row.fan_out_queries) ? row.fan_out_queries : []) {
+      const key = String(query).toLowerCase();
+      const stats = queries.get(key) || { query, results: 0, engines: {} };
+      stats.results++;
+      stats.engines[row.engine] = (stats.engines[row.engine] || 0) + 1;
+      queries.set(key, stats);
+    }
+
+    for (const source of Array.isArray(row.retrieved_sources) ? row.retrieved_sources : []) {
+      if (!source?.url || !isOwnDomain(source.domain || source.url, domain)) continue;
+      const stats = pages.get(source.url) || { url: source.url, title: source.title || '', retrieved: 0, cited: 0, engines: {} };
+      stats.retrieved++;
+      if (source.cited) stats.cited++;
+      else stats.engines[row.engine] = (stats.engines[row.engine] || 0) + 1; // uncited retrievals per engine
+      pages.set(source.url, stats);
+    }
+  }
+
+  return {
+    fan_out_queries: [...queries.values()]
+      .sort((a, b) => b.results - a.results || a.query.localeCompare(b.query))
+      .slice(0, limit),
+    retrieved_not_cited: [...pages.values()]
+      .map(page => ({ ...page, not_cited: page.retrieved - page.cited }))
+      .filter(page => page.not_cited > 0)
+      .sort((a, b) => b.not_cited - a.not_cited || a.url.localeCompare(b.url))
+      .slice(0, limit)
+  };
+}
+
+/**
+ * Citation report for a website's prompts over a page of periods
+ * @param {object} supabase - Supabase client
+ * @param {object} website - { id, domain, brand_name, brand_aliases }
+ * @param {object} query - { bucket, from, to, engines, locale, page, page_size, prompt_id?, limit }
+ */
+export async function fetchCitationReport(supabase, website, { limit = DEFAULT_DOMAIN_LIMIT, ...query }) {
+  const brands = [ownBrand(website), ...await getCompetitors(supabase, website.id)];
+
+  const { buckets, pageInfo, window } = pageBuckets(query);
+  if (!window) return { ...pageInfo, total_citations: 0, domains: [], gaps: [], own_domain: {}, fan_out_queries: [], retrieved_not_cited: [] };
+
+  const rows = await fetchResultsInWindow(
+    supabase,
+    'engine, checked_at, citations, extracted_brands, was_mentioned, fan_out_queries, retrieved_sources',
+    { ...query, ...window, website_id: website.id }
+  );
+
+  return {
+    ...pageInfo,
+    ...analyzeCitationDomains(rows, brands, limit),
+    own_domain: ownCitationSeries(rows, buckets, query.bucket, website.domain),
+    ...analyzeRetrieval(rows, website.domain, limit)
+  };
+}
@@ -0,0 +1,248 @@
+// ESM
+
+// ============================================================================
+// CITATIONS
+// One citation model for every engine (libs/normalize.js):
+//
+//   { number, url, original_url, title, domain, text, source?, spans }
+//
+// - number: 1..N in the order the engine lists its sources (reading order
+//   for Gemini), after de-duplication, so without gaps
+// - url: canonical URL (tracking parameters and fragments stripped,
+//   redirect wrappers unwrapped); original_url is what the provider gave
+// - spans: [{ start, end }] character ranges of answer_markdown (end
+//   exclusive) that the citation supports, from inline markers ("[2]"),
+//   links to the URL, or provider grounding data
+//
+// Wrappers that hide the target behind an opaque token (Gemini's
+// vertexaisearch grounding links) need an HTTP lookup; engines resolve
+// those when they query (resolveRedirects) and pass the map along.
+// ============================================================================
+
+const { RESOLVE_CITATION_REDIRECTS = 'true' } = process.env;
+
+const REDIRECT_TIMEOUT_MS = 5000;
+
+const TRACKING_PARAM_RE = /^(utm_\w+|gclid|gclsrc|dclid|fbclid|msclkid|yclid|twclid|mc_cid|mc_eid|igshid|srsltid|_ga|_gl|_hsenc|_hsmi|ref_src)$/i;
+
+// Wrappers that carry the target URL in a query parameter
+const PARAM_WRAPPERS = [
+  { host: /^(www\.)?google\.[a-z.]+$/, path: /^\/url$/, params: ['q', 'url'] },
+  { host: /^l[m]?\.facebook\.com$/, path: /^\/l\.php$/, params: ['u'] },
+  { host: /^out\.reddit\.com$/, path: /^\//, params: ['url'] },
+  { host: /^(www\.)?bing\.com$/, path: /^\/ck\/a$/, params: ['u'], decode: (v) => v.startsWith('a1') ? Buffer.from(v.slice(2), 'base64url').toString('utf8') : v }
+];
+
+// Wrappers that only an HTTP request can resolve
+const OPAQUE_WRAPPER_RE = /^https:\/\/vertexaisearch\.cloud\.google\.com\/grounding-api-redirect\//;
+
+const hostOf = (url) => { try { return new URL(url).hostname.replace(/^www\./i, ''); } catch { return ''; } };
+
+function parseHttpUrl(value) {
+  try {
+    const url = new URL(String(value).trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+function unwrapParam(url) {
+  const wrapper = PARAM_WRAPPERS.find(w => w.host.test(url.hostname) && w.path.test(url.pathname));
+  if (!wrapper) return null;
+  for (const param of wrapper.params) {
+    const value = url.searchParams.get(param);
+    if (value) return parseHttpUrl(wrapper.decode ? wrapper.decode(value) : value);
+  }
+  return null;
+}
+
+/**
+ * Whether a URL is a redirect wrapper that needs an HTTP lookup to unwrap
+ */
+export function isOpaqueRedirect(url) {
+  return typeof url === 'string' && OPAQUE_WRAPPER_RE.test(url);
+}
+
+/**
+ * Canonical form of a citation URL, or null if it is not an http(s) URL
+ * @param {string} value
+ * @param {Object<string, string>} redirects - Resolved opaque wrappers (wrapper -> target)
+ */
+export function canonicalizeUrl(value, redirects = {}) {
+  if (!value || typeof value !== 'string') return null;
+  let url = parseHttpUrl(redirects[value] || value);
+  if (!url) return null;
+
+  for (let depth = 0; depth < 3; depth++) {
+    const target = unwrapParam(url);
+    if (!target) break;
+    url = target;
+  }
+
+  url.hash = '';
+  // The query is only re-serialized when a parameter is removed, so others keep their encoding
+  for (const key of [...url.searchParams.keys()].filter(k => TRACKING_PARAM_RE.test(k))) {
+    url.searchParams.delete(key);
+  }
+  return url.toString();
+}
+
+/**
+ * Targets of opaque redirect wrappers, looked up without following them.
+ * Failures are left out: the citation keeps its wrapper URL.
+ * Set RESOLVE_CITATION_REDIRECTS=false to skip the lookups (offline tests).
+ * @param {string[]} urls
+ * @returns {Promise<Object<string, string>>} wrapper -> target
+ */
+export async function resolveRedirects(urls, { timeoutMs = REDIRECT_TIMEOUT_MS } = {}) {
+  if (RESOLVE_CITATION_REDIRECTS === 'false') return {};
+
+  const wrappers = [...new Set(urls.filter(isOpaqueRedirect))];
+  const resolved = await Promise.all(wrappers.map(async (url) => {
+    try {
+      const response = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(timeoutMs) });
+      await response.body?.cancel();
+      const location = response.headers.get('location');
+      return location ? [url, new URL(location, url).toString()] : null;
+    } catch (error) {
+      console.warn(`⚠️ Could not resolve citation redirect ${url}:`, error.message);
+      return null;
+    }
+  }));
+  return Object.fromEntries(resolved.filter(Boolean));
+}
+
+// ============================================================================
+// Spans
+// ============================================================================
+
+const MARKER_RE = /\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g;
+const LINE_PREFIX_RE = /^(?:#{1,6}\s+|>\s*|[-*+]\s+|\d+[.)]\s+)/;
+
+// Start of the sentence that contains `index`
+function sentenceStart(text, index) {
+  let start = index;
+  while (start > 0) {
+    const prev = text[start - 1];
+    if (prev === '\n') break;
+    if (/\s/.test(prev) && /[.!?]/.test(text[start - 2] || '')) break;
+    start--;
+  }
+  while (start < index && /\s/.test(text[start])) start++;
+  const prefix = text.slice(start, index).match(LINE_PREFIX_RE);
+  return prefix ? start + prefix[0].length : start;
+}
+
+// End (exclusive) of the sentence that contains `index`
+function sentenceEnd(text, index) {
+  let end = index;
+  while (end < text.length && text[end] !== '\n') {
+    if (/[.!?]/.test(text[end]) && (end + 1 === text.length || /\s/.test(text[end + 1]))) return end + 1;
+    end++;
+  }
+  return end;
+}
+
+/**
+ * Inline citation markers ("[2]", "[1, 3]") with the text each one supports:
+ * the sentence (or clause since the previous marker) right before it
+ * @returns {Map<number, Array<{ start, end }>>} marker number -> spans
+ */
+export function markerSpans(markdown) {
+  const spans = new Map();
+  if (!markdown) return spans;
+
+  for (const match of markdown.matchAll(MARKER_RE)) {
+    // "...pricing[1][2]." - both markers support the same text
+    const end = markdown.slice(0, match.index).replace(/(?:\[\d+(?:\s*,\s*\d+)*\]|\s)+$/, '').length;
+    if (end === 0) continue;
+    const start = sentenceStart(markdown, end - 1);
+    if (start >= end) continue;
+    for (const n of match[1].split(',').map(Number)) {
+      if (!spans.has(n)) spans.set(n, []);
+      spans.get(n).push({ start, end });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Sentences of `markdown` containing any of `needles` (URLs, titles)
+ */
+export function sentenceSpans(markdown, needles) {
+  const spans = [];
+  if (!markdown) return spans;
+  for (const needle of new Set(needles.filter(n => typeof n === 'string' && n.length > 3))) {
+    for (let at = markdown.indexOf(needle); at !== -1; at = markdown.indexOf(needle, at + needle.length)) {
+      spans.push({ start: sentenceStart(markdown, at), end: sentenceEnd(markdown, at + needle.length) });
+    }
+  }
+  return spans;
+}
+
+function mergeSpans(spans, length) {
+  const valid = spans
+    .filter(s => Number.isInteger(s?.start) && Number.isInteger(s?.end) && s.start >= 0 && s.end > s.start && s.end <= length)
+    .sort((a, b) => a.start - b.start || a.end - b.end);
+  return valid.filter((s, i) => i === 0 || s.start !== valid[i - 1].start || s.end !== valid[i - 1].end)
+    .map(({ start, end }) => ({ start, end }));
+}
+
+// ============================================================================
+// Building the list
+// ============================================================================
+
+/**
+ * Citations in the shared model from an engine's sources
+ * @param {object[]} entries - In provider order: { url, title, text, domain, source, type, marker, spans }
+ *   - marker: the number inline markers use for this source ("[3]" -> 3)
+ *   - spans: ranges of `markdown` already known from the provider
+ *   - type 'text_citation': a source without URL (kept, matched by title)
+ *   Entries without a URL are otherwise skipped.
+ * @param {string} markdown - answer_markdown
+ * @param {object} options - { redirects } resolved opaque wrappers
+ */
+export function buildCitations(entries, markdown = '', { redirects = {} } = {}) {
+  const markers = markerSpans(markdown);
+  const byUrl = new Map();
+  const citations = [];
+
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    if (!entry) continue;
+    const originalUrl = typeof entry.url === 'string' && entry.url.trim() ? entry.url.trim() : null;
+    if (!originalUrl && entry.type !== 'text_citation') continue;
+
+    const url = originalUrl ? canonicalizeUrl(originalUrl, redirects) || originalUrl : null;
+    const spans = [
+      ...(entry.spans || []),
+      ...(markers.get(entry.marker) || []),
+      ...(url ? sentenceSpans(markdown, [originalUrl, url]) : sentenceSpans(markdown, [entry.title]))
+    ];
+
+    const existing = url ? byUrl.get(url) : null;
+    if (existing) {
+      existing.spans.push(...spans);
+      existing.title ||= entry.title || '';
+      existing.text ||= entry.text || '';
+      continue;
+    }
+
+    const citation = {
+      number: citations.length + 1,
+      url,
+      original_url: originalUrl,
+      title: entry.title || '',
+      // An unresolved wrapper's host says nothing about the source
+      domain: (url && !isOpaqueRedirect(url) && hostOf(url)) || String(entry.domain || '').replace(/^www\./i, ''),
+      text: entry.text || '',
+      ...(entry.source !== undefined && { source: entry.source }),
+      spans
+    };
+    if (url) byUrl.set(url, citation);
+    citations.push(citation);
+  }
+
+  for (const citation of citations) citation.spans = mergeSpans(citation.spans, markdown.length);
+  return citations;
+}
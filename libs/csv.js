@@ -0,0 +1,67 @@
+// ESM
+
+// ============================================================================
+// CSV
+// RFC 4180 output for report exports, and parsing for imports.
+// ============================================================================
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join('; ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows to CSV
+ * @param {object[]} rows
+ * @param {string[]} columns - Keys to export, in order (also the header row)
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) lines.push(columns.map(column => escapeCell(row[column])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse CSV text (quoted fields, "" escapes, CRLF or LF) into objects keyed by the header row.
+ * Header names are trimmed and lower-cased; blank lines are skipped.
+ * @returns {object[]}
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const rows = records.filter(r => r.some(cell => cell.trim() !== ''));
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  return rows.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, r[i] ?? ''])));
+}
@@ -0,0 +1,444 @@
+// ESM
+import { Worker, QueueEvents, UnrecoverableError } from 'bullmq';
+import {
+  saveTrackingResult,
+  recordCost,
+  getTrackingResults,
+  saveSampleAggregate,
+  getResultForDiff,
+  getPreviousResult,
+  getCompetitorDomains,
+  saveChangeEvents,
+  getAlertRules,
+  saveRunFailure
+} from './persist.js';
+import { queueBrandExtraction, BRAND_QUEUE_NAME } from './brandQueue.js';
+import { trackRunGroups, summarizeRunGroup, isFinalFailure } from './runGroups.js';
+import { emitWebhookEvent, startWebhookWorker } from './webhookQueue.js';
+import { aggregateSamples } from './samples.js';
+import { diffResults } from './changeDetection.js';
+import { dispatchAlerts } from './alerts.js';
+import { getEngine, engineNames } from '../engines/index.js';
+import { resolveLocale } from './locales.js';
+import { parseEngineRateLimits, engineLimiter, UNLIMITED_LIMITER, releaseFairSlot } from './rateLimits.js';
+import { ProviderError, RETRY_POLICIES, classifyError, rateLimitDelay, retryDelay, isFinalAttempt } from './providerErrors.js';
+
+const { REDIS_HOST, REDIS_PORT = 6379, REDIS_PASSWORD, REDIS_TLS, WORKER_CONCURRENCY = '10', ENGINE_RATE_LIMITS = '' } = process.env;
+
+/**
+ * Stable key for one run: the same across BullMQ retries of the job. The
+ * job's creation time keeps a later job that reuses the id (an
+ * Idempotency-Key sent again after the first job was removed) from
+ * overwriting this run's result.
+ * @param {import('bullmq').Job} job
+ */
+export function runKey(job, engine, promptId) {
+  return `${job.id}:${engine}:${promptId}:${job.timestamp}`;
+}
+
+/**
+ * Diff a saved result against the previous one for its prompt/engine/locale,
+ * record the change events and send alerts for the new ones.
+ * Errors are logged, never thrown: alerts must not fail a run.
+ * @param {string} resultId
+ * @param {string} phase - 'answer' (after save) | 'brands' (after brand extraction)
+ * @returns {Promise<number>} Number of new change events
+ */
+export async function detectChanges(resultId, phase = 'answer') {
+  try {
+    const current = await getResultForDiff(resultId);
+    if (!current) return 0;
+    const previous = await getPreviousResult(current);
+    if (!previous) return 0;
+
+    const website = current.prompts?.websites;
+    const competitors = website ? await getCompetitorDomains(website.id) : [];
+    const diff = diffResults(previous, current, { ...website, competitors }, phase);
+    if (diff.length === 0) return 0;
+
+    const events = await saveChangeEvents(diff.map(event => ({
+      ...event,
+      result_id: current.id,
+      previous_result_id: previous.id,
+      website_id: website?.id || null,
+      prompt_id: current.prompt_id,
+      engine: current.engine,
+      locale: current.metadata?.locale || null
+    })));
+    console.log(`🔀 ${current.engine}: ${events.length} new change event(s) for result ${resultId} (${phase})`);
+
+    if (events.length > 0 && website) {
+      await dispatchAlerts(await getAlertRules(website.id), events, {
+        website_id: website.id,
+        website_domain: website.domain,
+        prompt_id: current.prompt_id,
+        prompt_text: current.prompts.content
+      });
+    }
+    return events.length;
+  } catch (error) {
+    console.error(`❌ Change detection failed for result ${resultId} (${phase}):`, error.message);
+    return 0;
+  }
+}
+
+// Record a finished stage on the job so a retry can skip it
+async function recordStage(job, stage, value = {}) {
+  const stages = { ...(job.data.stages || {}), [stage]: { ...value, at: Date.now() } };
+  await job.updateData({ ...job.data, stages });
+}
+
+// Forget a stage so a retry runs it again
+async function clearStage(job, stage) {
+  const { [stage]: _, ...stages } = job.data.stages || {};
+  await job.updateData({ ...job.data, stages });
+}
+
+/**
+ * Run one prompt through an engine adapter:
+ * validate → query → normalize → save → detect changes → record cost → queue brand extraction
+ *
+ * Each side-effecting step is a stage recorded on the job (job.data.stages).
+ * A retry resumes after the last finished stage, so the provider is not
+ * paid twice and the result row is not inserted twice.
+ * @param {import('../engines/adapter.js').EngineAdapter} adapter
+ * @param {import('bullmq').Job} job - Job enqueued by the API
+ */
+export async function runEngineJob(adapter, job) {
+  const {
+    prompt_id,       // REQUIRED: UUID from Next.js
+    prompt_text,     // REQUIRED: The actual prompt
+    website_id,
+    website_domain,  // REQUIRED: for brand tracking
+    brand_name,
+    brand_aliases,
+    user_id,
+    group_id,
+    sample_index     // 1..samples for multi-sample runs
+  } = job.data;
+  const engine = adapter.name;
+  const locale = resolveLocale(job.data.locale).tag; // accepts legacy "US"-style locales
+  const run_key = runKey(job, engine, prompt_id);
+
+  console.log(`🚀 ${engine} job started:`, {
+    prompt_id,
+    prompt: prompt_text?.substring(0, 50) + '...',
+    locale,
+    website_domain,
+    attempt: job.attemptsMade + 1
+  });
+
+  if (!prompt_id || !website_domain) {
+    throw new ProviderError('invalid_request', 'prompt_id and website_domain are required for tracking');
+  }
+
+  // 1. Call the provider (skipped if a previous attempt already got a response)
+  let raw = job.data.stages?.queried?.raw;
+  if (raw) {
+    console.log(`⏭️  ${engine}: reusing provider response from a previous attempt`);
+  } else {
+    try {
+      adapter.validateConfig();
+    } catch (error) {
+      throw new ProviderError('auth', error.message);
+    }
+    raw = await adapter.query({ ...job.data, locale });
+    console.log(`✅ ${adapter.label} API response received`);
+    await recordStage(job, 'queried', { raw });
+  }
+
+  // 2. Normalize with brand analysis (deterministic, always re-run)
+  const normalized = adapter.normalize(
+    raw,
+    { website_domain, brand_name, brand_aliases },
+    { locale }
+  );
+
+  // Nothing to analyse: drop the cached response so the retry asks again
+  if (!normalized.answer_text?.trim()) {
+    await clearStage(job, 'queried');
+    throw new ProviderError('empty_answer', `${adapter.label} returned an empty answer`);
+  }
+
+  // 3. Save to tracking table (upsert on run_key)
+  let result_id = job.data.stages?.saved?.result_id;
+  if (result_id) {
+    console.log(`⏭️  ${engine}: result already saved:`, result_id);
+  } else {
+    const saved = await saveTrackingResult(prompt_id, normalized, { run_key, group_id, sample_index });
+    result_id = saved.id;
+    console.log('✅ Tracking result saved:', result_id);
+    await recordStage(job, 'saved', { result_id });
+  }
+
+  // 3b. Diff against the previous result and send alerts (event inserts are idempotent)
+  if (!job.data.stages?.changes_detected) {
+    const changes = await detectChanges(result_id, 'answer');
+    await recordStage(job, 'changes_detected', { changes });
+  }
+
+  // 4. Record provider cost in the ledger (upsert per result, safe to repeat)
+  if (!job.data.stages?.cost_recorded) {
+    await recordCost({
+      result_id,
+      run_key,
+      prompt_id,
+      website_id,
+      user_id,
+      engine,
+      kind: 'provider',
+      amount_usd: normalized.cost,
+      details: normalized.cost_breakdown || null
+    });
+    await recordStage(job, 'cost_recorded');
+  }
+
+  // 5. Queue brand extraction (job id is derived from result_id, so re-queuing is a no-op).
+  // A failure to queue throws, so the retry queues it again.
+  if (!job.data.stages?.brand_queued) {
+    const brand_job_id = await queueBrandExtraction(
+      result_id,             // resultId
+      normalized.answer_text, // answerText
+      prompt_id,             // promptId
+      website_id,            // websiteId
+      user_id                // userId (for the cost ledger)
+    );
+    await recordStage(job, 'brand_queued', { brand_job_id });
+  }
+
+  // 6. Return result for job queue (and tell webhook subscribers)
+  const result = {
+    success: true,
+    result_id,
+    run_key,
+    engine,
+    was_mentioned: normalized.was_mentioned,
+    sentiment: normalized.sentiment,
+    ranking_position: normalized.ranking_position,
+    mention_count: normalized.mention_count,
+    domain_cited: normalized.domain_cited,
+    ...adapter.resultExtras(raw, normalized)
+  };
+
+  if (!job.data.stages?.webhook_emitted) {
+    await emitWebhookEvent('run.completed', `run.completed:${run_key}`, {
+      ...result,
+      job_id: job.id,
+      prompt_id,
+      website_id: website_id || null,
+      group_id: group_id || null,
+      sample_index: sample_index ?? null,
+      locale
+    }, { user_id, website_id });
+    await recordStage(job, 'webhook_emitted');
+  }
+
+  return result;
+}
+
+// Final failure of a run: keep its classification and tell webhook subscribers
+async function recordRunFailed(job, err) {
+  const { prompt_id, website_id, user_id, group_id, sample_index, engine } = job.data;
+  const error = job.data.error || classifyError(err).toJSON();
+
+  try {
+    await saveRunFailure({
+      job_id: String(job.id),
+      engine,
+      prompt_id,
+      website_id: website_id || null,
+      user_id: user_id || null,
+      group_id: group_id || null,
+      sample_index: sample_index ?? null,
+      error_kind: error.kind,
+      http_status: error.status ?? null,
+      message: error.message,
+      attempts: job.attemptsMade
+    });
+  } catch (saveError) {
+    console.error(`❌ Failed to record failure of ${engine} job ${job.id}:`, saveError.message);
+  }
+
+  await emitWebhookEvent('run.failed', `run.failed:${job.id}`, {
+    job_id: job.id,
+    engine,
+    prompt_id,
+    website_id: website_id || null,
+    group_id: group_id || null,
+    error: error.message,
+    error_kind: error.kind,
+    attempts: job.attemptsMade
+  }, { user_id, website_id });
+}
+
+// Once every job of a group is terminal, tell webhook subscribers (once per group)
+async function emitBatchCompleted(job, group) {
+  if (!group) return;
+  const { status, finished } = summarizeRunGroup(group.jobs);
+  if (!finished) return;
+
+  const { group_id } = job.data;
+  await emitWebhookEvent('batch.completed', `batch.completed:${group_id}`, {
+    group_id,
+    prompt_id: group.meta.prompt_id,
+    website_id: group.meta.website_id || null,
+    locale: group.meta.locale || null,
+    samples: group.meta.samples || 1,
+    status,
+    jobs: Object.fromEntries(Object.entries(group.jobs).map(([member, j]) => [member, {
+      job_id: j.job_id,
+      engine: j.engine,
+      state: j.state,
+      result_id: j.result_id || null,
+      error: j.error || null,
+      error_kind: j.error_kind || null
+    }]))
+  }, { user_id: group.meta.user_id, website_id: group.meta.website_id });
+}
+
+// Runs after a group member's outcome is recorded (see trackRunGroups)
+async function onGroupMemberSettled(job, group) {
+  await aggregateEngineSamples(job, group);
+  await emitBatchCompleted(job, group);
+}
+
+/**
+ * Once every sample of an engine in a multi-sample group has finished,
+ * aggregate the saved results (safe to repeat: upserts on group + engine)
+ * @param {import('bullmq').Job} job - The sample job that just finished
+ * @param {object} group - Run group from getRunGroup
+ */
+export async function aggregateEngineSamples(job, group) {
+  const { group_id, engine, samples = 1 } = job.data;
+  if (samples <= 1 || !group) return;
+
+  const members = Object.values(group.jobs).filter(m => m.engine === engine);
+  if (!members.every(m => ['completed', 'failed'].includes(m.state))) return;
+
+  const resultIds = members.map(m => m.result_id).filter(Boolean);
+  const results = await getTrackingResults(resultIds);
+
+  await saveSampleAggregate({
+    group_id,
+    prompt_id: group.meta.prompt_id,
+    website_id: group.meta.website_id || null,
+    engine,
+    locale: group.meta.locale || null,
+    result_ids: resultIds,
+    ...aggregateSamples(results, samples)
+  });
+  console.log(`📊 ${engine}: aggregated ${results.length}/${samples} samples for group ${group_id}`);
+}
+
+// Give the job's fair-queueing slot back (libs/rateLimits.js); jobs enqueued
+// before fair queueing have no tenant
+async function releaseJobSlot(worker, job) {
+  if (!job?.data?.tenant) return;
+  try {
+    await releaseFairSlot(await worker.client, worker.name, job.data.tenant);
+  } catch (error) {
+    console.error(`❌ Failed to release fair slot for ${job.id}:`, error.message);
+  }
+}
+
+/**
+ * Start one BullMQ worker per engine
+ * @param {string[]} names - Engines to run (defaults to every registered engine)
+ * @param {object} options - { shared }: also start webhook delivery and the
+ *   brand-extraction listener, which must run in one process per deployment
+ *   (the listener re-runs change detection for every extraction it sees)
+ * @returns {Worker[]}
+ */
+export function startWorkers(names = engineNames(), { shared = true } = {}) {
+  const concurrency = Number(WORKER_CONCURRENCY);
+  const rateLimits = parseEngineRateLimits(ENGINE_RATE_LIMITS);
+  const connection = {
+    host: REDIS_HOST,
+    port: Number(REDIS_PORT),
+    password: REDIS_PASSWORD,
+    tls: REDIS_TLS === 'true' ? { rejectUnauthorized: false } : undefined,
+    maxRetriesPerRequest: null,
+  };
+
+  const workers = names.map(name => {
+    const adapter = getEngine(name);
+    if (!adapter) throw new Error(`Unknown engine: ${name} (registered: ${engineNames().join(', ')})`);
+
+    // Failures are classified (libs/providerErrors.js) and retried by kind:
+    // - a provider 429 pauses the whole engine queue for its Retry-After and
+    //   puts the job back without using up an attempt
+    // - permanent kinds (auth, quota, ...) fail now with UnrecoverableError
+    // The classification is kept on the job for the status endpoint.
+    const processor = async (job) => {
+      try {
+        return await runEngineJob(adapter, job);
+      } catch (err) {
+        const error = classifyError(err);
+        const pauses = job.data.rate_limit_pauses || 0;
+
+        if (error.kind === 'rate_limit' && pauses < RETRY_POLICIES.rate_limit.maxPauses) {
+          const delay = rateLimitDelay(error);
+          console.warn(`⏳ ${name}: provider rate limit, pausing the queue for ${Math.round(delay / 1000)}s`);
+          await job.updateData({ ...job.data, rate_limit_pauses: pauses + 1 });
+          await worker.rateLimit(delay);
+          throw Worker.RateLimitError();
+        }
+
+        const attempt = job.attemptsMade + 1;
+        const final = isFinalAttempt(error, attempt, job.opts?.attempts || 1);
+        await job.updateData({ ...job.data, error: { ...error.toJSON(), attempt, final } });
+        throw final ? new UnrecoverableError(error.message) : error;
+      }
+    };
+
+    const limiter = engineLimiter(name, adapter, rateLimits);
+    const worker = new Worker(adapter.queue, processor, {
+      connection,
+      concurrency,
+      limiter,
+      // Backoff by error kind for jobs enqueued with backoff type 'provider'
+      settings: { backoffStrategy: (attemptsMade, type, err) => retryDelay(classifyError(err).kind, attemptsMade) }
+    });
+
+    trackRunGroups(worker, { onSettled: onGroupMemberSettled });
+
+    worker.on('error', (err) => {
+      console.error(`❌ ${name} worker error:`, err);
+    });
+
+    worker.on('failed', (job, err) => {
+      console.error(`❌ ${name} job failed:`, job?.id, err.message);
+      if (isFinalFailure(job, err)) {
+        recordRunFailed(job, err);
+        releaseJobSlot(worker, job);
+      }
+    });
+
+    worker.on('completed', (job) => {
+      console.log(`✅ ${name} job completed:`, job.id);
+      releaseJobSlot(worker, job);
+    });
+
+    console.log(`worker.${name} started (${adapter.provider}) with concurrency: ${concurrency}` +
+      (limiter !== UNLIMITED_LIMITER ? `, limit ${limiter.max} per ${limiter.duration / 1000}s` : ''));
+    return worker;
+  });
+
+  if (shared) {
+    startWebhookWorker();
+
+    // Sentiment / competitor changes need extracted_brands, so diff again once extraction is done
+    const brandEvents = new QueueEvents(BRAND_QUEUE_NAME, { connection });
+    brandEvents.on('completed', ({ jobId }) => {
+      if (String(jobId).startsWith('brand-')) detectChanges(String(jobId).slice('brand-'.length), 'brands');
+    });
+    brandEvents.on('error', (err) => {
+      console.error('❌ Brand extraction listener error:', err.message);
+    });
+  } else {
+    console.log('Webhook delivery and brand change detection not started in this worker (RUN_SHARED_WORKERS=true on one worker runs them)');
+  }
+
+  console.log('Connecting to Redis:', { host: REDIS_HOST, port: REDIS_PORT, hasPassword: !!REDIS_PASSWORD });
+  return workers;
+}
@@ -0,0 +1,144 @@
+// ESM
+import { QueueEvents } from 'bullmq';
+
+// ============================================================================
+// JOB EVENT HUB
+// One QueueEvents listener per engine queue, fanned out to SSE subscribers.
+// Redis load stays constant no matter how many dashboards are open.
+// ============================================================================
+
+const FORWARDED_EVENTS = ['active', 'progress', 'completed', 'failed'];
+
+const targetKey = (engine, jobId) => `${engine}:${jobId}`;
+
+// Map a raw QueueEvents payload to the shape the SSE stream sends
+export function toJobEvent(engine, event, args) {
+  switch (event) {
+    case 'completed':
+      return { type: 'completed', payload: { engine, result: args.returnvalue ?? null } };
+    case 'failed':
+      return { type: 'failed', payload: { engine, error: args.failedReason || 'failed' } };
+    case 'progress':
+      return { type: 'progress', payload: { engine, status: 'active', progress: args.data ?? null } };
+    default:
+      return { type: 'progress', payload: { engine, status: event } };
+  }
+}
+
+/**
+ * Create the hub
+ * @param {object} queueNames - { [engine]: queueName }
+ * @param {object} connection - BullMQ connection options
+ */
+export function createJobEventHub(queueNames, connection) {
+  const subscribers = new Map(); // "engine:jobId" -> Set<listener>
+  const listeners = [];
+
+  const dispatch = (engine, event, args, eventId) => {
+    const subs = subscribers.get(targetKey(engine, args.jobId));
+    if (!subs) return;
+    const jobEvent = toJobEvent(engine, event, args);
+    for (const listener of subs) {
+      try {
+        listener({ ...jobEvent, engine, jobId: String(args.jobId), eventId });
+      } catch (error) {
+        console.error('[JobEvents] Subscriber error:', error.message);
+      }
+    }
+  };
+
+  for (const [engine, queueName] of Object.entries(queueNames)) {
+    try {
+      const queueEvents = new QueueEvents(queueName, { connection });
+      queueEvents.on('error', (error) => {
+        console.error(`[JobEvents] ${engine} listener error:`, error.message);
+      });
+      for (const event of FORWARDED_EVENTS) {
+        queueEvents.on(event, (args, eventId) => dispatch(engine, event, args, eventId));
+      }
+      listeners.push(queueEvents);
+      console.log(`✅ Queue events listening: ${engine} (${queueName})`);
+    } catch (error) {
+      console.error(`❌ Failed to listen to queue events for ${engine}:`, error.message);
+    }
+  }
+
+  return {
+    /**
+     * Subscribe to events for a set of jobs
+     * @param {Array<{engine: string, jobId: string}>} targets
+     * @param {Function} listener - called with { type, payload, engine, jobId, eventId }
+     * @returns {Function} unsubscribe
+     */
+    subscribe(targets, listener) {
+      const keys = targets.map(({ engine, jobId }) => targetKey(engine, jobId));
+      for (const key of keys) {
+        if (!subscribers.has(key)) subscribers.set(key, new Set());
+        subscribers.get(key).add(listener);
+      }
+      return () => {
+        for (const key of keys) {
+          const subs = subscribers.get(key);
+          if (!subs) continue;
+          subs.delete(listener);
+          if (subs.size === 0) subscribers.delete(key);
+        }
+      };
+    },
+
+    async close() {
+      await Promise.allSettled(listeners.map(l => l.close()));
+    }
+  };
+}
+
+// ============================================================================
+// RESUME SUPPORT
+// SSE event ids carry the last Redis stream id seen per engine, e.g.
+// "chatgpt=1712345678901-0;google=1712345678950-3". On reconnect the client
+// sends it back as Last-Event-ID and we replay from each engine's stream.
+// ============================================================================
+
+export function encodeEventCursor(cursor) {
+  return Object.entries(cursor).map(([engine, id]) => `${engine}=${id}`).join(';');
+}
+
+export function decodeEventCursor(value) {
+  const cursor = {};
+  for (const part of (value || '').toString().split(';')) {
+    const [engine, id] = part.split('=');
+    if (engine && /^\d+-\d+$/.test(id || '')) cursor[engine] = id;
+  }
+  return cursor;
+}
+
+/**
+ * Read events for the given jobs that were added to a queue's event stream after `afterId`
+ * @param {object} queue - BullMQ Queue (used for its client and events key)
+ * @param {string} engine - Engine name (for the payload)
+ * @param {string[]} jobIds - Jobs to keep
+ * @param {string} afterId - Exclusive stream id to start from
+ */
+export async function readJobEventsSince(queue, engine, jobIds, afterId) {
+  const client = await queue.client;
+  const entries = await client.xrange(queue.keys.events, `(${afterId}`, '+');
+  const wanted = new Set(jobIds.map(String));
+  const events = [];
+
+  for (const [eventId, fields] of entries) {
+    const args = {};
+    for (let i = 0; i < fields.length; i += 2) args[fields[i]] = fields[i + 1];
+    if (!FORWARDED_EVENTS.includes(args.event) || !wanted.has(args.jobId)) continue;
+
+    try {
+      if (args.event === 'completed') args.returnvalue = JSON.parse(args.returnvalue);
+      if (args.event === 'progress') args.data = JSON.parse(args.data);
+    } catch {
+      // Keep the raw string if it is not JSON
+    }
+
+    events.push({ ...toJobEvent(engine, args.event, args), engine, jobId: args.jobId, eventId });
+  }
+
+  return events;
+}
@@ -0,0 +1,118 @@
+// ESM
+
+// ============================================================================
+// LOCALES
+// One locale model shared by the API and every engine: country + language,
+// written as a BCP 47 tag ("es-MX", "de-DE", "ja-JP").
+//
+// Geo strategy per engine (see each adapter's capabilities.geo):
+// - native:        DataForSEO engines (chatgpt, google) get location_code +
+//                  language_code derived from the locale
+// - user_location: Perplexity gets web_search_options.user_location.country
+//                  plus the locale instruction below
+// - prompt:        Gemini and Claude have no geo parameter; they get a
+//                  locale-aware system instruction (answer language + market)
+// ============================================================================
+
+// ISO 3166-1 alpha-2 -> numeric. DataForSEO country location codes are
+// 2000 + the ISO numeric code (US 840 -> 2840, MX 484 -> 2484).
+const ISO_NUMERIC = Object.fromEntries(`
+AF004 AX248 AL008 DZ012 AS016 AD020 AO024 AI660 AQ010 AG028 AR032 AM051 AW533 AU036 AT040
+AZ031 BS044 BH048 BD050 BB052 BY112 BE056 BZ084 BJ204 BM060 BT064 BO068 BA070 BW072 BR076
+BN096 BG100 BF854 BI108 CV132 KH116 CM120 CA124 KY136 CF140 TD148 CL152 CN156 CO170 KM174
+CG178 CD180 CR188 CI384 HR191 CU192 CW531 CY196 CZ203 DK208 DJ262 DM212 DO214 EC218 EG818
+SV222 GQ226 ER232 EE233 SZ748 ET231 FJ242 FI246 FR250 GF254 PF258 GA266 GM270 GE268 DE276
+GH288 GI292 GR300 GL304 GD308 GP312 GU316 GT320 GG831 GN324 GW624 GY328 HT332 HN340 HK344
+HU348 IS352 IN356 ID360 IR364 IQ368 IE372 IM833 IL376 IT380 JM388 JP392 JE832 JO400 KZ398
+KE404 KI296 KP408 KR410 KW414 KG417 LA418 LV428 LB422 LS426 LR430 LY434 LI438 LT440 LU442
+MO446 MG450 MW454 MY458 MV462 ML466 MT470 MH584 MQ474 MR478 MU480 YT175 MX484 FM583 MD498
+MC492 MN496 ME499 MS500 MA504 MZ508 MM104 NA516 NR520 NP524 NL528 NC540 NZ554 NI558 NE562
+NG566 MK807 MP580 NO578 OM512 PK586 PW585 PS275 PA591 PG598 PY600 PE604 PH608 PL616 PT620
+PR630 QA634 RE638 RO642 RU643 RW646 KN659 LC662 VC670 WS882 SM674 ST678 SA682 SN686 RS688
+SC690 SL694 SG702 SX534 SK703 SI705 SB090 SO706 ZA710 SS728 ES724 LK144 SD729 SR740 SE752
+CH756 SY760 TW158 TJ762 TZ834 TH764 TL626 TG768 TO776 TT780 TN788 TR792 TM795 TC796 TV798
+UG800 UA804 AE784 GB826 US840 UY858 UZ860 VU548 VE862 VN704 VG092 VI850 YE887 ZM894 ZW716
+`.trim().split(/\s+/).map(entry => [entry.slice(0, 2), Number(entry.slice(2))]));
+
+// Language used when a request only names a country ("DE" -> "de-DE")
+const DEFAULT_LANGUAGE = {
+  AR: 'es', AT: 'de', BE: 'nl', BO: 'es', BR: 'pt', CH: 'de', CL: 'es', CN: 'zh', CO: 'es',
+  CR: 'es', CZ: 'cs', DE: 'de', DK: 'da', DO: 'es', EC: 'es', EG: 'ar', ES: 'es', FI: 'fi',
+  FR: 'fr', GR: 'el', GT: 'es', HK: 'zh', HN: 'es', HU: 'hu', ID: 'id', IL: 'he', IT: 'it',
+  JP: 'ja', KR: 'ko', MX: 'es', NI: 'es', NL: 'nl', NO: 'nb', PA: 'es', PE: 'es', PL: 'pl',
+  PT: 'pt', PY: 'es', RO: 'ro', RU: 'ru', SA: 'ar', SE: 'sv', SV: 'es', TH: 'th', TR: 'tr',
+  TW: 'zh', UA: 'uk', AE: 'ar', UY: 'es', VE: 'es', VN: 'vi'
+};
+
+// Legacy country codes accepted by the API before locales had languages
+const COUNTRY_ALIASES = { UK: 'GB' };
+
+export const DEFAULT_LOCALE = 'en-US';
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region', fallback: 'none' });
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+/**
+ * Parse a locale ("es-MX", "es_MX", or an uppercase country code: "US",
+ * "DE", "UK") into its parts. Returns null if the country or language is
+ * unknown, or for a bare language ("de"), which names no country.
+ * @returns {{ tag: string, country: string, language: string, country_name: string, language_name: string } | null}
+ */
+export function parseLocale(value = DEFAULT_LOCALE) {
+  const parts = String(value || DEFAULT_LOCALE).trim().replace('_', '-').split('-');
+
+  let language;
+  let country;
+  if (parts.length === 1 && parts[0].length === 2 && parts[0] === parts[0].toUpperCase()) {
+    // Country only ("US", "DE")
+    country = COUNTRY_ALIASES[parts[0]] || parts[0];
+    language = DEFAULT_LANGUAGE[country] || 'en';
+  } else if (parts.length === 2) {
+    language = parts[0].toLowerCase();
+    country = parts[1].toUpperCase();
+    country = COUNTRY_ALIASES[country] || country;
+  } else {
+    return null;
+  }
+
+  if (!ISO_NUMERIC[country] || !/^[a-z]{2,3}$/.test(language) || !languageNames.of(language)) {
+    return null;
+  }
+
+  return {
+    tag: `${language}-${country}`,
+    country,
+    language,
+    country_name: regionNames.of(country) || country,
+    language_name: languageNames.of(language)
+  };
+}
+
+/**
+ * Like parseLocale, but throws on invalid input (for workers)
+ */
+export function resolveLocale(value) {
+  const locale = parseLocale(value);
+  if (!locale) throw new Error(`Invalid locale: ${value}`);
+  return locale;
+}
+
+/**
+ * DataForSEO location_code / language_code for a locale
+ */
+export function dataForSEOLocation(locale) {
+  const { country, language } = resolveLocale(locale);
+  let language_code = language;
+  if (language === 'zh') language_code = ['CN', 'SG'].includes(country) ? 'zh-CN' : 'zh-TW';
+  if (language === 'nb') language_code = 'no';
+
+  return { location_code: 2000 + ISO_NUMERIC[country], language_code };
+}
+
+/**
+ * System-prompt sentence for engines without native geo targeting
+ */
+export function localeInstruction(locale) {
+  const { tag, country_name, language_name } = resolveLocale(locale);
+  return `The user is located in ${country_name} (locale ${tag}). Answer in ${language_name}, and prefer brands, sources, prices and availability relevant to ${country_name}.`;
+}
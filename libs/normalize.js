@@ -1,4 +1,9 @@
 // ESM
+import { analyzeBrandMentions } from './brandAnalysis.js';
+import { DEFAULT_LOCALE } from './locales.js';
+import { buildCitations } from './citations.js';
+import { parseAnswerStructure } from './answerStructure.js';
+import { normalizeQueries, buildRetrievedSources } from './retrieval.js';
 
 // ============================================================================
 // HELPER FUNCTIONS
@@ -12,16 +17,6 @@ const secsToMs = (s) => {
   return m ? Math.round(parseFloat(m[1]) * 1000) : undefined;
 };
 
-// Extract domain from URL
-const extractDomain = (url) => {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.hostname.replace(/^www\./i, '');
-  } catch {
-    return '';
-  }
-};
-
 // Strip markdown to plain text (simple version)
 const stripMarkdown = (markdown) => {
   if (!markdown) return '';
@@ -44,6 +39,7 @@ const removeThinkingTags = (text) => {
 /**
  * Normalizes responses from different AI providers into a consistent format.
  * - Extracts core content (text, markdown)
+ * - Runs deterministic brand-mention analysis against brandContext
  */
 export function normalizeResponse(engine, dataforseoResponse, brandContext, jobData = {}) {
   const startTime = Date.now();
@@ -52,6 +48,10 @@ export function normalizeResponse(engine, dataforseoResponse, brandContext, jobD
   let answer_markdown = '';
   let model = '';
   let apiCost = 0;
+  let citations = []; // see libs/citations.js
+  let fanOutQueries = []; // see libs/retrieval.js
+  let retrieved = [];
+  let redirects = {};
   const extra = {};
   
   try {
@@ -71,29 +71,22 @@ export function normalizeResponse(engine, dataforseoResponse, brandContext, jobD
       const sourcesData = result?.sources || result?.references || result?.citations || 
                          result?.items?.[0]?.sources || result?.items?.[0]?.references || [];
       
-      if (sourcesData && Array.isArray(sourcesData) && sourcesData.length > 0) {
-        const citations = [];
-        const seenUrls = new Set();
-        
-        sourcesData.forEach((source, index) => {
-          const url = source.url || source.uri || source.link;
-          if (url && !seenUrls.has(url)) {
-            seenUrls.add(url);
-            citations.push({
-              number: index + 1,
-              url: url,
-              title: source.title || '',
-              domain: extractDomain(url),
-              text: source.text || source.snippet || source.description || ''
-            });
-          }
-        });
-        
-        if (citations.length > 0) {
-          extra.citations = citations;
-          extra.citations_count = citations.length;
-        }
+      if (Array.isArray(sourcesData)) {
+        citations = buildCitations(sourcesData.map(source => ({
+          url: source?.url || source?.uri || source?.link,
+          title: source?.title,
+          text: source?.text || source?.snippet || source?.description
+        })), answer_markdown);
       }
+
+      // Searches ChatGPT ran and the pages they returned
+      fanOutQueries = result?.fan_out_queries || [];
+      retrieved = (result?.search_results || []).map(searchResult => ({
+        url: searchResult?.url,
+        title: searchResult?.title,
+        snippet: searchResult?.description || searchResult?.snippet || searchResult?.text,
+        domain: searchResult?.domain
+      }));
     }
     else if (engine === 'perplexity') {
       // Perplexity from llm_responses
@@ -105,12 +98,9 @@ export function normalizeResponse(engine, dataforseoResponse, brandContext, jobD
       apiCost = task?.cost || 0;
       
       // Extract citations from Perplexity response
-      // Perplexity returns citations as an array of URLs at top level
-      // And search_results with detailed metadata
-      if (result?.citations && Array.isArray(result.citations) && result.citations.length > 0) {
-        const citations = [];
-        const seenUrls = new Set();
-        
+      // Perplexity returns citations as an array of URLs at top level, which
+      // the answer refers to as [1], [2], ... and search_results with detailed metadata
+      if (Array.isArray(result?.citations)) {
         // Create a lookup map from search_results for richer data
         const searchResultsMap = {};
         if (result?.search_results && Array.isArray(result.search_results)) {
@@ -120,32 +110,27 @@ export function normalizeResponse(engine, dataforseoResponse, brandContext, jobD
             }
           });
         }
-        
-        // Process citations (which are just URL strings)
-        result.citations.forEach((citation, index) => {
-          const url = typeof citation === 'string' ? citation : (citation.url || citation.uri);
-          if (url && !seenUrls.has(url)) {
-            seenUrls.add(url);
-            
-            // Try to enrich with search_results data
-            const searchResult = searchResultsMap[url];
-            
-            citations.push({
-              number: index + 1,
-              url: url,
-              title: searchResult?.title || '',
-              domain: extractDomain(url),
-              text: searchResult?.snippet || '',
-              source: searchResult?.source || 'web'
-            });
-          }
-        });
-        
-        if (citations.length > 0) {
-          extra.citations = citations;
-          extra.citations_count = citations.length;
-        }
+
+        citations = buildCitations(result.citations.map((citation, index) => {
+          const url = typeof citation === 'string' ? citation : (citation?.url || citation?.uri);
+          const searchResult = searchResultsMap[url];
+          return {
+            url,
+            title: searchResult?.title,
+            text: searchResult?.snippet,
+            source: searchResult?.source || 'web',
+            marker: index + 1
+          };
+        }), answer_markdown);
       }
+
+      // Everything the search returned, cited or not (Perplexity does not report its queries)
+      retrieved = (result?.search_results || []).map(searchResult => ({
+        url: searchResult?.url,
+        title: searchResult?.title,
+        snippet: searchResult?.snippet,
+        date: searchResult?.date
+      }));
     }
     else if (engine === 'gemini') {
       // Gemini normalization
@@ -155,30 +140,25 @@ export function normalizeResponse(engine, dataforseoResponse, brandContext, jobD
       model = result?.model || 'gemini-2.5-flash';
       apiCost = task?.cost || 0;
       
-      // Extract citations from Gemini response (deduplicate by URL)
-      if (result?.citations && Array.isArray(result.citations) && result.citations.length > 0) {
-        const citations = [];
-        const seenUrls = new Set();
-        
-        result.citations.forEach((citation, index) => {
-          const url = citation.url;
-          if (url && !seenUrls.has(url)) {
-            seenUrls.add(url);
-            citations.push({
-              number: citations.length + 1, // Renumber after deduplication
-              url: url,
-              title: citation.title || '',
-              text: citation.text || '',
-              domain: extractDomain(url)
-            });
-          }
-        });
-        
-        if (citations.length > 0) {
-          extra.citations = citations;
-          extra.citations_count = citations.length;
-        }
+      // Citations carry the character range of the answer each grounding support covers
+      redirects = result?.redirects || {};
+      if (Array.isArray(result?.citations)) {
+        citations = buildCitations(result.citations.map(citation => ({
+          url: citation.url,
+          title: citation.title,
+          text: citation.text,
+          domain: citation.title, // Gemini titles a web chunk with its domain
+          spans: Number.isInteger(citation.start) ? [{ start: citation.start, end: citation.end }] : []
+        })), answer_markdown, { redirects });
       }
+
+      // Google Search queries and every grounding chunk, supporting the answer or not
+      fanOutQueries = result?.search_queries || [];
+      retrieved = (result?.grounding_chunks || []).filter(chunk => chunk?.web).map(chunk => ({
+        url: chunk.web.uri,
+        title: chunk.web.title,
+        domain: chunk.web.title
+      }));
     }
     else if (engine === 'claude') {
       // Claude normalization (via OpenRouter)
@@ -188,40 +168,9 @@ export function normalizeResponse(engine, dataforseoResponse, brandContext, jobD
       model = result?.model || 'anthropic/claude-4.5-sonnet';
       apiCost = task?.cost || 0;
 
-      // Extract citations from Claude response (deduplicate by URL)
-      if (result?.citations && Array.isArray(result.citations) && result.citations.length > 0) {
-        const citations = [];
-        const seenUrls = new Set();
-
-        result.citations.forEach((citation, index) => {
-          const url = citation.url;
-
-          // Handle both URL citations and text citations
-          if (url && !seenUrls.has(url)) {
-            seenUrls.add(url);
-            citations.push({
-              number: citations.length + 1,
-              url: url,
-              title: citation.title || '',
-              text: citation.text || '',
-              domain: extractDomain(url)
-            });
-          } else if (!url && citation.type === 'text_citation') {
-            // For text-only citations (no URL)
-            citations.push({
-              number: citations.length + 1,
-              url: null,
-              title: citation.title || '',
-              text: citation.text || '',
-              domain: ''
-            });
-          }
-        });
-
-        if (citations.length > 0) {
-          extra.citations = citations;
-          extra.citations_count = citations.length;
-        }
+      // URLs and text-only citations ([Source: publication]) found in the answer
+      if (Array.isArray(result?.citations)) {
+        citations = buildCitations(result.citations, answer_markdown);
       }
     }
     else if (engine === 'google') {
@@ -252,58 +201,39 @@ export function normalizeResponse(engine, dataforseoResponse, brandContext, jobD
       // Extract citations/references from Google AI response
       // References can appear at two levels:
       // 1. Overview level: result.items[0].references
-      // 2. Element level: result.items[0].items[].references
-      const citations = [];
-      const seenUrls = new Set();
+      // 2. Element level: result.items[0].items[].references (supporting that element's text)
+      const overview = result?.items?.[0];
+      const entries = [...(overview?.references || [])];
 
-      if (result?.items?.[0]) {
-        const overview = result.items[0];
+      (overview?.items || []).forEach(item => {
+        const elementText = item.markdown || item.text;
+        const at = elementText ? answer_markdown.indexOf(elementText) : -1;
+        const spans = at === -1 ? [] : [{ start: at, end: at + elementText.length }];
+        (item.references || []).forEach(ref => entries.push({ ...ref, spans }));
+      });
 
-        // Collect overview-level references
-        if (overview.references && Array.isArray(overview.references)) {
-          overview.references.forEach(ref => {
-            if (ref.url && !seenUrls.has(ref.url)) {
-              seenUrls.add(ref.url);
-              citations.push({
-                url: ref.url,
-                title: ref.title || '',
-                domain: ref.domain || '',
-                source: ref.source || '',
-                text: ref.text || ''
-              });
-            }
-          });
-        }
+      citations = buildCitations(entries, answer_markdown);
 
-        // Collect element-level references
-        if (overview.items && Array.isArray(overview.items)) {
-          overview.items.forEach(item => {
-            if (item.references && Array.isArray(item.references)) {
-              item.references.forEach(ref => {
-                if (ref.url && !seenUrls.has(ref.url)) {
-                  seenUrls.add(ref.url);
-                  citations.push({
-                    url: ref.url,
-                    title: ref.title || '',
-                    domain: ref.domain || '',
-                    source: ref.source || '',
-                    text: ref.text || ''
-                  });
-                }
-              });
-            }
-          });
-        }
-      }
+      // Searches AI Mode ran for the prompt
+      fanOutQueries = result?.fan_out_queries || [];
+    }
 
-      // Add citations to extra if found
-      if (citations.length > 0) {
-        extra.citations = citations;
-        extra.citations_count = citations.length;
-      }
+    if (citations.length > 0) {
+      extra.citations = citations;
+      extra.citations_count = citations.length;
     }
 
+    const fan_out_queries = normalizeQueries(fanOutQueries);
+    const retrieved_sources = buildRetrievedSources(retrieved, citations, { redirects });
+
+    // Lists, tables and headings (see libs/answerStructure.js)
+    const answer_structure = parseAnswerStructure(answer_markdown || answer_text);
+
     // Brand mention analysis
+    const brand_analysis = analyzeBrandMentions(
+      { answer_text, answer_markdown, citations: extra.citations, answer_structure, retrieved_sources },
+      brandContext
+    );
 
   return {
       // Core fields
@@ -315,6 +245,19 @@ export function normalizeResponse(engine, dataforseoResponse, brandContext, jobD
       answer_text,
       answer_markdown,
       answer_length: answer_text.length,
+      answer_structure,
+
+      // Retrieval fields (see libs/retrieval.js)
+      fan_out_queries,
+      retrieved_sources,
+
+      // Brand fields (sentiment is filled in later by the brand-extraction worker)
+      was_mentioned: brand_analysis.was_mentioned,
+      mention_count: brand_analysis.mention_count,
+      ranking_position: brand_analysis.ranking_position,
+      domain_cited: brand_analysis.domain_cited,
+      sentiment: null,
+      brand_analysis,
 
       // Provider fields
       provider: 'dataforseo',
@@ -323,7 +266,7 @@ export function normalizeResponse(engine, dataforseoResponse, brandContext, jobD
 
       // Metadata
       metadata: {
-        locale: jobData.locale || 'US',
+        locale: jobData.locale || DEFAULT_LOCALE,
         execution_time_ms: Date.now() - startTime,
         api_version: 'v3'
       },
@@ -0,0 +1,105 @@
+// ESM
+import { BlockList, isIP } from 'net';
+import { lookup } from 'dns/promises';
+
+// ============================================================================
+// OUTBOUND URLS
+// Alert rule targets and webhook subscriptions are URLs chosen by users, and
+// the workers POST to them from inside our network. Only public hosts are
+// allowed, so a rule cannot point the workers at the cloud metadata service
+// (169.254.169.254), Redis, or anything else internal:
+//
+// - when saved (outboundUrlError): http(s) only, no credentials, no IP
+//   literal in a private / loopback / link-local / reserved range, no
+//   "localhost", single-label names or .local / .internal / .localhost
+// - before every request (assertPublicUrl): the same, plus every address
+//   the host resolves to must be public (a public name can point inward)
+//
+// Requests are sent with redirect: 'manual', so a public host cannot
+// redirect the worker to an internal one.
+// ============================================================================
+
+const BLOCKED = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],        // "this" network
+  ['10.0.0.0', 8],       // private
+  ['100.64.0.0', 10],    // carrier-grade NAT
+  ['127.0.0.0', 8],      // loopback
+  ['169.254.0.0', 16],   // link-local, cloud metadata
+  ['172.16.0.0', 12],    // private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.0.2.0', 24],     // documentation
+  ['192.168.0.0', 16],   // private
+  ['198.18.0.0', 15],    // benchmarking
+  ['198.51.100.0', 24],  // documentation
+  ['203.0.113.0', 24],   // documentation
+  ['224.0.0.0', 4],      // multicast
+  ['240.0.0.0', 4]       // reserved, broadcast
+]) BLOCKED.addSubnet(network, prefix, 'ipv4');
+for (const [network, prefix] of [
+  ['::', 128],           // unspecified
+  ['::1', 128],          // loopback
+  ['64:ff9b::', 96],     // NAT64
+  ['100::', 64],         // discard
+  ['2001:db8::', 32],    // documentation
+  ['fc00::', 7],         // unique local
+  ['fe80::', 10],        // link-local
+  ['ff00::', 8]          // multicast
+]) BLOCKED.addSubnet(network, prefix, 'ipv6'); // IPv4-mapped addresses (::ffff:a.b.c.d) match the IPv4 ranges
+
+const INTERNAL_NAME = /(^localhost$|\.localhost$|\.local$|\.internal$|^[^.]+$)/i;
+
+export class OutboundUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OutboundUrlError';
+  }
+}
+
+/**
+ * Is an IP address in a non-public range?
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (!family) return false;
+  return BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Why a URL cannot be used as an outbound target, or null when it can
+ * (no DNS lookup; see assertPublicUrl)
+ * @param {string} value - URL given by a user
+ */
+export function outboundUrlError(value) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    return 'must be an http(s) URL';
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return 'must be an http(s) URL';
+  if (url.username || url.password) return 'must not contain credentials';
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (isIP(host) ? isPrivateAddress(host) : INTERNAL_NAME.test(host)) {
+    return 'must point to a public host (private, loopback and link-local addresses are not allowed)';
+  }
+  return null;
+}
+
+/**
+ * Check a URL right before requesting it: outboundUrlError, then every
+ * address its host resolves to
+ * @throws {OutboundUrlError}
+ */
+export async function assertPublicUrl(value) {
+  const invalid = outboundUrlError(value);
+  if (invalid) throw new OutboundUrlError(`URL ${invalid}`);
+
+  const host = new URL(value).hostname.replace(/^\[|\]$/g, '');
+  if (isIP(host)) return;
+
+  const addresses = await lookup(host, { all: true, verbatim: true });
+  const internal = addresses.find(({ address }) => isPrivateAddress(address));
+  if (internal) throw new OutboundUrlError(`${host} resolves to a non-public address (${internal.address})`);
+}
@@ -21,7 +21,15 @@ console.log('✅ Supabase client initialized successfully');
 // NEW FUNCTION: Save to prompt_tracking_results table
 // ============================================================================
 
-export async function saveTrackingResult(prompt_id, normalizedData) {
+/**
+ * Save a normalized result.
+ * With a run_key the write is an upsert on that key, so a retried job
+ * updates its own row instead of inserting a duplicate.
+ * @param {string} prompt_id - The prompt ID
+ * @param {object} normalizedData - Output of normalizeResponse
+ * @param {object} options - { run_key, group_id, sample_index }
+ */
+export async function saveTrackingResult(prompt_id, normalizedData, { run_key, group_id, sample_index } = {}) {
   try {
     // Add citations if they exist in extra (for engines that support it)
     let citations = null;
@@ -38,6 +46,9 @@ export async function saveTrackingResult(prompt_id, normalizedData) {
     // Prepare the data to insert
     const insertData = {
       prompt_id,
+      run_key: run_key || null,
+      group_id: group_id || null,
+      sample_index: sample_index ?? null,
       engine: normalizedData.engine,
       model: normalizedData.model,
       checked_at: normalizedData.checked_at,
@@ -46,10 +57,21 @@ export async function saveTrackingResult(prompt_id, normalizedData) {
       answer_text: normalizedData.answer_text,
       answer_markdown: normalizedData.answer_markdown,
       answer_length: normalizedData.answer_length,
+      answer_structure: normalizedData.answer_structure || null,
+      fan_out_queries: normalizedData.fan_out_queries || [],
+      retrieved_sources: normalizedData.retrieved_sources || [],
+
+      // Brand analysis
+      was_mentioned: normalizedData.was_mentioned ?? null,
+      mention_count: normalizedData.mention_count ?? 0,
+      ranking_position: normalizedData.ranking_position ?? null,
+      domain_cited: normalizedData.domain_cited ?? null,
+      brand_analysis: normalizedData.brand_analysis || null,
 
       // Provider
       provider: normalizedData.provider,
       cost: normalizedData.cost,
+      cost_breakdown: normalizedData.cost_breakdown || null,
       provider_raw: normalizedData.provider_raw,
 
       // Metadata & extra (without citations to avoid duplication)
@@ -60,9 +82,10 @@ export async function saveTrackingResult(prompt_id, normalizedData) {
       citations: citations
     };
 
-    const { data, error } = await supabase
-      .from('prompt_tracking_results')
-      .insert(insertData)
+    const table = supabase.from('prompt_tracking_results');
+    const { data, error } = await (run_key
+      ? table.upsert(insertData, { onConflict: 'run_key' })
+      : table.insert(insertData))
       .select()
       .single();
     
@@ -79,6 +102,221 @@ export async function saveTrackingResult(prompt_id, normalizedData) {
   }
 }
 
+// ============================================================================
+// Cost ledger: one entry per result and kind ('provider', 'brand_extraction')
+// ============================================================================
+
+export async function recordCost({ result_id, run_key, prompt_id, website_id, user_id, engine, kind = 'provider', amount_usd, details = null }) {
+  const { error } = await supabase
+    .from('cost_ledger')
+    .upsert({
+      result_id,
+      run_key: run_key || null,
+      prompt_id: prompt_id || null,
+      website_id: website_id || null,
+      user_id: user_id || null,
+      engine,
+      kind,
+      amount_usd: Number(amount_usd) || 0,
+      details
+    }, { onConflict: 'result_id,kind' });
+
+  if (error) {
+    console.error('❌ Failed to record cost:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// Multi-sample aggregates (see libs/samples.js)
+// ============================================================================
+
+export async function getTrackingResults(ids) {
+  if (ids.length === 0) return [];
+  const { data, error } = await supabase
+    .from('prompt_tracking_results')
+    .select('id, sample_index, answer_text, was_mentioned, ranking_position, domain_cited, citations')
+    .in('id', ids);
+
+  if (error) {
+    console.error('❌ Failed to load tracking results:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function saveSampleAggregate(aggregate) {
+  const { error } = await supabase
+    .from('prompt_sample_aggregates')
+    .upsert({ ...aggregate, updated_at: new Date().toISOString() }, { onConflict: 'group_id,engine' });
+
+  if (error) {
+    console.error('❌ Failed to save sample aggregate:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// Change detection (see libs/changeDetection.js)
+// ============================================================================
+
+const DIFF_COLUMNS = 'id, prompt_id, engine, group_id, checked_at, metadata, was_mentioned, ranking_position, citations, extracted_brands';
+
+// A result with its prompt and website, for diffing
+export async function getResultForDiff(resultId) {
+  const { data, error } = await supabase
+    .from('prompt_tracking_results')
+    .select(`${DIFF_COLUMNS}, prompts!inner(content, website_id, websites!website_id(id, domain, brand_name))`)
+    .eq('id', resultId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// The latest earlier result for the same prompt/engine/locale (other samples of the same group excluded)
+export async function getPreviousResult(current) {
+  let q = supabase
+    .from('prompt_tracking_results')
+    .select(DIFF_COLUMNS)
+    .eq('prompt_id', current.prompt_id)
+    .eq('engine', current.engine)
+    .lt('checked_at', current.checked_at)
+    .neq('id', current.id);
+
+  const locale = current.metadata?.locale;
+  q = locale ? q.eq('metadata->>locale', locale) : q.is('metadata->>locale', null);
+
+  if (current.group_id) q = q.or(`group_id.is.null,group_id.neq.${current.group_id}`);
+
+  const { data, error } = await q
+    .order('checked_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getCompetitorDomains(websiteId) {
+  const { data, error } = await supabase
+    .from('website_competitors')
+    .select('name, domain')
+    .eq('website_id', websiteId);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Insert change events, skipping ones already recorded
+ * @returns {Promise<object[]>} Only the newly inserted events
+ */
+export async function saveChangeEvents(events) {
+  if (events.length === 0) return [];
+  const { data, error } = await supabase
+    .from('change_events')
+    .upsert(events, { onConflict: 'result_id,type,subject', ignoreDuplicates: true })
+    .select();
+
+  if (error) {
+    console.error('❌ Failed to save change events:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function getAlertRules(websiteId) {
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('website_id', websiteId)
+    .eq('enabled', true);
+
+  if (error) throw error;
+  return data;
+}
+
+// ============================================================================
+// Failed runs (see libs/providerErrors.js)
+// ============================================================================
+
+/**
+ * Record the final failure of an engine job with its error classification
+ * (upsert per engine + job, so a repeated 'failed' event is harmless)
+ */
+export async function saveRunFailure(failure) {
+  const { error } = await supabase
+    .from('run_failures')
+    .upsert(failure, { onConflict: 'engine,job_id' });
+
+  if (error) {
+    console.error('❌ Failed to save run failure:', error);
+    throw error;
+  }
+}
+
+// ============================================================================
+// Outbound webhooks (see libs/webhookQueue.js)
+// ============================================================================
+
+// Enabled subscriptions of a user or website that want this event type
+export async function getWebhookSubscriptions({ user_id, website_id }, eventType) {
+  const scopes = [['user', user_id], ['website', website_id]].filter(([, id]) => id);
+  if (scopes.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('webhook_subscriptions')
+    .select('id, scope, scope_id')
+    .eq('enabled', true)
+    .contains('events', [eventType])
+    .or(scopes.map(([scope, id]) => `and(scope.eq.${scope},scope_id.eq.${id})`).join(','));
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Create delivery log entries, skipping (subscription, event) pairs that already exist
+ * @returns {Promise<object[]>} Only the newly created deliveries
+ */
+export async function createWebhookDeliveries(deliveries) {
+  if (deliveries.length === 0) return [];
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .upsert(deliveries, { onConflict: 'subscription_id,event_id', ignoreDuplicates: true })
+    .select('id, subscription_id, event_id');
+
+  if (error) {
+    console.error('❌ Failed to create webhook deliveries:', error);
+    throw error;
+  }
+  return data;
+}
+
+export async function getWebhookDelivery(deliveryId) {
+  const { data, error } = await supabase
+    .from('webhook_deliveries')
+    .select('*, webhook_subscriptions!inner(url, secret, enabled)')
+    .eq('id', deliveryId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function updateWebhookDelivery(deliveryId, patch) {
+  const { error } = await supabase
+    .from('webhook_deliveries')
+    .update(patch)
+    .eq('id', deliveryId);
+
+  if (error) {
+    console.error('❌ Failed to update webhook delivery:', error);
+    throw error;
+  }
+}
+
 // ============================================================================
 // END OF PERSIST.JS - Legacy functions removed
 // ============================================================================
@@ -0,0 +1,105 @@
+// ESM
+
+// ============================================================================
+// PRICING TABLES
+// Versioned USD prices keyed by provider and model. Add a new version (with
+// its effective_from date) when a provider changes prices; older results keep
+// the pricing_version they were computed with in their cost_breakdown.
+//
+// Token prices are per million tokens; search and request prices are per call.
+// ============================================================================
+
+const PRICING_VERSIONS = [
+  {
+    version: '2025-10-01',
+    effective_from: '2025-10-01',
+    providers: {
+      // Claude via OpenRouter (OpenRouter passes Anthropic list prices through)
+      openrouter: {
+        'anthropic/claude-4.5-sonnet': { input_per_mtok: 3.00, output_per_mtok: 15.00 },
+        'anthropic/claude-sonnet-4.5': { input_per_mtok: 3.00, output_per_mtok: 15.00 },
+        'anthropic/claude-sonnet-4':   { input_per_mtok: 3.00, output_per_mtok: 15.00 },
+        'anthropic/claude-opus-4.1':   { input_per_mtok: 15.00, output_per_mtok: 75.00 },
+        'anthropic/claude-haiku-4.5':  { input_per_mtok: 1.00, output_per_mtok: 5.00 }
+      },
+      // Gemini API; thinking tokens bill as output. Grounding with Google Search
+      // is billed per grounded prompt.
+      google: {
+        'gemini-2.5-flash':      { input_per_mtok: 0.30, output_per_mtok: 2.50, search_call: 0.035 },
+        'gemini-2.5-flash-lite': { input_per_mtok: 0.10, output_per_mtok: 0.40, search_call: 0.035 },
+        'gemini-2.5-pro':        { input_per_mtok: 1.25, output_per_mtok: 10.00, search_call: 0.035 }
+      },
+      // Perplexity Sonar; request fee assumes the default (low) search context size
+      perplexity: {
+        'sonar':               { input_per_mtok: 1.00, output_per_mtok: 1.00, request: 0.005 },
+        'sonar-pro':           { input_per_mtok: 3.00, output_per_mtok: 15.00, request: 0.006 },
+        'sonar-reasoning':     { input_per_mtok: 1.00, output_per_mtok: 5.00, request: 0.005 },
+        'sonar-reasoning-pro': { input_per_mtok: 2.00, output_per_mtok: 8.00, request: 0.006 }
+      }
+    }
+  }
+];
+
+/**
+ * Price entry for a provider/model at a point in time, or null
+ * @returns {{ version: string, prices: object } | null}
+ */
+export function getModelPricing(provider, model, at = new Date()) {
+  const day = new Date(at).toISOString().slice(0, 10);
+  const versions = PRICING_VERSIONS
+    .filter(v => v.effective_from <= day)
+    .sort((a, b) => b.effective_from.localeCompare(a.effective_from));
+
+  for (const v of versions) {
+    const prices = v.providers[provider]?.[model];
+    if (prices) return { version: v.version, prices };
+  }
+  return null;
+}
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+/**
+ * Compute a cost breakdown from token usage and the pricing table.
+ * Unknown models yield total 0 with `source: 'unpriced'` so they show up in reports.
+ */
+export function priceUsage({ provider, model, input_tokens = 0, output_tokens = 0, reasoning_tokens = 0, search_calls = 0, requests = 1 }) {
+  const pricing = getModelPricing(provider, model);
+  const base = { provider, model, input_tokens, output_tokens, reasoning_tokens, search_calls };
+
+  if (!pricing) {
+    return { ...base, source: 'unpriced', pricing_version: null, input_cost: 0, output_cost: 0, search_cost: 0, request_cost: 0, total: 0 };
+  }
+
+  const { prices, version } = pricing;
+  const input_cost = (input_tokens / 1e6) * (prices.input_per_mtok || 0);
+  const output_cost = ((output_tokens + reasoning_tokens) / 1e6) * (prices.output_per_mtok || 0);
+  const search_cost = search_calls * (prices.search_call || 0);
+  const request_cost = requests * (prices.request || 0);
+
+  return {
+    ...base,
+    source: 'computed',
+    pricing_version: version,
+    input_cost: round(input_cost),
+    output_cost: round(output_cost),
+    search_cost: round(search_cost),
+    request_cost: round(request_cost),
+    total: round(input_cost + output_cost + search_cost + request_cost)
+  };
+}
+
+/**
+ * Breakdown for a cost the provider reported itself (DataForSEO task.cost,
+ * Perplexity usage.cost, OpenRouter usage.cost)
+ */
+export function reportedCost({ provider, model, total, ...details }) {
+  return {
+    provider,
+    model,
+    source: 'provider_reported',
+    pricing_version: null,
+    ...details,
+    total: round(Number(total) || 0)
+  };
+}
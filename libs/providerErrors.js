@@ -0,0 +1,181 @@
+// ESM
+
+// ============================================================================
+// PROVIDER ERRORS
+// Every failure of an engine job is classified into one kind, and each kind
+// has its own retry policy:
+//
+//   auth             401/403, missing credentials      fail now
+//   quota            402, out of credits                fail now
+//   invalid_request  400/404/422, bad prompt or params  fail now
+//   content_refusal  blocked or refused by the model    fail now
+//   rate_limit       429                                pause the engine queue for Retry-After
+//   network          connection reset, timeouts         retry with backoff
+//   provider_5xx     provider server errors             retry with longer backoff
+//   empty_answer     response without answer text       retry once
+//   unknown          anything else                      retry with backoff
+//
+// The engine worker (libs/engineRunner.js) applies the policy and stores the
+// classification on the job (job.data.error) and in run_failures (db/016).
+// ============================================================================
+
+export const ERROR_KINDS = [
+  'auth',
+  'quota',
+  'invalid_request',
+  'content_refusal',
+  'rate_limit',
+  'network',
+  'provider_5xx',
+  'empty_answer',
+  'unknown'
+];
+
+export const RETRY_POLICIES = {
+  auth: { retry: false },
+  quota: { retry: false },
+  invalid_request: { retry: false },
+  content_refusal: { retry: false },
+  rate_limit: { retry: true, baseDelayMs: 30000, maxPauses: 10 }, // pauses don't use attempts; then normal retries
+  network: { retry: true, baseDelayMs: 2000 },
+  provider_5xx: { retry: true, baseDelayMs: 5000 },
+  empty_answer: { retry: true, baseDelayMs: 10000, maxAttempts: 2 },
+  unknown: { retry: true, baseDelayMs: 2000 }
+};
+
+export const DEFAULT_RETRY_AFTER_MS = 30 * 1000; // when a 429 says nothing
+export const MAX_RETRY_AFTER_MS = 10 * 60 * 1000;
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+const NETWORK_NAMES = ['AbortError', 'TimeoutError', 'APIConnectionError', 'APIConnectionTimeoutError', 'FetchError'];
+const REFUSAL_PATTERN = /blocked due to|\b(SAFETY|RECITATION|PROHIBITED_CONTENT|BLOCKLIST|content_filter)\b/;
+
+export class ProviderError extends Error {
+  /**
+   * @param {string} kind - One of ERROR_KINDS
+   * @param {string} message
+   * @param {object} details - { status, retryAfterMs, cause }
+   */
+  constructor(kind, message, { status = null, retryAfterMs = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ProviderError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return RETRY_POLICIES[this.kind]?.retry ?? true;
+  }
+
+  toJSON() {
+    return { kind: this.kind, message: this.message, status: this.status, retryable: this.retryable };
+  }
+}
+
+/**
+ * Milliseconds to wait from a Retry-After value: seconds ("120"), an HTTP
+ * date, or a duration like "30s" / "1.5s" (Google RetryInfo). Null if unparseable.
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?s?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Kind for an HTTP status, or null for statuses that say nothing (2xx/3xx)
+ */
+export function kindForStatus(status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 402) return 'quota';
+  if (status === 429) return 'rate_limit';
+  if (status === 408) return 'network';
+  if (status >= 500) return 'provider_5xx';
+  if (status >= 400) return 'invalid_request';
+  return null;
+}
+
+/**
+ * Error for a non-2xx provider response (keeps the existing message format)
+ * @param {string} label - e.g. "Perplexity"
+ * @param {Response} response - fetch response
+ */
+export async function providerHttpError(label, response) {
+  return new ProviderError(
+    kindForStatus(response.status) || 'unknown',
+    `${label} API failed: ${response.status} ${await response.text()}`,
+    { status: response.status, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) }
+  );
+}
+
+// Retry-After from the shapes SDK errors come in (OpenAI: headers, Google: errorDetails)
+function sdkRetryAfter(error) {
+  const header = typeof error?.headers?.get === 'function'
+    ? error.headers.get('retry-after')
+    : error?.headers?.['retry-after'];
+  if (header) return parseRetryAfter(header);
+
+  const retryInfo = (error?.errorDetails || []).find(d => String(d?.['@type'] || '').endsWith('RetryInfo'));
+  return parseRetryAfter(retryInfo?.retryDelay);
+}
+
+/**
+ * Classify anything an adapter or SDK threw
+ * @returns {ProviderError}
+ */
+export function classifyError(error) {
+  if (error instanceof ProviderError) return error;
+
+  const message = error?.message || String(error);
+  const status = Number(error?.status ?? error?.statusCode) || null;
+  let kind = status ? kindForStatus(status) : null;
+
+  // OpenAI-compatible APIs report an empty balance as a 429
+  if (kind === 'rate_limit' && /insufficient_quota|insufficient credits/i.test(`${error?.code} ${message}`)) kind = 'quota';
+
+  if (!kind) {
+    const code = error?.code || error?.cause?.code;
+    if (NETWORK_NAMES.includes(error?.name) || NETWORK_CODES.includes(code) || /fetch failed|socket hang up/i.test(message)) {
+      kind = 'network';
+    } else if (error?.name === 'GoogleGenerativeAIResponseError' || REFUSAL_PATTERN.test(message)) {
+      kind = 'content_refusal';
+    } else {
+      kind = 'unknown';
+    }
+  }
+
+  return new ProviderError(kind, message, { status, retryAfterMs: sdkRetryAfter(error), cause: error });
+}
+
+/**
+ * How long to pause the engine for a rate-limited call, or null if `error` is not a rate limit
+ */
+export function rateLimitDelay(error) {
+  const classified = classifyError(error);
+  if (classified.kind !== 'rate_limit') return null;
+  const ms = classified.retryAfterMs ?? DEFAULT_RETRY_AFTER_MS;
+  return Math.min(Math.max(ms, 1000), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Backoff before retry n (1-based) for a kind: exponential from the kind's base delay
+ */
+export function retryDelay(kind, attemptsMade) {
+  const base = RETRY_POLICIES[kind]?.baseDelayMs ?? RETRY_POLICIES.unknown.baseDelayMs;
+  return Math.min(base * 2 ** Math.max(0, attemptsMade - 1), MAX_RETRY_AFTER_MS);
+}
+
+/**
+ * Whether a failed attempt should be the last one
+ * @param {ProviderError} error - Classified error
+ * @param {number} attempt - 1-based attempt that just failed
+ * @param {number} maxAttempts - The job's attempts option
+ */
+export function isFinalAttempt(error, attempt, maxAttempts = 1) {
+  const policy = RETRY_POLICIES[error.kind] || RETRY_POLICIES.unknown;
+  if (!policy.retry) return true;
+  return attempt >= Math.min(policy.maxAttempts ?? Infinity, maxAttempts);
+}
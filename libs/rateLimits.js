@@ -0,0 +1,107 @@
+// ESM
+
+// ============================================================================
+// RATE LIMITS AND QUEUE FAIRNESS
+// - API request limits: fixed one-minute windows counted in Redis, per user,
+//   per website (run requests) and per API key (libs/apiKeys.js).
+// - Fair queueing: every tenant (organization, else user) has a counter of
+//   its unfinished jobs per engine queue. A new job's BullMQ priority is that
+//   counter, so a tenant's 500th queued job waits behind everyone else's 1st
+//   (lower number = runs first). Workers release the slot once a job is done.
+// - Provider limits: optional BullMQ limiter per engine worker, from the
+//   adapter's `rateLimit` or ENGINE_RATE_LIMITS (see parseEngineRateLimits).
+//   Every worker gets a limiter (see engineLimiter): BullMQ ignores the
+//   queue pause after a provider 429 (worker.rateLimit) on a worker without one.
+// ============================================================================
+
+export const MAX_PRIORITY = 2097152; // BullMQ's highest priority number (2^21)
+
+// Counters expire if a tenant goes quiet, so a drifted count (e.g. a job
+// removed by hand) heals itself
+const FAIR_SLOT_TTL_SECONDS = 6 * 3600;
+
+// Limiter for engines without a configured limit: never reached, only there
+// so provider 429 pauses take effect
+export const UNLIMITED_LIMITER = { max: 1000000, duration: 1000 };
+
+/**
+ * Count one request in the current one-minute window
+ * @param {object} redis - ioredis client
+ * @param {string} bucket - e.g. "user:<id>"
+ * @param {number} limit - Requests allowed per minute
+ * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, retry_after: number }>}
+ */
+export async function consumeRateLimit(redis, bucket, limit) {
+  const now = Date.now();
+  const window = Math.floor(now / 60000);
+  const counter = `ratelimit:${bucket}:${window}`;
+
+  const [[, count]] = await redis.multi().incr(counter).expire(counter, 120).exec();
+  return {
+    allowed: count <= limit,
+    limit,
+    remaining: Math.max(0, limit - count),
+    retry_after: Math.ceil(((window + 1) * 60000 - now) / 1000)
+  };
+}
+
+/**
+ * Tenant a run is counted against: the website's organization, else its owner
+ * @param {object} website - { org_id, user_id }
+ */
+export function tenantKey(website, fallbackUserId = null) {
+  if (website?.org_id) return `org:${website.org_id}`;
+  if (website?.user_id) return `user:${website.user_id}`;
+  return fallbackUserId ? `user:${fallbackUserId}` : 'anonymous';
+}
+
+const fairSlotKey = (queueName, tenant) => `fair:${queueName}:${tenant}`;
+
+/**
+ * Take a slot for a new job and return its BullMQ priority
+ * @param {object} redis - ioredis client
+ * @param {string} queueName - Engine queue
+ * @param {string} tenant - From tenantKey
+ */
+export async function reserveFairPriority(redis, queueName, tenant) {
+  const key = fairSlotKey(queueName, tenant);
+  const [[, count]] = await redis.multi().incr(key).expire(key, FAIR_SLOT_TTL_SECONDS).exec();
+  return Math.min(Math.max(count, 1), MAX_PRIORITY);
+}
+
+/**
+ * Give a slot back once a job completed or failed for good
+ */
+export async function releaseFairSlot(redis, queueName, tenant) {
+  const key = fairSlotKey(queueName, tenant);
+  const count = await redis.decr(key);
+  if (count < 0) await redis.set(key, 0, 'EX', FAIR_SLOT_TTL_SECONDS);
+}
+
+/**
+ * Parse ENGINE_RATE_LIMITS, e.g. "chatgpt=60/60,claude=20/10": at most
+ * 60 jobs per 60 seconds for chatgpt and 20 per 10 seconds for claude
+ * @returns {Object<string, { max: number, duration: number }>} BullMQ limiter options (duration in ms)
+ */
+export function parseEngineRateLimits(value = '') {
+  const limits = {};
+  for (const entry of value.split(',').map(s => s.trim()).filter(Boolean)) {
+    const match = entry.match(/^([\w-]+)=(\d+)\/(\d+)$/);
+    if (!match || Number(match[2]) < 1 || Number(match[3]) < 1) {
+      throw new Error(`Invalid ENGINE_RATE_LIMITS entry "${entry}" (expected engine=max/seconds)`);
+    }
+    limits[match[1]] = { max: Number(match[2]), duration: Number(match[3]) * 1000 };
+  }
+  return limits;
+}
+
+/**
+ * BullMQ limiter for an engine worker: ENGINE_RATE_LIMITS, else the adapter's
+ * default, else UNLIMITED_LIMITER
+ * @param {string} name - Engine name
+ * @param {object} adapter - Engine adapter (engines/adapter.js)
+ * @param {object} rateLimits - From parseEngineRateLimits
+ */
+export function engineLimiter(name, adapter, rateLimits = {}) {
+  return rateLimits[name] || adapter?.rateLimit || UNLIMITED_LIMITER;
+}
@@ -0,0 +1,75 @@
+// ESM
+import { canonicalizeUrl, isOpaqueRedirect } from './citations.js';
+
+// ============================================================================
+// RETRIEVAL
+// What an engine searched for and read before answering, next to what it
+// cited (libs/citations.js):
+//
+// - fan_out_queries: the web searches the engine ran for the prompt, in the
+//   order it reported them (Gemini webSearchQueries, DataForSEO
+//   fan_out_queries)
+// - retrieved_sources: every page it retrieved
+//     { url, original_url, title, domain, snippet, date?, cited, citation_number }
+//   cited says whether the answer cites the page; citation_number is its
+//   number in the citations list (null when not cited)
+//
+// Engines that do not report them (Claude, Perplexity's queries) get [].
+// ============================================================================
+
+const hostOf = (url) => { try { return new URL(url).hostname.replace(/^www\./i, ''); } catch { return ''; } };
+
+/**
+ * Fan-out queries: trimmed, blanks dropped, repeats removed (case-insensitive)
+ * @param {Array<string|object>} queries - Strings, or { query } / { keyword } objects
+ */
+export function normalizeQueries(queries) {
+  const seen = new Set();
+  const result = [];
+  for (const value of Array.isArray(queries) ? queries : []) {
+    const query = String((typeof value === 'string' ? value : value?.query ?? value?.keyword) ?? '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!query || seen.has(query.toLowerCase())) continue;
+    seen.add(query.toLowerCase());
+    result.push(query);
+  }
+  return result;
+}
+
+/**
+ * Retrieved sources matched against the citations built from the same answer
+ * @param {object[]} entries - In provider order: { url, title, snippet, domain, date }
+ * @param {object[]} citations - buildCitations() output
+ * @param {object} options - { redirects } resolved opaque wrappers
+ */
+export function buildRetrievedSources(entries, citations = [], { redirects = {} } = {}) {
+  const citedNumbers = new Map(citations.filter(c => c.url).map(c => [c.url, c.number]));
+  const byUrl = new Map();
+
+  for (const entry of Array.isArray(entries) ? entries : []) {
+    const originalUrl = typeof entry?.url === 'string' && entry.url.trim() ? entry.url.trim() : null;
+    if (!originalUrl) continue;
+
+    const url = canonicalizeUrl(originalUrl, redirects) || originalUrl;
+    const existing = byUrl.get(url);
+    if (existing) {
+      existing.title ||= entry.title || '';
+      existing.snippet ||= entry.snippet || '';
+      continue;
+    }
+
+    byUrl.set(url, {
+      url,
+      original_url: originalUrl,
+      title: entry.title || '',
+      domain: (!isOpaqueRedirect(url) && hostOf(url)) || String(entry.domain || '').replace(/^www\./i, ''),
+      snippet: entry.snippet || '',
+      ...(entry.date && { date: entry.date }),
+      cited: citedNumbers.has(url),
+      citation_number: citedNumbers.get(url) ?? null
+    });
+  }
+
+  return [...byUrl.values()];
+}
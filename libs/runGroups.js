@@ -0,0 +1,152 @@
+// ESM
+
+// ============================================================================
+// RUN GROUPS
+// Batch membership (group_id -> member -> job) is kept in Redis next to the
+// queues, so a group can still be resolved after BullMQ has removed its jobs.
+// A member is one engine job; with multi-sample runs an engine has several
+// members ("chatgpt#1", "chatgpt#2", ...).
+// ============================================================================
+
+const GROUP_TTL_SECONDS = 7 * 24 * 60 * 60; // 7 days
+const TERMINAL_STATES = ['completed', 'failed'];
+
+const groupKey = (groupId) => `run-group:${groupId}`;
+
+/**
+ * Member key for an engine job: the engine name, or "engine#n" for sample n of a multi-sample run
+ */
+export function memberKey(engine, sample = 1, samples = 1) {
+  return samples > 1 ? `${engine}#${sample}` : engine;
+}
+
+/**
+ * Store group membership when a batch is enqueued
+ * @param {object} client - ioredis client (e.g. `await queue.client`)
+ * @param {string} groupId - The batch group_id
+ * @param {object} meta - { prompt_id, user_id, website_id, locale, samples }
+ * @param {object} members - { [memberKey]: { job_id, engine, sample } }
+ */
+export async function saveRunGroup(client, groupId, meta, members) {
+  const fields = {
+    meta: JSON.stringify({ ...meta, created_at: Date.now() })
+  };
+  for (const [member, { job_id, engine, sample = 1 }] of Object.entries(members)) {
+    fields[`job:${member}`] = JSON.stringify({ job_id, engine, sample, state: 'waiting' });
+  }
+
+  await client.multi()
+    .hset(groupKey(groupId), fields)
+    .expire(groupKey(groupId), GROUP_TTL_SECONDS)
+    .exec();
+}
+
+/**
+ * Remove members that could not be enqueued from a group
+ */
+export async function dropRunGroupJobs(client, groupId, members) {
+  if (members.length === 0) return;
+  await client.hdel(groupKey(groupId), ...members.map(member => `job:${member}`));
+}
+
+/**
+ * Record the outcome of one member job in its group (no-op for unknown groups)
+ * @param {object} client - ioredis client
+ * @param {string} groupId - The batch group_id
+ * @param {string} member - Member key (see memberKey)
+ * @param {object} outcome - { state, result_id?, error?, error_kind? }
+ */
+export async function recordRunGroupOutcome(client, groupId, member, outcome) {
+  const key = groupKey(groupId);
+  const field = `job:${member}`;
+  const current = await client.hget(key, field);
+  if (!current) return false;
+
+  await client.hset(key, field, JSON.stringify({
+    ...JSON.parse(current),
+    ...outcome,
+    updated_at: Date.now()
+  }));
+  return true;
+}
+
+/**
+ * Load a group's metadata and per-engine job records
+ * @returns {Promise<{ meta: object, jobs: object } | null>}
+ */
+export async function getRunGroup(client, groupId) {
+  const raw = await client.hgetall(groupKey(groupId));
+  if (!raw || !raw.meta) return null;
+
+  const jobs = {};
+  for (const [field, value] of Object.entries(raw)) {
+    if (!field.startsWith('job:')) continue;
+    const member = field.slice(4);
+    // Groups saved before multi-sample runs have no engine field
+    jobs[member] = { engine: member.split('#')[0], sample: 1, ...JSON.parse(value) };
+  }
+  return { meta: JSON.parse(raw.meta), jobs };
+}
+
+/**
+ * Overall status of a group from its per-engine states
+ * - pending:  nothing finished yet
+ * - partial:  some engines finished, or all finished with mixed outcomes
+ * - complete: every engine completed
+ * - failed:   every engine failed
+ */
+export function summarizeRunGroup(jobs) {
+  const states = Object.values(jobs).map(j => j.state);
+  const finished = states.filter(s => TERMINAL_STATES.includes(s));
+
+  let status = 'partial';
+  if (finished.length === 0) status = 'pending';
+  else if (states.every(s => s === 'completed')) status = 'complete';
+  else if (states.every(s => s === 'failed')) status = 'failed';
+
+  return { status, finished: finished.length === states.length };
+}
+
+/**
+ * Whether a 'failed' event is the job's last failure: no attempts left, or
+ * an UnrecoverableError that BullMQ does not retry
+ */
+export function isFinalFailure(job, err) {
+  if (!job) return false;
+  return err?.name === 'UnrecoverableError' || job.attemptsMade >= (job.opts?.attempts || 1);
+}
+
+/**
+ * Keep a worker's group records up to date as its jobs finish.
+ * `failed` only counts once it is final (see isFinalFailure).
+ * @param {import('bullmq').Worker} worker
+ * @param {object} options - { onSettled(job, group, client) } runs after an outcome is recorded
+ */
+export function trackRunGroups(worker, { onSettled } = {}) {
+  const record = async (job, outcome) => {
+    const groupId = job?.data?.group_id;
+    if (!groupId) return;
+    try {
+      const client = await worker.client;
+      const member = job.data.group_member || job.data.engine;
+      const recorded = await recordRunGroupOutcome(client, groupId, member, outcome);
+      if (recorded && onSettled) await onSettled(job, await getRunGroup(client, groupId), client);
+    } catch (error) {
+      console.error(`[RunGroups] Failed to record ${outcome.state} for group ${groupId}:`, error.message);
+    }
+  };
+
+  worker.on('completed', (job, result) => record(job, {
+    state: 'completed',
+    result_id: result?.result_id || null
+  }));
+
+  worker.on('failed', (job, err) => {
+    if (!isFinalFailure(job, err)) return;
+    record(job, {
+      state: 'failed',
+      error: err?.message || job?.failedReason || 'failed',
+      error_kind: job.data.error?.kind || null
+    });
+  });
+}
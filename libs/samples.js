@@ -0,0 +1,107 @@
+// ESM
+import { normalizeDomain } from './brandAnalysis.js';
+
+// ============================================================================
+// MULTI-SAMPLE AGGREGATES
+// AI answers are non-deterministic, so one run per engine is a single draw.
+// With `samples: N` an engine runs N times under one group, and these
+// helpers summarise the draws: how often the brand is mentioned, how stable
+// its rank is, which domains keep getting cited, and how similar the
+// answers are to each other.
+// ============================================================================
+
+export const MAX_SAMPLES = 10;
+
+const Z_95 = 1.96;
+const round = (n, digits = 4) => (n === null ? null : Math.round(n * 10 ** digits) / 10 ** digits);
+
+/**
+ * Parse a `samples` option: integer 1..MAX_SAMPLES, or null if invalid
+ */
+export function parseSamples(value = 1) {
+  const n = Number(value ?? 1);
+  return Number.isInteger(n) && n >= 1 && n <= MAX_SAMPLES ? n : null;
+}
+
+// Wilson score interval for a proportion (behaves at 0/n and n/n, unlike the normal approximation)
+function wilsonInterval(successes, n) {
+  if (n === 0) return [null, null];
+  const p = successes / n;
+  const denom = 1 + Z_95 ** 2 / n;
+  const centre = (p + Z_95 ** 2 / (2 * n)) / denom;
+  const margin = (Z_95 * Math.sqrt(p * (1 - p) / n + Z_95 ** 2 / (4 * n * n))) / denom;
+  return [Math.max(0, centre - margin), Math.min(1, centre + margin)];
+}
+
+function meanAndStdev(values) {
+  if (values.length === 0) return { mean: null, stdev: null };
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  if (values.length === 1) return { mean, stdev: 0 };
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  return { mean, stdev: Math.sqrt(variance) };
+}
+
+const wordSet = (text) => new Set((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Mean pairwise Jaccard similarity of the answers' word sets (1 = identical vocabulary)
+function answerSimilarity(answers) {
+  if (answers.length < 2) return null;
+  const sets = answers.map(wordSet);
+  let total = 0;
+  let pairs = 0;
+  for (let i = 0; i < sets.length; i++) {
+    for (let j = i + 1; j < sets.length; j++) {
+      total += jaccard(sets[i], sets[j]);
+      pairs++;
+    }
+  }
+  return total / pairs;
+}
+
+// Share of samples citing each domain (a domain counts once per sample)
+function citationFrequency(results) {
+  const counts = {};
+  for (const result of results) {
+    const domains = new Set((result.citations || []).map(c => normalizeDomain(c?.url)).filter(Boolean));
+    for (const domain of domains) counts[domain] = (counts[domain] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([domain, count]) => ({ domain, count, rate: round(count / results.length) }));
+}
+
+/**
+ * Aggregate the saved results of one engine's samples
+ * @param {object[]} results - prompt_tracking_results rows (answer_text, was_mentioned, ranking_position, domain_cited, citations)
+ * @param {number} requested - Samples requested (failed samples are reported as the difference)
+ */
+export function aggregateSamples(results, requested = results.length) {
+  const n = results.length;
+  const mentioned = results.filter(r => r.was_mentioned).length;
+  const cited = results.filter(r => r.domain_cited).length;
+  const ranks = results.map(r => r.ranking_position).filter(r => Number.isFinite(r));
+  const { mean, stdev } = meanAndStdev(ranks);
+  const [mentionLow, mentionHigh] = wilsonInterval(mentioned, n);
+  const rankMargin = ranks.length > 1 ? Z_95 * stdev / Math.sqrt(ranks.length) : null;
+
+  return {
+    samples_requested: requested,
+    samples_completed: n,
+    mention_rate: n ? round(mentioned / n) : null,
+    mention_rate_ci: [round(mentionLow), round(mentionHigh)],
+    domain_cited_rate: n ? round(cited / n) : null,
+    ranked_samples: ranks.length,
+    rank_mean: round(mean, 2),
+    rank_stdev: round(stdev, 2),
+    rank_ci: rankMargin === null ? [null, null] : [round(mean - rankMargin, 2), round(mean + rankMargin, 2)],
+    citation_domains: citationFrequency(results),
+    answer_similarity: round(answerSimilarity(results.map(r => r.answer_text)))
+  };
+}
@@ -0,0 +1,247 @@
+// ESM
+import { normalizeDomain, isOwnDomain } from './brandAnalysis.js';
+import { bucketStart, pageBuckets, fetchResultsInWindow } from './trends.js';
+
+// ============================================================================
+// SHARE OF VOICE
+// Per website, a competitor set (website_competitors, db/010) is compared
+// against the brands the extraction worker found in each answer
+// (prompt_tracking_results.extracted_brands). Numbers are computed per
+// prompt, engine and period:
+// - mention_share: the brand's mentions / all mentions of tracked brands
+// - avg_position:  mean ranking_position among answers that mention it
+// - avg_sentiment: mean 0-100 sentiment among answers that mention it
+// The website's own brand is always part of the set (is_own: true).
+// ============================================================================
+
+export const DEFAULT_COMPETITOR_SEED = 10;
+export const MAX_COMPETITORS = 50;
+
+const SEED_SAMPLE_SIZE = 2000;
+
+const nameKey = (value) => (value || '').toString().trim().toLowerCase();
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const round = (n, digits = 4) => (n === null ? null : Math.round(n * 10 ** digits) / 10 ** digits);
+
+/**
+ * Index of the tracked brand an extracted brand belongs to (domain first, then name/aliases), or -1
+ * @param {object} extracted - { name, domain }
+ * @param {object[]} brands - [{ name, domain, aliases }]
+ */
+export function matchBrand(extracted, brands) {
+  const byDomain = brands.findIndex(b => b.domain && isOwnDomain(extracted?.domain, normalizeDomain(b.domain)));
+  if (byDomain !== -1) return byDomain;
+  const name = nameKey(extracted?.name);
+  if (!name) return -1;
+  return brands.findIndex(b => nameKey(b.name) === name || (b.aliases || []).some(a => nameKey(a) === name));
+}
+
+/**
+ * Most frequently extracted brands (excluding the website's own), to seed a competitor set
+ * @param {object[]} rows - Rows with extracted_brands
+ * @param {object} own - { name, domain, aliases } of the website
+ */
+export function topExtractedBrands(rows, own, limit = DEFAULT_COMPETITOR_SEED) {
+  const counts = new Map();
+  for (const row of rows) {
+    const seen = new Set();
+    for (const brand of Array.isArray(row.extracted_brands) ? row.extracted_brands : []) {
+      if (!brand?.name || matchBrand(brand, [own]) !== -1) continue;
+      const key = nameKey(brand.name);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const entry = counts.get(key) || { name: brand.name, domain: null, results: 0 };
+      entry.domain ||= normalizeDomain(brand.domain) || null;
+      entry.results++;
+      counts.set(key, entry);
+    }
+  }
+  return [...counts.values()]
+    .sort((a, b) => b.results - a.results || a.name.localeCompare(b.name))
+    .slice(0, limit);
+}
+
+/**
+ * Share-of-voice numbers for one set of results
+ * @param {object[]} rows - Rows with extracted_brands
+ * @param {object[]} brands - Tracked brands ({ name, domain, aliases, is_own })
+ */
+export function summarizeShareOfVoice(rows, brands) {
+  const stats = brands.map(() => ({ mentions: 0, positions: [], sentiments: [] }));
+
+  for (const row of rows) {
+    const counted = new Set();
+    for (const extracted of Array.isArray(row.extracted_brands) ? row.extracted_brands : []) {
+      const i = matchBrand(extracted, brands);
+      if (i === -1 || counted.has(i)) continue; // a brand counts once per answer
+      counted.add(i);
+      stats[i].mentions++;
+      if (Number.isFinite(extracted.ranking_position)) stats[i].positions.push(extracted.ranking_position);
+      if (Number.isFinite(extracted.sentiment)) stats[i].sentiments.push(extracted.sentiment);
+    }
+  }
+
+  const totalMentions = stats.reduce((sum, s) => sum + s.mentions, 0);
+  return {
+    results: rows.length,
+    brands: brands.map((brand, i) => ({
+      name: brand.name,
+      domain: brand.domain || null,
+      is_own: Boolean(brand.is_own),
+      mentions: stats[i].mentions,
+      mention_rate: rows.length ? round(stats[i].mentions / rows.length) : null,
+      mention_share: totalMentions ? round(stats[i].mentions / totalMentions) : null,
+      avg_position: round(mean(stats[i].positions), 2),
+      avg_sentiment: round(mean(stats[i].sentiments), 1)
+    })).sort((a, b) => b.mentions - a.mentions)
+  };
+}
+
+/**
+ * Group rows by prompt, engine and period and summarise each group
+ */
+export function buildShareOfVoice(rows, brands, bucket) {
+  const groups = new Map();
+  for (const row of rows) {
+    const period_start = bucketStart(row.checked_at, bucket).toISOString();
+    const key = `${row.prompt_id}|${row.engine}|${period_start}`;
+    if (!groups.has(key)) groups.set(key, { prompt_id: row.prompt_id, engine: row.engine, period_start, rows: [] });
+    groups.get(key).rows.push(row);
+  }
+
+  return [...groups.values()]
+    .sort((a, b) => b.period_start.localeCompare(a.period_start) ||
+      String(a.prompt_id).localeCompare(String(b.prompt_id)) ||
+      a.engine.localeCompare(b.engine))
+    .map(({ rows: groupRows, ...group }) => ({ ...group, ...summarizeShareOfVoice(groupRows, brands) }));
+}
+
+// ============================================================================
+// Competitor sets
+// ============================================================================
+
+/**
+ * Stored competitor set of a website
+ */
+export async function getCompetitors(supabase, websiteId) {
+  const { data, error } = await supabase
+    .from('website_competitors')
+    .select('id, name, domain, aliases, source, created_at')
+    .eq('website_id', websiteId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Why a competitor set cannot be saved, or null when it can
+ * @param {object[]} competitors - [{ name, domain?, aliases? }]
+ */
+export function validateCompetitors(competitors) {
+  if (!Array.isArray(competitors) || competitors.length > MAX_COMPETITORS ||
+      competitors.some(c => typeof c?.name !== 'string' || !c.name.trim())) {
+    return `competitors must be an array of up to ${MAX_COMPETITORS} objects with a name`;
+  }
+  if (competitors.some(c => c.aliases !== undefined && c.aliases !== null &&
+      (!Array.isArray(c.aliases) || c.aliases.some(a => typeof a !== 'string')))) {
+    return 'aliases must be an array of strings';
+  }
+  // Names are unique per website regardless of case (website_competitors_name_uidx)
+  const names = competitors.map(c => c.name.trim().toLowerCase());
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) return `duplicate competitor name: ${duplicate}`;
+  return null;
+}
+
+/**
+ * Replace a website's competitor set. Competitors already in the set (same
+ * name, any case) keep their row, so the set is written in one upsert and
+ * only then are the dropped ones deleted: a failed save leaves the old set.
+ * @param {object[]} competitors - [{ name, domain?, aliases? }] (see validateCompetitors)
+ * @param {string} source - 'manual' | 'seeded'
+ */
+export async function replaceCompetitors(supabase, websiteId, competitors, source = 'manual') {
+  const existing = new Map((await getCompetitors(supabase, websiteId)).map(c => [c.name.toLowerCase(), c.id]));
+
+  const rows = competitors.map(c => {
+    const id = existing.get(c.name.trim().toLowerCase());
+    return {
+      ...(id && { id }),
+      website_id: websiteId,
+      name: c.name.trim(),
+      domain: normalizeDomain(c.domain) || null,
+      aliases: Array.isArray(c.aliases) ? c.aliases : [],
+      source
+    };
+  });
+
+  let kept = [];
+  if (rows.length > 0) {
+    // defaultToNull: false lets new rows take the default id
+    const { data, error } = await supabase
+      .from('website_competitors')
+      .upsert(rows, { onConflict: 'id', defaultToNull: false })
+      .select('id');
+    if (error) throw error;
+    kept = data.map(row => row.id);
+  }
+
+  let dropped = supabase
+    .from('website_competitors')
+    .delete()
+    .eq('website_id', websiteId);
+  if (kept.length > 0) dropped = dropped.not('id', 'in', `(${kept.join(',')})`);
+  const { error: deleteError } = await dropped;
+  if (deleteError) throw deleteError;
+
+  return getCompetitors(supabase, websiteId);
+}
+
+/**
+ * Competitor suggestions from the website's recent extracted brands
+ */
+export async function suggestCompetitors(supabase, website, limit = DEFAULT_COMPETITOR_SEED) {
+  const { data, error } = await supabase
+    .from('prompt_tracking_results')
+    .select('extracted_brands, prompts!inner(website_id)')
+    .eq('prompts.website_id', website.id)
+    .not('extracted_brands', 'is', null)
+    .order('checked_at', { ascending: false })
+    .limit(SEED_SAMPLE_SIZE);
+
+  if (error) throw error;
+  return topExtractedBrands(data, ownBrand(website), limit);
+}
+
+// The website itself as a tracked brand
+export function ownBrand(website) {
+  return {
+    name: website.brand_name || website.domain,
+    domain: website.domain,
+    aliases: website.brand_aliases || [],
+    is_own: true
+  };
+}
+
+/**
+ * Share of voice for a website's prompts over a page of periods
+ * @param {object} supabase - Supabase client
+ * @param {object} website - { id, domain, brand_name, brand_aliases }
+ * @param {object} query - { bucket, from, to, engines, locale, page, page_size, prompt_id? }
+ */
+export async function fetchShareOfVoice(supabase, website, query) {
+  const competitors = await getCompetitors(supabase, website.id);
+  const brands = [ownBrand(website), ...competitors];
+
+  const { pageInfo, window } = pageBuckets(query);
+  if (!window) return { ...pageInfo, competitors, groups: [] };
+
+  const rows = await fetchResultsInWindow(
+    supabase,
+    'prompt_id, engine, checked_at, extracted_brands',
+    { ...query, ...window, website_id: website.id }
+  );
+
+  return { ...pageInfo, competitors, groups: buildShareOfVoice(rows, brands, query.bucket) };
+}
@@ -0,0 +1,177 @@
+// ESM
+import { normalizeDomain, isOwnDomain } from './brandAnalysis.js';
+
+// ============================================================================
+// VISIBILITY TRENDS
+// Time-bucketed series per engine over prompt_tracking_results, for a whole
+// website or a single prompt. Pagination is over buckets (newest first), so
+// a page only reads the results inside its own time window.
+// ============================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FETCH_PAGE_SIZE = 1000;
+
+export const TREND_BUCKETS = ['day', 'week'];
+export const DEFAULT_TREND_DAYS = 30;
+export const MAX_TREND_PAGE_SIZE = 366;
+
+// Start of the UTC day/week (weeks start on Monday) containing `date`
+export function bucketStart(date, bucket) {
+  const d = new Date(date);
+  const day = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+  if (bucket === 'day') return new Date(day);
+  const sinceMonday = (new Date(day).getUTCDay() + 6) % 7;
+  return new Date(day - sinceMonday * DAY_MS);
+}
+
+const bucketLength = (bucket) => (bucket === 'week' ? 7 : 1) * DAY_MS;
+
+/**
+ * Bucket starts covering [from, to], newest first
+ */
+export function listBuckets(from, to, bucket) {
+  const starts = [];
+  for (let t = bucketStart(to, bucket).getTime(); t >= bucketStart(from, bucket).getTime(); t -= bucketLength(bucket)) {
+    starts.push(new Date(t));
+  }
+  return starts;
+}
+
+// Our entry in a result's extracted_brands (matched by domain, then by name)
+function findOwnBrand(extractedBrands, ownDomain, brandName) {
+  if (!Array.isArray(extractedBrands)) return null;
+  const name = (brandName || '').trim().toLowerCase();
+  return extractedBrands.find(b => isOwnDomain(b?.domain, ownDomain)) ||
+    (name && extractedBrands.find(b => (b?.name || '').trim().toLowerCase() === name)) ||
+    null;
+}
+
+const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const round = (n, digits = 4) => (n === null ? null : Math.round(n * 10 ** digits) / 10 ** digits);
+
+/**
+ * Summarise the results that fall in one bucket
+ * @param {object[]} rows - prompt_tracking_results rows
+ * @param {object} brand - { domain, brand_name } of the website
+ */
+export function summarizeBucket(rows, { domain, brand_name } = {}) {
+  const ownDomain = normalizeDomain(domain);
+  const ranks = rows.map(r => r.ranking_position).filter(Number.isFinite);
+  const sentiments = rows
+    .map(r => findOwnBrand(r.extracted_brands, ownDomain, brand_name)?.sentiment)
+    .filter(Number.isFinite);
+
+  let citations = 0;
+  let ownCitations = 0;
+  for (const row of rows) {
+    for (const citation of row.citations || []) {
+      citations++;
+      if (isOwnDomain(citation?.url, ownDomain)) ownCitations++;
+    }
+  }
+
+  return {
+    runs: rows.length,
+    mention_rate: rows.length ? round(rows.filter(r => r.was_mentioned).length / rows.length) : null,
+    avg_rank: round(mean(ranks), 2),
+    avg_sentiment: round(mean(sentiments), 1),
+    citation_share: citations ? round(ownCitations / citations) : null,
+    citations,
+    cost_usd: round(rows.reduce((sum, r) => sum + (Number(r.cost) || 0), 0), 6)
+  };
+}
+
+/**
+ * Group rows into per-engine series over the given buckets (oldest first)
+ */
+export function buildSeries(rows, buckets, bucket, brand) {
+  const byEngine = {};
+  for (const row of rows) {
+    const key = bucketStart(row.checked_at, bucket).toISOString();
+    ((byEngine[row.engine] ||= {})[key] ||= []).push(row);
+  }
+
+  const ordered = [...buckets].sort((a, b) => a - b);
+  return Object.fromEntries(Object.entries(byEngine).sort().map(([engine, groups]) => [
+    engine,
+    ordered.map(start => ({
+      bucket_start: start.toISOString(),
+      ...summarizeBucket(groups[start.toISOString()] || [], brand)
+    }))
+  ]));
+}
+
+/**
+ * Buckets on one page (newest first) and the time window they cover, clipped to [from, to]
+ */
+export function pageBuckets({ bucket, from, to, page, page_size }) {
+  const allBuckets = listBuckets(from, to, bucket);
+  const buckets = allBuckets.slice((page - 1) * page_size, page * page_size);
+  const pageInfo = {
+    page,
+    page_size,
+    total_buckets: allBuckets.length,
+    has_more: page * page_size < allBuckets.length
+  };
+  if (buckets.length === 0) return { buckets, pageInfo, window: null };
+
+  return {
+    buckets,
+    pageInfo,
+    window: {
+      start: new Date(Math.max(buckets[buckets.length - 1].getTime(), new Date(from).getTime())),
+      end: new Date(Math.min(buckets[0].getTime() + bucketLength(bucket), new Date(to).getTime() + 1))
+    }
+  };
+}
+
+/**
+ * Results of a website (via its prompts) or a prompt checked inside [start, end)
+ * @param {object} supabase - Supabase client
+ * @param {string} columns - prompt_tracking_results columns to select
+ * @param {object} filters - { website_id | prompt_id, start, end, engines, locale }
+ */
+export async function fetchResultsInWindow(supabase, columns, { website_id, prompt_id, start, end, engines, locale }) {
+  const rows = [];
+  for (let offset = 0; ; offset += FETCH_PAGE_SIZE) {
+    let q = supabase
+      .from('prompt_tracking_results')
+      .select(`${columns}${website_id ? ', prompts!inner(website_id)' : ''}`)
+      .gte('checked_at', start.toISOString())
+      .lt('checked_at', end.toISOString());
+
+    if (website_id) q = q.eq('prompts.website_id', website_id);
+    if (prompt_id) q = q.eq('prompt_id', prompt_id);
+    if (engines?.length) q = q.in('engine', engines);
+    if (locale) q = q.eq('metadata->>locale', locale);
+
+    const { data, error } = await q
+      .order('checked_at', { ascending: true })
+      .order('id', { ascending: true }) // checked_at ties would shift between pages
+      .range(offset, offset + FETCH_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    rows.push(...data);
+    if (data.length < FETCH_PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+/**
+ * Load results for a website or a prompt and build the trend page
+ * @param {object} supabase - Supabase client
+ * @param {object} query - { website_id | prompt_id, brand: { domain, brand_name }, bucket,
+ *   from, to, engines, locale, page, page_size }
+ */
+export async function fetchTrendSeries(supabase, { brand, ...query }) {
+  const { buckets, pageInfo, window } = pageBuckets(query);
+  if (!window) return { ...pageInfo, series: {} };
+
+  const rows = await fetchResultsInWindow(
+    supabase,
+    'engine, checked_at, was_mentioned, ranking_position, citations, extracted_brands, cost',
+    { ...query, ...window }
+  );
+
+  return { ...pageInfo, series: buildSeries(rows, buckets, query.bucket, brand) };
+}
@@ -0,0 +1,178 @@
+import { Queue, Worker, UnrecoverableError } from 'bullmq';
+import { buildWebhookEvent, signWebhookPayload } from './webhooks.js';
+import { assertPublicUrl, OutboundUrlError } from './outboundUrls.js';
+import {
+  getWebhookSubscriptions,
+  createWebhookDeliveries,
+  getWebhookDelivery,
+  updateWebhookDelivery
+} from './persist.js';
+import { isFinalFailure } from './runGroups.js';
+
+const { REDIS_HOST, REDIS_PORT = 6379, REDIS_PASSWORD, REDIS_TLS } = process.env;
+
+export const WEBHOOK_QUEUE_NAME = 'webhook-deliveries';
+
+const MAX_ATTEMPTS = 8;            // 10s, 20s, 40s ... ~21 min between the last attempts
+const BACKOFF_DELAY_MS = 10000;
+const REQUEST_TIMEOUT_MS = 10000;
+const RESPONSE_BODY_LIMIT = 2000;  // characters kept in the delivery log (2xx replies only)
+
+const connection = {
+  host: REDIS_HOST,
+  port: Number(REDIS_PORT),
+  password: REDIS_PASSWORD,
+  tls: REDIS_TLS === 'true' ? { rejectUnauthorized: false } : undefined,
+  maxRetriesPerRequest: null,
+};
+
+// Create webhook delivery queue (shared by all workers)
+let webhookQueue = null;
+
+function getWebhookQueue() {
+  if (!webhookQueue && REDIS_HOST) {
+    webhookQueue = new Queue(WEBHOOK_QUEUE_NAME, { connection });
+    console.log('✅ Webhook delivery queue initialized');
+  }
+  return webhookQueue;
+}
+
+/**
+ * Log and queue one delivery per matching subscription.
+ * The same event id is only delivered once per subscription, so emitting
+ * again (job retries, several listeners) is safe. Never throws.
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {string} eventId - Stable id, e.g. "run.completed:<run_key>"
+ * @param {object} data - Event data
+ * @param {object} owner - { user_id, website_id } whose subscriptions receive it
+ */
+export async function emitWebhookEvent(type, eventId, data, owner) {
+  try {
+    const subscriptions = await getWebhookSubscriptions(owner, type);
+    if (subscriptions.length === 0) return 0;
+
+    const event = buildWebhookEvent(eventId, type, data);
+    const deliveries = await createWebhookDeliveries(subscriptions.map(sub => ({
+      subscription_id: sub.id,
+      event_id: eventId,
+      event_type: type,
+      payload: event,
+      status: 'pending'
+    })));
+
+    const queue = getWebhookQueue();
+    if (!queue) return 0;
+    for (const delivery of deliveries) {
+      await queue.add('deliver', { delivery_id: delivery.id }, {
+        jobId: `wh-${delivery.id}`,
+        attempts: MAX_ATTEMPTS,
+        backoff: { type: 'exponential', delay: BACKOFF_DELAY_MS },
+        removeOnComplete: { age: 3600 },
+        removeOnFail: { age: 86400 },
+      });
+    }
+
+    console.log(`[Webhooks] Queued ${deliveries.length} delivery(ies) for ${type} ${eventId}`);
+    return deliveries.length;
+  } catch (error) {
+    console.error(`[Webhooks] ❌ Failed to emit ${type} ${eventId}:`, error.message);
+    return 0;
+  }
+}
+
+// POST one delivery; throws so BullMQ retries transient failures
+async function deliverWebhook(job) {
+  const delivery = await getWebhookDelivery(job.data.delivery_id);
+  if (!delivery) throw new UnrecoverableError(`Unknown delivery ${job.data.delivery_id}`);
+  if (delivery.status === 'delivered') return { status: 'delivered' };
+
+  const subscription = delivery.webhook_subscriptions;
+  if (!subscription.enabled) {
+    await updateWebhookDelivery(delivery.id, { status: 'cancelled' });
+    return { status: 'cancelled' };
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = job.attemptsMade + 1;
+  const log = { attempts: attempt, last_attempt_at: new Date().toISOString() };
+
+  // Subscriptions only point to public hosts (libs/outboundUrls.js); check
+  // again here since a host can be re-pointed after it was saved
+  try {
+    await assertPublicUrl(subscription.url);
+  } catch (error) {
+    const refused = error instanceof OutboundUrlError; // else DNS failed, retry
+    await updateWebhookDelivery(delivery.id, { ...log, status: refused ? 'failed' : 'retrying', response_status: null, error: error.message });
+    throw refused ? new UnrecoverableError(error.message) : error;
+  }
+
+  let response;
+  try {
+    response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ai-search-api-webhooks',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Event': delivery.event_type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(subscription.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    await updateWebhookDelivery(delivery.id, { ...log, status: 'retrying', response_status: null, error: error.message });
+    throw error;
+  }
+
+  if (response.ok) {
+    await updateWebhookDelivery(delivery.id, {
+      ...log,
+      status: 'delivered',
+      response_status: response.status,
+      response_body: (await response.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT),
+      error: null,
+      delivered_at: new Date().toISOString()
+    });
+    return { status: 'delivered', response_status: response.status };
+  }
+
+  // Error replies are logged by status only: their bodies (error pages,
+  // stack traces) are not the subscriber's to read back from the log.
+  // Client errors other than 408/429 will not fix themselves
+  const retryable = response.status >= 500 || [408, 429].includes(response.status);
+  await updateWebhookDelivery(delivery.id, {
+    ...log,
+    status: retryable ? 'retrying' : 'failed',
+    response_status: response.status,
+    response_body: null,
+    error: `HTTP ${response.status}`
+  });
+  if (!retryable) throw new UnrecoverableError(`HTTP ${response.status}`);
+  throw new Error(`HTTP ${response.status}`);
+}
+
+/**
+ * Start the delivery worker
+ * @returns {Worker}
+ */
+export function startWebhookWorker(concurrency = 5) {
+  const worker = new Worker(WEBHOOK_QUEUE_NAME, deliverWebhook, { connection, concurrency });
+
+  worker.on('failed', (job, err) => {
+    if (!isFinalFailure(job, err)) return;
+    // Out of retries: close the delivery log entry
+    updateWebhookDelivery(job.data.delivery_id, { status: 'failed', error: err.message }).catch(() => {});
+    console.error(`[Webhooks] ❌ Delivery ${job.data.delivery_id} failed after ${job.attemptsMade} attempt(s):`, err.message);
+  });
+
+  worker.on('error', (err) => {
+    console.error('❌ webhook worker error:', err);
+  });
+
+  console.log(`worker.webhooks started with concurrency: ${concurrency}`);
+  return worker;
+}
@@ -0,0 +1,52 @@
+// ESM
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+// ============================================================================
+// OUTBOUND WEBHOOKS
+// Subscriptions (webhook_subscriptions, db/012) belong to a user or a
+// website. Every delivery is signed:
+//
+//   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//   X-Webhook-Timestamp: <unix seconds>
+//
+// with the subscription's secret, so receivers can verify the sender and
+// reject replays. Delivery and retries live in libs/webhookQueue.js.
+// Subscription URLs must point to public hosts (libs/outboundUrls.js), and
+// the delivery log keeps response bodies of 2xx replies only.
+// ============================================================================
+
+export const WEBHOOK_EVENTS = ['run.completed', 'run.failed', 'batch.completed'];
+export const WEBHOOK_SCOPES = ['user', 'website'];
+
+export function generateWebhookSecret() {
+  return `whsec_${randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature header value for a payload
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds, also sent as X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Receiver-side check of a signature header
+ */
+export function verifyWebhookSignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && timingSafeEqual(expected, given);
+}
+
+/**
+ * Envelope sent to subscribers
+ * @param {string} id - Stable event id (retries and duplicate emits share it)
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {object} data - Event data
+ */
+export function buildWebhookEvent(id, type, data) {
+  return { id, type, created_at: new Date().toISOString(), data };
+}
@@ -0,0 +1,204 @@
+// ESM
+// End-to-end: POST a batch → engine workers → rows persisted → brand job queued,
+// and a provider 429 delaying the retry by its Retry-After.
+// Runs the real API (index.js) and workers (worker.js) as child processes
+// against the mock providers and the in-memory Supabase; needs only a local
+// Redis (REDIS_HOST, default 127.0.0.1), no network. Skipped when Redis is
+// not reachable. Uses the real queue names, so point it at a throwaway Redis.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import { fileURLToPath } from 'node:url';
+import { Queue } from 'bullmq';
+import { startFakeSupabase } from './support/fakeSupabase.js';
+import { startMockProviders } from './support/mockProviders.js';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const { REDIS_HOST = '127.0.0.1', REDIS_PORT = '6379', REDIS_PASSWORD } = process.env;
+const API_PORT = 4100 + Math.floor(Math.random() * 800);
+const ENGINES = ['chatgpt', 'perplexity', 'gemini', 'google', 'claude'];
+
+const WEBSITE_ID = '6f1c2b7e-0d4a-4e8b-9c55-1a2b3c4d5e6f';
+const PROMPT_ID = '0b9e8d7c-6a5f-4e3d-8c2b-1a0f9e8d7c6b';
+const DEV_USER_ID = 'dev-user-id'; // the caller when SKIP_AUTH=true
+
+function redisReachable() {
+  return new Promise(resolve => {
+    const socket = net.createConnection({ host: REDIS_HOST, port: Number(REDIS_PORT), timeout: 1000 });
+    socket.once('connect', () => { socket.destroy(); resolve(true); });
+    socket.once('timeout', () => { socket.destroy(); resolve(false); });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+async function waitFor(description, check, { timeoutMs = 60000, intervalMs = 250 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+  throw new Error(`Timed out waiting for ${description}\n--- process output ---\n${logs.slice(-60).join('')}`);
+}
+
+const skip = !(await redisReachable()) && `needs a local Redis at ${REDIS_HOST}:${REDIS_PORT}`;
+const logs = [];
+const children = [];
+let supabase;
+let providers;
+let brandQueue;
+
+function startProcess(script, env) {
+  const child = spawn(process.execPath, [script], { cwd: ROOT, env, stdio: ['ignore', 'pipe', 'pipe'] });
+  child.stdout.on('data', chunk => logs.push(`[${script}] ${chunk}`));
+  child.stderr.on('data', chunk => logs.push(`[${script}] ${chunk}`));
+  children.push(child);
+  return child;
+}
+
+before(async () => {
+  if (skip) return;
+
+  supabase = await startFakeSupabase({
+    tables: {
+      websites: [{
+        id: WEBSITE_ID,
+        user_id: DEV_USER_ID,
+        org_id: null,
+        domain: 'acme.com',
+        brand_name: 'Acme',
+        brand_aliases: ['Acme CRM'],
+        locale: 'en-US'
+      }],
+      prompts: [{
+        id: PROMPT_ID,
+        website_id: WEBSITE_ID,
+        content: 'What is the best CRM for small businesses?',
+        is_active: true,
+        locale: 'en-US',
+        tags: []
+      }]
+    }
+  });
+  providers = await startMockProviders();
+
+  const env = {
+    PATH: process.env.PATH,
+    NODE_ENV: 'development',
+    SKIP_AUTH: 'true',
+    PORT: String(API_PORT),
+    SUPABASE_URL: supabase.url,
+    SUPABASE_SERVICE_ROLE_KEY: 'test-service-role-key',
+    REDIS_HOST,
+    REDIS_PORT,
+    ...(REDIS_PASSWORD && { REDIS_PASSWORD }),
+    DATAFORSEO_USERNAME: 'test',
+    DATAFORSEO_PASSWORD: 'test',
+    PERPLEXITY_API_KEY: 'test',
+    OPENROUTER_API_KEY: 'test',
+    GEMINI_API_KEY: 'test',
+    WORKER_CONCURRENCY: '2',
+    RESOLVE_CITATION_REDIRECTS: 'false', // no network
+    ...providers.env
+  };
+  startProcess('index.js', env);
+  startProcess('worker.js', env);
+
+  brandQueue = new Queue('brand-extraction-queue', {
+    connection: { host: REDIS_HOST, port: Number(REDIS_PORT), password: REDIS_PASSWORD, maxRetriesPerRequest: null }
+  });
+
+  await waitFor('the API to listen', () => fetch(`http://127.0.0.1:${API_PORT}/health`).then(r => r.ok, () => false));
+});
+
+after(async () => {
+  await Promise.all(children.map(child => child.exitCode !== null ? null : new Promise(resolve => {
+    child.once('exit', resolve);
+    child.kill('SIGTERM');
+  })));
+  await brandQueue?.close();
+  await providers?.close();
+  await supabase?.close();
+});
+
+test('a batch runs every engine, persists results and queues brand extraction', { skip, timeout: 120000 }, async () => {
+  const response = await fetch(`http://127.0.0.1:${API_PORT}/api/v1/prompt-runs/batch`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prompt_id: PROMPT_ID, website_id: WEBSITE_ID, engines: ENGINES, locale: 'en-US' })
+  });
+  assert.equal(response.status, 200, await response.clone().text());
+  const batch = await response.json();
+  assert.equal(batch.engines_queued, ENGINES.length);
+
+  // Every engine called its provider once and saved one result
+  const results = await waitFor('a result per engine', () => {
+    const rows = supabase.table('prompt_tracking_results').filter(r => r.group_id === batch.group_id);
+    return rows.length === ENGINES.length && rows;
+  });
+  assert.deepEqual(results.map(r => r.engine).sort(), [...ENGINES].sort());
+  assert.deepEqual(providers.requests.map(r => r.engine).sort(), [...ENGINES].sort());
+
+  for (const result of results) {
+    assert.equal(result.prompt_id, PROMPT_ID);
+    assert.ok(result.answer_text.length > 0, `${result.engine} has an answer`);
+    assert.equal(result.was_mentioned, true, `${result.engine} mentions the brand`);
+    assert.ok(result.citations?.length > 0, `${result.engine} has citations`);
+    assert.ok(Array.isArray(result.retrieved_sources), `${result.engine} has retrieved sources`);
+    assert.equal(result.metadata.locale, 'en-US');
+    assert.ok(result.run_key.startsWith(`${batch.job_ids[result.engine]}:${result.engine}:`));
+  }
+
+  const gemini = results.find(r => r.engine === 'gemini');
+  assert.deepEqual(gemini.fan_out_queries, ['best CRM for small businesses', 'Acme CRM reviews']);
+
+  // One provider cost entry per result
+  const costs = await waitFor('the cost ledger', () => {
+    const rows = supabase.table('cost_ledger').filter(r => results.some(result => result.id === r.result_id));
+    return rows.length === ENGINES.length && rows;
+  });
+  assert.ok(costs.every(c => c.kind === 'provider' && c.amount_usd > 0));
+
+  // A brand extraction job per result
+  for (const result of results) {
+    const job = await waitFor(`the brand job for ${result.engine}`, () => brandQueue.getJob(`brand-${result.id}`));
+    assert.equal(job.data.resultId, result.id);
+    assert.equal(job.data.promptId, PROMPT_ID);
+    assert.equal(job.data.websiteId, WEBSITE_ID);
+    await job.remove().catch(() => {}); // leave nothing for a real brand worker
+  }
+
+  // The group reports every engine as completed
+  const group = await waitFor('the batch to complete', async () => {
+    const status = await fetch(`http://127.0.0.1:${API_PORT}/api/v1/prompt-runs/batch/${batch.group_id}`).then(r => r.json());
+    return status.finished && status;
+  });
+  assert.equal(group.status, 'complete');
+  for (const result of results) {
+    assert.equal(group.jobs[result.engine].result_id, result.id);
+  }
+});
+
+test('a provider 429 holds the next attempt back for its Retry-After', { skip, timeout: 60000 }, async () => {
+  const seen = providers.requests.length;
+  providers.respondWith('perplexity', { status: 429, headers: { 'Retry-After': '3' }, body: { error: { message: 'Rate limit exceeded' } } });
+
+  const response = await fetch(`http://127.0.0.1:${API_PORT}/api/v1/prompt-runs`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ prompt_id: PROMPT_ID, website_id: WEBSITE_ID, engine: 'perplexity', locale: 'en-US' })
+  });
+  assert.equal(response.status, 200, await response.clone().text());
+  const { job_id } = await response.json();
+
+  const result = await waitFor('the retried result', () =>
+    supabase.table('prompt_tracking_results').find(r => r.run_key?.startsWith(`${job_id}:perplexity:`)));
+
+  const calls = providers.requests.slice(seen).filter(r => r.engine === 'perplexity');
+  assert.equal(calls.length, 2, 'one rate-limited call, one retry');
+  assert.ok(calls[1].at - calls[0].at >= 3000, `retried after ${calls[1].at - calls[0].at}ms`);
+
+  const brandJob = await waitFor('the brand job', () => brandQueue.getJob(`brand-${result.id}`));
+  await brandJob.remove().catch(() => {});
+});
@@ -0,0 +1,50 @@
+// ESM
+// Golden tests for normalization (libs/normalize.js through each adapter's
+// normalize()). Every test/fixtures/normalize/<engine>/<case>.json holds the
+// raw response an adapter receives from query() (what a job stores as its
+// `queried` stage) plus the brand context; <case>.expected.json is the
+// normalized output. After an intended change, regenerate with
+//
+//   UPDATE_SNAPSHOTS=1 npm test
+//
+// and review the diff of the .expected.json files.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getEngine } from '../engines/index.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/normalize/', import.meta.url));
+const UPDATE = process.env.UPDATE_SNAPSHOTS === '1';
+
+// Drop what changes from run to run; provider_raw is the fixture itself
+function snapshot(normalized) {
+  const { checked_at, provider_raw, metadata, ...rest } = normalized;
+  const { execution_time_ms, ...stableMetadata } = metadata;
+  return JSON.parse(JSON.stringify({ ...rest, metadata: stableMetadata }));
+}
+
+for (const engine of readdirSync(FIXTURES_DIR).sort()) {
+  const adapter = getEngine(engine);
+  const cases = readdirSync(join(FIXTURES_DIR, engine))
+    .filter(file => file.endsWith('.json') && !file.endsWith('.expected.json'))
+    .sort();
+
+  for (const file of cases) {
+    const name = file.replace(/\.json$/, '');
+    test(`normalize ${engine}: ${name}`, () => {
+      assert.ok(adapter, `no engine adapter named "${engine}"`);
+      const fixture = JSON.parse(readFileSync(join(FIXTURES_DIR, engine, file), 'utf8'));
+      const actual = snapshot(adapter.normalize(fixture.raw, fixture.brand, { locale: fixture.locale }));
+
+      const expectedPath = join(FIXTURES_DIR, engine, `${name}.expected.json`);
+      if (UPDATE) {
+        writeFileSync(expectedPath, `${JSON.stringify(actual, null, 2)}\n`);
+        return;
+      }
+      assert.ok(existsSync(expectedPath), `missing ${engine}/${name}.expected.json (run with UPDATE_SNAPSHOTS=1)`);
+      assert.deepEqual(actual, JSON.parse(readFileSync(expectedPath, 'utf8')));
+    });
+  }
+}
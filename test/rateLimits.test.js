@@ -0,0 +1,136 @@
+// ESM
+// Unit tests for libs/rateLimits.js against a stub Redis client that keeps
+// counters (and their TTLs) in a Map.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  consumeRateLimit,
+  reserveFairPriority,
+  releaseFairSlot,
+  parseEngineRateLimits,
+  engineLimiter,
+  UNLIMITED_LIMITER,
+  MAX_PRIORITY
+} from '../libs/rateLimits.js';
+
+// The commands rateLimits.js uses: multi().incr().expire().exec(), decr, set
+function stubRedis() {
+  const values = new Map();
+  const ttls = new Map();
+  const incr = (key, by = 1) => {
+    const value = Number(values.get(key) || 0) + by;
+    values.set(key, value);
+    return value;
+  };
+  return {
+    values,
+    ttls,
+    multi() {
+      const commands = [];
+      const chain = {
+        incr: (key) => { commands.push(() => incr(key)); return chain; },
+        expire: (key, seconds) => { commands.push(() => { ttls.set(key, seconds); return 1; }); return chain; },
+        exec: async () => commands.map(run => [null, run()])
+      };
+      return chain;
+    },
+    decr: async (key) => incr(key, -1),
+    set: async (key, value, mode, seconds) => {
+      values.set(key, Number(value));
+      if (mode === 'EX') ttls.set(key, seconds);
+      return 'OK';
+    }
+  };
+}
+
+test('consumeRateLimit counts requests in the current minute', async (t) => {
+  const redis = stubRedis();
+  const now = Date.UTC(2026, 0, 1, 12, 0, 45); // 15s left in the window
+  t.mock.method(Date, 'now', () => now);
+
+  const results = [];
+  for (let i = 0; i < 3; i++) results.push(await consumeRateLimit(redis, 'user:u1', 2));
+
+  assert.deepEqual(results.map(r => r.allowed), [true, true, false]);
+  assert.deepEqual(results.map(r => r.remaining), [1, 0, 0]);
+  assert.ok(results.every(r => r.limit === 2 && r.retry_after === 15));
+
+  const key = `ratelimit:user:u1:${Math.floor(now / 60000)}`;
+  assert.equal(redis.values.get(key), 3);
+  assert.equal(redis.ttls.get(key), 120);
+});
+
+test('consumeRateLimit starts over in the next minute and per bucket', async (t) => {
+  const redis = stubRedis();
+  let now = Date.UTC(2026, 0, 1, 12, 0, 59, 500);
+  t.mock.method(Date, 'now', () => now);
+
+  assert.equal((await consumeRateLimit(redis, 'user:u1', 1)).allowed, true);
+  assert.equal((await consumeRateLimit(redis, 'user:u1', 1)).allowed, false);
+  assert.equal((await consumeRateLimit(redis, 'website:w1', 1)).allowed, true);
+
+  now += 1000;
+  const next = await consumeRateLimit(redis, 'user:u1', 1);
+  assert.equal(next.allowed, true);
+  assert.equal(next.retry_after, 60);
+});
+
+test('reserveFairPriority ranks a tenant behind its own queued jobs', async () => {
+  const redis = stubRedis();
+
+  assert.equal(await reserveFairPriority(redis, 'chatgpt-queue', 'org:a'), 1);
+  assert.equal(await reserveFairPriority(redis, 'chatgpt-queue', 'org:a'), 2);
+  assert.equal(await reserveFairPriority(redis, 'chatgpt-queue', 'org:b'), 1);
+  assert.equal(await reserveFairPriority(redis, 'claude-queue', 'org:a'), 1);
+
+  assert.equal(redis.values.get('fair:chatgpt-queue:org:a'), 2);
+  assert.equal(redis.ttls.get('fair:chatgpt-queue:org:a'), 6 * 3600);
+});
+
+test('reserveFairPriority stays within BullMQ priorities', async () => {
+  const redis = stubRedis();
+  redis.values.set('fair:chatgpt-queue:org:a', MAX_PRIORITY + 10);
+  assert.equal(await reserveFairPriority(redis, 'chatgpt-queue', 'org:a'), MAX_PRIORITY);
+
+  redis.values.set('fair:chatgpt-queue:org:b', -5);
+  assert.equal(await reserveFairPriority(redis, 'chatgpt-queue', 'org:b'), 1);
+});
+
+test('releaseFairSlot gives a slot back and never goes below zero', async () => {
+  const redis = stubRedis();
+  await reserveFairPriority(redis, 'chatgpt-queue', 'org:a');
+  await reserveFairPriority(redis, 'chatgpt-queue', 'org:a');
+
+  await releaseFairSlot(redis, 'chatgpt-queue', 'org:a');
+  assert.equal(redis.values.get('fair:chatgpt-queue:org:a'), 1);
+  assert.equal(await reserveFairPriority(redis, 'chatgpt-queue', 'org:a'), 2);
+
+  await releaseFairSlot(redis, 'chatgpt-queue', 'org:a');
+  await releaseFairSlot(redis, 'chatgpt-queue', 'org:a');
+  await releaseFairSlot(redis, 'chatgpt-queue', 'org:a'); // one release too many
+  assert.equal(redis.values.get('fair:chatgpt-queue:org:a'), 0);
+  assert.equal(await reserveFairPriority(redis, 'chatgpt-queue', 'org:a'), 1);
+});
+
+test('parseEngineRateLimits reads engine=max/seconds entries', () => {
+  assert.deepEqual(parseEngineRateLimits(''), {});
+  assert.deepEqual(parseEngineRateLimits(' chatgpt=60/60, claude=20/10 ,'), {
+    chatgpt: { max: 60, duration: 60000 },
+    claude: { max: 20, duration: 10000 }
+  });
+});
+
+test('parseEngineRateLimits rejects malformed entries', () => {
+  for (const value of ['chatgpt', 'chatgpt=60', 'chatgpt=60/0', 'chatgpt=0/60', 'chatgpt=1.5/60', '=60/60', 'chatgpt=60/60,claude=x/10']) {
+    assert.throws(() => parseEngineRateLimits(value), /Invalid ENGINE_RATE_LIMITS entry ".+" \(expected engine=max\/seconds\)/, value);
+  }
+});
+
+test('engineLimiter always returns a limiter', () => {
+  const configured = { max: 5, duration: 1000 };
+  const adapterDefault = { max: 10, duration: 60000 };
+
+  assert.equal(engineLimiter('chatgpt', { rateLimit: adapterDefault }, { chatgpt: configured }), configured);
+  assert.equal(engineLimiter('chatgpt', { rateLimit: adapterDefault }, { claude: configured }), adapterDefault);
+  assert.equal(engineLimiter('chatgpt', { rateLimit: null }, {}), UNLIMITED_LIMITER);
+});
@@ -0,0 +1,386 @@
+// ESM
+import http from 'node:http';
+import { randomUUID } from 'node:crypto';
+
+// ============================================================================
+// IN-MEMORY SUPABASE
+// A PostgREST-compatible HTTP server holding every table in memory, so the
+// API and workers run unchanged with SUPABASE_URL pointed at it. It covers
+// what this repo's queries use:
+//
+//   select   columns, aliases, `*`, embeds (`websites!website_id(...)`,
+//            `prompts!inner(...)`, `prompts(count)`)
+//   filters  eq neq lt lte gt gte is in cs like ilike, not.<op>, or=(...),
+//            and(...), JSON paths (`metadata->>locale`), embed filters
+//            (`prompts.website_id`)
+//   modifiers order, limit, offset, Prefer count=exact, single()
+//   writes   insert, upsert (on_conflict, merge / ignore duplicates),
+//            update, delete, Prefer return=representation
+//
+// Relationships follow the schema's naming: `websites!website_id` reads
+// websites.id = row.website_id; without a hint, a `<table>_id` column on
+// the row means many-to-one, otherwise one-to-many through
+// `<this table>_id` on the embedded table.
+// ============================================================================
+
+const FILTER_OPS = ['eq', 'neq', 'lt', 'lte', 'gt', 'gte', 'is', 'in', 'cs', 'like', 'ilike'];
+const RESERVED_PARAMS = new Set(['select', 'order', 'limit', 'offset', 'on_conflict', 'columns']);
+
+const singular = (table) => table.replace(/ies$/, 'y').replace(/s$/, '');
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+// Split on commas that are not inside parentheses or double quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+    if (!quoted && depth === 0 && char === ',') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+// --- select ---
+
+function parseSelect(text = '*') {
+  return splitTopLevel(text.replace(/\s+/g, '')).map(item => {
+    const embed = item.match(/^(?:(\w+):)?(\w+)((?:!\w+)*)\((.*)\)$/s);
+    if (embed) {
+      const [, alias, table, hints, inner] = embed;
+      const flags = hints.split('!').filter(Boolean);
+      return {
+        type: 'embed',
+        name: alias || table,
+        table,
+        inner: flags.includes('inner'),
+        hint: flags.find(f => f !== 'inner' && f !== 'left') || null,
+        columns: parseSelect(inner)
+      };
+    }
+    const [, alias, column] = item.match(/^(?:(\w+):)?(.+?)(?:::\w+)?$/);
+    return { type: 'column', name: alias || column.split(/->>?/).pop(), column };
+  });
+}
+
+// Value of a column, following JSON paths (`->` keeps JSON, `->>` gives text)
+function readColumn(row, column) {
+  const parts = column.split(/(->>?)/);
+  let value = row?.[parts[0]];
+  for (let i = 1; i < parts.length; i += 2) {
+    const key = parts[i + 1];
+    value = value === null || value === undefined ? undefined : value[key];
+    if (parts[i] === '->>' && value !== null && value !== undefined && typeof value === 'object') {
+      value = JSON.stringify(value);
+    } else if (parts[i] === '->>' && value !== null && value !== undefined) {
+      value = String(value);
+    }
+  }
+  return value === undefined ? null : value;
+}
+
+// --- filters ---
+
+function parseValueList(text) {
+  return splitTopLevel(text.replace(/^[({]|[)}]$/g, '')).map(v => v.replace(/^"(.*)"$/, '$1'));
+}
+
+function compare(a, b) {
+  const x = Number(a);
+  const y = Number(b);
+  if (a !== '' && b !== '' && !Number.isNaN(x) && !Number.isNaN(y) && typeof a !== 'boolean') return x - y;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function likeToRegExp(pattern, flags) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/[%*]/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+function matchesOp(value, op, operand) {
+  switch (op) {
+    case 'is':
+      if (operand === 'null') return value === null;
+      return value === (operand === 'true');
+    case 'in':
+      return value !== null && parseValueList(operand).includes(String(value));
+    case 'cs': {
+      if (!Array.isArray(value)) return false;
+      const wanted = operand.startsWith('[') ? JSON.parse(operand) : parseValueList(operand);
+      return wanted.every(w => value.map(String).includes(String(w)));
+    }
+    case 'like':
+      return value !== null && likeToRegExp(operand).test(String(value));
+    case 'ilike':
+      return value !== null && likeToRegExp(operand, 'i').test(String(value));
+  }
+  if (value === null) return false;
+  const order = compare(typeof value === 'object' ? JSON.stringify(value) : value, operand);
+  return {
+    eq: order === 0,
+    neq: order !== 0,
+    lt: order < 0,
+    lte: order <= 0,
+    gt: order > 0,
+    gte: order >= 0
+  }[op];
+}
+
+// "not.eq.x" / "eq.x" -> predicate on a row
+function parseCondition(column, expression) {
+  const negate = expression.startsWith('not.');
+  const rest = negate ? expression.slice(4) : expression;
+  const dot = rest.indexOf('.');
+  const op = rest.slice(0, dot);
+  const operand = rest.slice(dot + 1);
+  if (!FILTER_OPS.includes(op)) throw new Error(`Unsupported filter operator "${op}"`);
+  return (row) => matchesOp(readColumn(row, column), op, operand) !== negate;
+}
+
+// Body of or=(...) / and(...): "a.eq.1,and(b.is.null,c.gt.2)"
+function parseLogic(kind, body) {
+  const predicates = splitTopLevel(body).map(part => {
+    const nested = part.match(/^(not\.)?(and|or)\((.*)\)$/s);
+    if (nested) {
+      const predicate = parseLogic(nested[2], nested[3]);
+      return nested[1] ? (row) => !predicate(row) : predicate;
+    }
+    const match = part.match(new RegExp(`^(.+?)\\.((?:not\\.)?(?:${FILTER_OPS.join('|')})\\..*)$`, 's'));
+    if (!match) throw new Error(`Unsupported logic filter "${part}"`);
+    return parseCondition(match[1], match[2]);
+  });
+  return kind === 'and'
+    ? (row) => predicates.every(p => p(row))
+    : (row) => predicates.some(p => p(row));
+}
+
+// Query string -> { root: predicates on the table, embedded: { name: predicates } }
+function parseFilters(params, embedNames) {
+  const filters = { root: [], embedded: {} };
+  for (const [key, value] of params) {
+    if (RESERVED_PARAMS.has(key) || /\.(order|limit|offset)$/.test(key)) continue;
+
+    let target = filters.root;
+    let column = key;
+    const dot = key.indexOf('.');
+    if (dot !== -1 && embedNames.has(key.slice(0, dot))) {
+      target = filters.embedded[key.slice(0, dot)] ||= [];
+      column = key.slice(dot + 1);
+    }
+
+    const logic = column.match(/^(not\.)?(and|or)$/);
+    if (logic) {
+      const predicate = parseLogic(logic[2], value.replace(/^\((.*)\)$/s, '$1'));
+      target.push(logic[1] ? (row) => !predicate(row) : predicate);
+    } else {
+      target.push(parseCondition(column, value));
+    }
+  }
+  return filters;
+}
+
+function sortRows(rows, order) {
+  if (!order) return rows;
+  const keys = order.split(',').map(entry => {
+    const [column, ...flags] = entry.split('.');
+    const descending = flags.includes('desc');
+    return { column, descending, nullsFirst: flags.includes('nullsfirst') || (descending && !flags.includes('nullslast')) };
+  });
+  return [...rows].sort((a, b) => {
+    for (const { column, descending, nullsFirst } of keys) {
+      const x = readColumn(a, column);
+      const y = readColumn(b, column);
+      if (x === y) continue;
+      if (x === null) return nullsFirst ? -1 : 1;
+      if (y === null) return nullsFirst ? 1 : -1;
+      const result = compare(x, y);
+      if (result !== 0) return descending ? -result : result;
+    }
+    return 0;
+  });
+}
+
+// ============================================================================
+// Server
+// ============================================================================
+
+/**
+ * Start the fake on a random local port
+ * @param {object} options - { tables: { name: rows[] } } initial data
+ * @returns {Promise<{ url: string, tables: Map<string, object[]>, table: (name: string) => object[], close: () => Promise<void> }>}
+ */
+export async function startFakeSupabase({ tables = {} } = {}) {
+  const store = new Map(Object.entries(tables).map(([name, rows]) => [name, rows.map(row => ({ ...row }))]));
+  const table = (name) => {
+    if (!store.has(name)) store.set(name, []);
+    return store.get(name);
+  };
+
+  // Many-to-one column on `row` pointing at `embedTable`, or null for one-to-many
+  function foreignKeyColumn(row, embed) {
+    if (embed.hint) return embed.hint;
+    const target = singular(embed.table);
+    const exact = `${target}_id`;
+    if (exact in row) return exact;
+    return Object.keys(row).find(k => k.endsWith('_id') && target.endsWith(k.slice(0, -3))) || null;
+  }
+
+  function shape(row, columns, tableName, embeddedFilters = {}) {
+    const out = {};
+    for (const node of columns) {
+      if (node.type === 'column') {
+        if (node.column === '*') Object.assign(out, clone(row));
+        else out[node.name] = clone(readColumn(row, node.column));
+        continue;
+      }
+
+      const predicates = embeddedFilters[node.name] || [];
+      const accept = (candidate) => predicates.every(p => p(candidate));
+      const fk = foreignKeyColumn(row, node);
+      let value;
+      if (fk) {
+        const parent = row[fk] === null || row[fk] === undefined
+          ? null
+          : table(node.table).find(candidate => candidate.id === row[fk]);
+        value = parent && accept(parent) ? shape(parent, node.columns, node.table) : null;
+        if (node.inner && value === null) return null;
+      } else {
+        const backReference = `${singular(tableName)}_id`;
+        const children = table(node.table).filter(candidate => candidate[backReference] === row.id && accept(candidate));
+        if (node.inner && children.length === 0) return null;
+        value = node.columns.length === 1 && node.columns[0].column === 'count'
+          ? [{ count: children.length }]
+          : children.map(child => shape(child, node.columns, node.table));
+      }
+      out[node.name] = value;
+    }
+    return out;
+  }
+
+  // Rows of `name` matching the query string, shaped by its select
+  function query(name, params, rows = table(name)) {
+    const columns = parseSelect(params.get('select') || '*');
+    const embedNames = new Set(columns.filter(c => c.type === 'embed').map(c => c.name));
+    const filters = parseFilters(params, embedNames);
+
+    const matched = sortRows(rows.filter(row => filters.root.every(p => p(row))), params.get('order'))
+      .map(row => ({ row, shaped: shape(row, columns, name, filters.embedded) }))
+      .filter(({ shaped }) => shaped !== null);
+
+    const offset = Number(params.get('offset') || 0);
+    const limit = params.has('limit') ? Number(params.get('limit')) : Infinity;
+    return { total: matched.length, offset, page: matched.slice(offset, offset + limit) };
+  }
+
+  function write(name, body, params, prefer) {
+    const rows = Array.isArray(body) ? body : [body];
+    const target = table(name);
+    const conflictColumns = (params.get('on_conflict') || 'id').split(',');
+    const merge = prefer.includes('resolution=merge-duplicates');
+    const ignore = prefer.includes('resolution=ignore-duplicates');
+    const written = [];
+
+    for (const input of rows) {
+      const existing = (merge || ignore) && conflictColumns.every(c => input[c] !== undefined && input[c] !== null)
+        ? target.find(row => conflictColumns.every(c => String(row[c]) === String(input[c])))
+        : null;
+      if (existing && ignore) continue;
+      if (existing) {
+        Object.assign(existing, clone(input));
+        written.push(existing);
+      } else {
+        const row = { id: randomUUID(), created_at: new Date().toISOString(), ...clone(input) };
+        target.push(row);
+        written.push(row);
+      }
+    }
+    return written;
+  }
+
+  function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  }
+
+  function respondRows(req, res, status, rows, { total, offset = 0 } = {}) {
+    const prefer = req.headers.prefer || '';
+    const headers = {};
+    if (/count=exact/.test(prefer)) {
+      headers['Content-Range'] = rows.length > 0 ? `${offset}-${offset + rows.length - 1}/${total}` : `*/${total}`;
+    }
+
+    if ((req.headers.accept || '').includes('application/vnd.pgrst.object+json')) {
+      if (rows.length !== 1) {
+        return send(res, 406, {
+          code: 'PGRST116',
+          details: `The result contains ${rows.length} rows`,
+          hint: null,
+          message: 'JSON object requested, multiple (or no) rows returned'
+        });
+      }
+      return send(res, status, rows[0], headers);
+    }
+    return send(res, status, rows, headers);
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/rest\/v1\/(\w+)$/);
+    if (!match) return send(res, 404, { message: `Not supported by the fake: ${req.method} ${url.pathname}` });
+
+    const name = match[1];
+    const prefer = req.headers.prefer || '';
+    const returnRows = prefer.includes('return=representation');
+
+    try {
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      const input = body ? JSON.parse(body) : null;
+
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        const { total, offset, page } = query(name, url.searchParams);
+        return respondRows(req, res, 200, page.map(r => r.shaped), { total, offset });
+      }
+
+      // Writes: change the rows, then answer with the select applied to them
+      let affected;
+      if (req.method === 'POST') {
+        affected = write(name, input, url.searchParams, prefer);
+      } else if (req.method === 'PATCH') {
+        affected = query(name, url.searchParams).page.map(({ row }) => Object.assign(row, clone(input)));
+      } else if (req.method === 'DELETE') {
+        affected = query(name, url.searchParams).page.map(({ row }) => row);
+        store.set(name, table(name).filter(row => !affected.includes(row)));
+      } else {
+        return send(res, 405, { message: `Method ${req.method} not supported` });
+      }
+
+      const status = req.method === 'POST' ? 201 : 200;
+      if (!returnRows) return send(res, req.method === 'POST' ? 201 : 204);
+      const columns = parseSelect(url.searchParams.get('select') || '*');
+      const shaped = affected.map(row => shape(row, columns, name));
+      return respondRows(req, res, status, shaped, { total: shaped.length });
+    } catch (error) {
+      return send(res, 400, { code: 'FAKE', details: null, hint: null, message: error.message });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    tables: store,
+    table,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
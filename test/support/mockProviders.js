@@ -0,0 +1,91 @@
+// ESM
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// ============================================================================
+// MOCK PROVIDERS
+// One local HTTP server standing in for every engine's provider. Each
+// endpoint replays a recorded response from test/fixtures/providers/<engine>.json:
+//
+//   { "status": 200, "headers": { ... }, "body": { ... } }
+//
+// Point the engines at it with the env from `providerEnv` (the base URL
+// variables read by engines/*.js). `respondWith` queues a one-off response
+// for an engine, e.g. a 429 to exercise retries.
+// ============================================================================
+
+export const PROVIDER_FIXTURES_DIR = fileURLToPath(new URL('../fixtures/providers/', import.meta.url));
+
+// Each provider lives under its own prefix, since Perplexity and OpenRouter share a path
+const ROUTES = [
+  { engine: 'chatgpt', path: /^\/dataforseo\/v3\/ai_optimization\/chat_gpt\/llm_scraper\/live\/advanced$/ },
+  { engine: 'google', path: /^\/dataforseo\/v3\/serp\/google\/ai_mode\/live\/advanced$/ },
+  { engine: 'perplexity', path: /^\/perplexity\/chat\/completions$/ },
+  { engine: 'claude', path: /^\/openrouter\/chat\/completions$/ },
+  { engine: 'gemini', path: /^\/gemini\/v1beta\/models\/[\w.-]+:generateContent$/ }
+];
+
+/**
+ * Base URL env vars that send every engine to the mock at `url`
+ */
+export function providerEnv(url) {
+  return {
+    DATAFORSEO_BASE_URL: `${url}/dataforseo`,
+    PERPLEXITY_BASE_URL: `${url}/perplexity`,
+    OPENROUTER_BASE_URL: `${url}/openrouter`,
+    GEMINI_BASE_URL: `${url}/gemini`
+  };
+}
+
+export async function loadProviderFixture(engine, dir = PROVIDER_FIXTURES_DIR) {
+  return JSON.parse(await readFile(join(dir, `${engine}.json`), 'utf8'));
+}
+
+/**
+ * Start the mock on a random local port
+ * @param {object} options - { fixturesDir }
+ * @returns {Promise<{ url, env, requests: object[], respondWith: (engine: string, fixture: object) => void, close: () => Promise<void> }>}
+ */
+export async function startMockProviders({ fixturesDir = PROVIDER_FIXTURES_DIR } = {}) {
+  const requests = [];
+  const queued = new Map(); // engine -> one-off fixtures, used before the recorded one
+
+  const server = http.createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = req.method === 'POST' ? ROUTES.find(r => r.path.test(pathname)) : null;
+    requests.push({ at: Date.now(), engine: route?.engine || null, method: req.method, path: pathname, headers: req.headers, body: body ? JSON.parse(body) : null });
+
+    if (!route) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: `No fixture for ${req.method} ${pathname}` }));
+    }
+
+    try {
+      const fixture = queued.get(route.engine)?.shift() || await loadProviderFixture(route.engine, fixturesDir);
+      res.writeHead(fixture.status || 200, { 'Content-Type': 'application/json', ...fixture.headers });
+      res.end(typeof fixture.body === 'string' ? fixture.body : JSON.stringify(fixture.body));
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Fixture for ${route.engine} failed: ${error.message}` }));
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    env: providerEnv(url),
+    requests,
+    respondWith(engine, fixture) {
+      if (!queued.has(engine)) queued.set(engine, []);
+      queued.get(engine).push(fixture);
+    },
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
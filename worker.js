@@ -0,0 +1,32 @@
+// ai-search-api/worker.js — generic worker for any subset of registered engines
+//
+//   node worker.js                      # every engine
+//   ENGINES=chatgpt,claude node worker.js
+//
+// Webhook delivery and the brand-extraction listener run once per deployment:
+// by default only in a worker without an ENGINES filter. When every worker
+// has a filter, set RUN_SHARED_WORKERS=true on exactly one of them
+// (RUN_SHARED_WORKERS=false keeps them out of an unfiltered worker).
+
+import { startWorkers } from './libs/engineRunner.js';
+import { engineNames } from './engines/index.js';
+
+const { ENGINES, RUN_SHARED_WORKERS } = process.env;
+
+const names = ENGINES
+  ? ENGINES.split(',').map(s => s.trim()).filter(Boolean)
+  : engineNames();
+
+startWorkers(names, {
+  shared: RUN_SHARED_WORKERS ? RUN_SHARED_WORKERS === 'true' : !ENGINES
+});
+
+// Catch unhandled errors
+process.on('unhandledRejection', (reason, promise) => {
+  console.error('❌ Unhandled Rejection:', reason);
+});
+
+process.on('uncaughtException', (error) => {
+  console.error('❌ Uncaught Exception:', error);
+  process.exit(1);
+});